@@ -0,0 +1,144 @@
+import { BUILTIN_RISK_MODEL, normalizeRiskModel } from "./risk-model.js";
+import { normalizeDecisionRules, thresholdRules } from "./rules.js";
+
+function flag(id, field, points) {
+  return { id, match: "all", when: [{ field, op: "eq", value: true }], points };
+}
+
+function factor(id, condition, points) {
+  return { id, match: "all", when: [condition], points };
+}
+
+// Built-in risk inputs and thresholds per preflight action. Payment keeps the
+// model ClawCredit preflight has always used.
+const ACTION_PROFILES = {
+  payment: {
+    riskModel: BUILTIN_RISK_MODEL,
+    thresholds: { blockBelow: 35, reviewBelow: 55 },
+  },
+  tool_call: {
+    riskModel: {
+      amountTiers: [],
+      factors: [
+        flag("high_privilege_action", "highPrivilegeAction", 20),
+        flag("writes_data", "writesData", 10),
+        flag("external_network", "externalNetwork", 10),
+        factor("sensitive_data", { field: "dataSensitivity", op: "gte", value: 3 }, 15),
+        factor("restricted_data", { field: "dataSensitivity", op: "gte", value: 5 }, 10),
+        flag("exposes_api_keys", "exposesApiKeys", 25),
+      ],
+      cap: 60,
+    },
+    thresholds: { blockBelow: 30, reviewBelow: 50 },
+  },
+  credential_share: {
+    riskModel: {
+      amountTiers: [],
+      factors: [
+        factor("write_scope", { field: "scope", op: "eq", value: "write" }, 15),
+        factor("admin_scope", { field: "scope", op: "eq", value: "admin" }, 30),
+        factor("unverified_recipient", { field: "recipientVerified", op: "neq", value: true }, 15),
+        factor("long_lived", { field: "expiresInHours", op: "gt", value: 24 }, 10),
+        factor("no_expiry", { field: "expiresInHours", op: "exists", value: false }, 15),
+        flag("exposes_api_keys", "exposesApiKeys", 25),
+      ],
+      cap: 70,
+    },
+    thresholds: { blockBelow: 45, reviewBelow: 65 },
+  },
+  task_accept: {
+    riskModel: {
+      amountTiers: [
+        { atLeast: 500, points: 5 },
+        { atLeast: 5000, points: 10 },
+      ],
+      factors: [
+        flag("first_time_counterparty", "firstTimeCounterparty", 10),
+        factor("tight_deadline", { field: "deadlineHours", op: "lt", value: 24 }, 5),
+        flag("high_privilege_action", "highPrivilegeAction", 15),
+      ],
+      cap: 40,
+    },
+    thresholds: { blockBelow: 25, reviewBelow: 40 },
+  },
+  custom: {
+    riskModel: { amountTiers: [], factors: [], cap: 60 },
+    thresholds: { blockBelow: 35, reviewBelow: 55 },
+  },
+};
+
+export const PREFLIGHT_ACTIONS = Object.keys(ACTION_PROFILES);
+
+// Top-level policy riskModel and decisionRules predate per-action profiles and
+// were written for payments, so only payment and custom inherit them.
+const INHERITS_POLICY_DEFAULTS = new Set(["payment", "custom"]);
+
+export function isPreflightAction(action) {
+  return Object.hasOwn(ACTION_PROFILES, action);
+}
+
+/**
+ * Resolves the risk model and decision rules for an action: an override in
+ * `policy.actionProfiles[action]` wins, then (for payment and custom) the
+ * policy's top-level riskModel/decisionRules, then the built-in profile.
+ */
+export function resolveActionProfile(action, policyConfig) {
+  const base = ACTION_PROFILES[action] ?? ACTION_PROFILES.payment;
+  const override = policyConfig.actionProfiles?.[action] ?? {};
+  const inherits = INHERITS_POLICY_DEFAULTS.has(action);
+
+  const accountModel = override.riskModel ?? (inherits ? policyConfig.riskModel : null) ?? null;
+  let accountRules = null;
+  if (override.decisionRules?.length > 0) accountRules = override.decisionRules;
+  else if (inherits && policyConfig.decisionRules?.length > 0) accountRules = policyConfig.decisionRules;
+
+  return {
+    action,
+    riskModel: accountModel ?? base.riskModel,
+    riskModelSource: accountModel ? "account" : "builtin",
+    decisionRules: accountRules ?? thresholdRules(base.thresholds),
+    rulesSource: accountRules ? "account" : "builtin",
+    thresholds: accountRules ? null : { ...base.thresholds },
+  };
+}
+
+function withPath(prefix, normalize) {
+  try {
+    return normalize();
+  } catch (error) {
+    throw new Error(`${prefix}${error instanceof Error ? error.message : "is invalid."}`);
+  }
+}
+
+/**
+ * Validates `actionProfiles` on policy save. Each action entry replaces the
+ * stored one; `null` for an action removes its override and `null` for the
+ * whole field removes them all.
+ */
+export function normalizeActionProfiles(input, current = {}) {
+  if (input === undefined) return undefined;
+  if (input === null) return {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("actionProfiles must be an object keyed by action.");
+  }
+
+  const next = { ...current };
+  for (const [rawAction, profile] of Object.entries(input)) {
+    const action = String(rawAction).trim().toLowerCase();
+    if (!isPreflightAction(action)) {
+      throw new Error(`actionProfiles.${rawAction} is not a supported action (${PREFLIGHT_ACTIONS.join(", ")}).`);
+    }
+    if (profile === null) {
+      delete next[action];
+      continue;
+    }
+    if (typeof profile !== "object" || Array.isArray(profile)) {
+      throw new Error(`actionProfiles.${action} must be an object with riskModel and/or decisionRules.`);
+    }
+    next[action] = {
+      riskModel: withPath(`actionProfiles.${action}.`, () => normalizeRiskModel(profile.riskModel)) ?? null,
+      decisionRules: withPath(`actionProfiles.${action}.`, () => normalizeDecisionRules(profile.decisionRules)) ?? [],
+    };
+  }
+  return next;
+}
@@ -1,3 +1,4 @@
+import { profileSummary } from "./agent-profiles.js";
 import { store } from "./store.js";
 import { getAllUsers } from "./key-store.js";
 import { scoreAgent } from "./scoring.js";
@@ -66,6 +67,18 @@ export function getAdminOverview() {
     totalDecisionLogs += logs.length;
   }
 
+  let pendingReviews = 0;
+  let oldestPendingReviewAt = null;
+  for (const reviews of store.reviewsByApiKey.values()) {
+    for (const review of reviews) {
+      if (review.status !== "pending") continue;
+      pendingReviews += 1;
+      if (!oldestPendingReviewAt || review.createdAt < oldestPendingReviewAt) {
+        oldestPendingReviewAt = review.createdAt;
+      }
+    }
+  }
+
   const recentUsers = users
     .slice()
     .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
@@ -87,6 +100,11 @@ export function getAdminOverview() {
       events: totalEvents,
       webhooks: totalWebhooks,
       decisionLogs: totalDecisionLogs,
+      pendingReviews,
+    },
+    reviewQueue: {
+      pending: pendingReviews,
+      oldestPendingAt: oldestPendingReviewAt,
     },
     signupsByMonth,
     recentUsers,
@@ -100,6 +118,8 @@ export function getAdminAgentSnapshot({ limit = 50 } = {}) {
 
   for (const [agentId, events] of store.eventsByAgentId.entries()) {
     const score = scoreAgent(agentId, events);
+    const separator = agentId.indexOf("::");
+    const profile = separator === -1 ? null : profileSummary(agentId.slice(0, separator), agentId.slice(separator + 2));
     const sorted = [...events].sort(
       (a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
     );
@@ -109,6 +129,10 @@ export function getAdminAgentSnapshot({ limit = 50 } = {}) {
       agentId,
       score: score.score,
       level: score.level,
+      displayName: profile?.displayName ?? null,
+      owner: profile?.owner ?? null,
+      environment: profile?.environment ?? null,
+      tags: profile?.tags ?? [],
       signalQuality: score.signalQuality,
       lifetimeEvents: score.breakdown.lifetimeEvents,
       negative30d: score.breakdown.negative30d,
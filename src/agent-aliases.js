@@ -0,0 +1,262 @@
+import crypto from "node:crypto";
+
+import { normalizeAgentId } from "./agent-id.js";
+import { logDecision } from "./audit.js";
+import { scheduleFlush } from "./persistence.js";
+import { scoreForAccountAgent } from "./service.js";
+import { getAgentEvents, store } from "./store.js";
+import { emitScoreAlerts } from "./webhooks.js";
+
+const MAX_ALIASES_PER_KEY = 5000;
+const MAX_MERGES_PER_KEY = 5000;
+
+function optionalText(value, maxLength) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+}
+
+function scopeOf(apiKey, agentId) {
+  return `${apiKey}::${agentId}`;
+}
+
+function aliasesFor(apiKey) {
+  return store.agentAliasesByApiKey.get(apiKey) ?? {};
+}
+
+function mergesFor(apiKey) {
+  return store.agentMergesByApiKey.get(apiKey) ?? [];
+}
+
+function aliasesOf(apiKey, canonical) {
+  return Object.entries(aliasesFor(apiKey))
+    .filter(([, entry]) => entry.canonical === canonical)
+    .map(([alias, entry]) => ({ alias, ...entry }));
+}
+
+/**
+ * Normalizes an agent id and follows it to its canonical agent. Aliases never
+ * chain: a merge re-points the merged agent's aliases at the new canonical.
+ */
+export function resolveAgentId(apiKey, input) {
+  const agentId = normalizeAgentId(input);
+  if (!agentId) return "";
+  return aliasesFor(apiKey)[agentId]?.canonical ?? agentId;
+}
+
+// The same score GET /v1/score returns, so merge alerts and audit entries agree with it.
+function currentScore(account, agentId) {
+  return scoreForAccountAgent({ account, agentId });
+}
+
+export function listAliases({ account, agentId }) {
+  const canonical = resolveAgentId(account.apiKey, agentId);
+  if (!canonical) return { status: 400, body: { error: "agentId is required." } };
+  const aliases = aliasesOf(account.apiKey, canonical);
+  return { status: 200, body: { agentId: canonical, count: aliases.length, aliases } };
+}
+
+export function addAlias({ account, agentId, payload, actor = null }) {
+  const canonical = resolveAgentId(account.apiKey, agentId);
+  const alias = normalizeAgentId(payload?.alias);
+  if (!canonical) return { status: 400, body: { error: "agentId is required." } };
+  if (!alias) return { status: 400, body: { error: "alias is required." } };
+  if (alias === canonical) return { status: 400, body: { error: "An agent cannot be an alias of itself." } };
+
+  const aliases = aliasesFor(account.apiKey);
+  const existing = aliases[alias];
+  if (existing) {
+    return { status: 409, body: { error: `${alias} is already an alias of ${existing.canonical}.` } };
+  }
+  if (aliasesOf(account.apiKey, alias).length > 0) {
+    return { status: 409, body: { error: `${alias} has aliases of its own; merge it into ${canonical} instead.` } };
+  }
+  if (getAgentEvents(scopeOf(account.apiKey, alias)).length > 0) {
+    return { status: 409, body: { error: `${alias} has its own event history; merge it into ${canonical} instead.` } };
+  }
+  if (Object.keys(aliases).length >= MAX_ALIASES_PER_KEY) {
+    return { status: 402, body: { error: `Alias limit reached (${MAX_ALIASES_PER_KEY} per API key).` } };
+  }
+
+  const entry = { canonical, createdAt: new Date().toISOString(), createdBy: actor, mergeId: null };
+  store.agentAliasesByApiKey.set(account.apiKey, { ...aliases, [alias]: entry });
+  scheduleFlush();
+  return { status: 201, body: { alias: { alias, ...entry } } };
+}
+
+export function removeAlias({ account, agentId, alias }) {
+  const canonical = resolveAgentId(account.apiKey, agentId);
+  const normalizedAlias = normalizeAgentId(alias);
+  const aliases = aliasesFor(account.apiKey);
+  const entry = aliases[normalizedAlias];
+  if (!entry || entry.canonical !== canonical) return { status: 404, body: { error: "Alias not found." } };
+  if (entry.mergeId) {
+    return { status: 409, body: { error: `Alias comes from merge ${entry.mergeId}; unmerge it instead.` } };
+  }
+
+  const { [normalizedAlias]: _removed, ...rest } = aliases;
+  store.agentAliasesByApiKey.set(account.apiKey, rest);
+  scheduleFlush();
+  return { status: 200, body: { removed: true, alias: normalizedAlias, agentId: canonical } };
+}
+
+export function listMerges({ account }) {
+  const merges = mergesFor(account.apiKey);
+  return { status: 200, body: { count: merges.length, merges } };
+}
+
+/**
+ * Folds `source` into `target`: source's events move to the target's history
+ * (tagged `mergedFrom`), source and its aliases become aliases of target, and
+ * the merge is written to the decision log. Every step is recorded on the
+ * merge so unmergeAgents can reverse it.
+ */
+export async function mergeAgents({ account, payload, actor = null }) {
+  const source = normalizeAgentId(payload?.source);
+  const target = resolveAgentId(account.apiKey, payload?.target);
+  if (!source || !target) return { status: 400, body: { error: "source and target are required agent ids." } };
+
+  const aliases = aliasesFor(account.apiKey);
+  if (aliases[source]) {
+    return { status: 400, body: { error: `${source} is an alias of ${aliases[source].canonical}, not an agent.` } };
+  }
+  if (source === target) return { status: 400, body: { error: "source and target are the same agent." } };
+
+  const sourceScope = scopeOf(account.apiKey, source);
+  const targetScope = scopeOf(account.apiKey, target);
+  const sourceEvents = getAgentEvents(sourceScope);
+  if (sourceEvents.length === 0) return { status: 404, body: { error: `${source} has no events to merge.` } };
+
+  const merges = mergesFor(account.apiKey);
+  if (merges.length >= MAX_MERGES_PER_KEY) {
+    return { status: 402, body: { error: `Merge limit reached (${MAX_MERGES_PER_KEY} per API key).` } };
+  }
+
+  const previousScore = currentScore(account, target).score;
+  const merge = {
+    id: crypto.randomUUID(),
+    source,
+    target,
+    eventIds: sourceEvents.map((event) => event.id),
+    aliasesMoved: aliasesOf(account.apiKey, source).map((entry) => entry.alias),
+    note: optionalText(payload?.note, 300) || null,
+    mergedAt: new Date().toISOString(),
+    mergedBy: actor,
+    unmergedAt: null,
+    unmergedBy: null,
+  };
+
+  for (const event of sourceEvents) {
+    event.agentId = target;
+    event.mergedFrom = source;
+  }
+  const combined = [...getAgentEvents(targetScope), ...sourceEvents].sort(
+    (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
+  );
+  store.eventsByAgentId.set(targetScope, combined);
+  store.eventsByAgentId.delete(sourceScope);
+
+  const nextAliases = { ...aliases };
+  for (const alias of merge.aliasesMoved) nextAliases[alias] = { ...nextAliases[alias], canonical: target };
+  nextAliases[source] = { canonical: target, createdAt: merge.mergedAt, createdBy: actor, mergeId: merge.id };
+  store.agentAliasesByApiKey.set(account.apiKey, nextAliases);
+  store.agentMergesByApiKey.set(account.apiKey, [merge, ...merges]);
+
+  const score = currentScore(account, target);
+  scheduleFlush();
+  logDecision({
+    account,
+    action: "agent_merge",
+    agentId: target,
+    outcome: "merged",
+    score: score.score,
+    reason: merge.note ?? `merged ${source} into ${target}`,
+    metadata: {
+      mergeId: merge.id,
+      source,
+      target,
+      eventsMoved: merge.eventIds.length,
+      aliasesMoved: merge.aliasesMoved,
+      previousScore,
+    },
+  });
+  await emitScoreAlerts({ account, agentId: target, previousScore, score: score.score, notifyRecovery: true });
+
+  return { status: 201, body: { merge, score: { previousScore, value: score.score, level: score.level } } };
+}
+
+/**
+ * Reverses a merge. The source gets back its original events plus anything
+ * posted since under its id or the aliases it brought along, and those
+ * aliases return to it. If the target was later merged into another agent,
+ * that merge has to be undone first.
+ */
+export async function unmergeAgents({ account, mergeId, payload, actor = null }) {
+  const merges = mergesFor(account.apiKey);
+  const merge = merges.find((entry) => entry.id === String(mergeId ?? "").trim());
+  if (!merge) return { status: 404, body: { error: "Merge not found." } };
+  if (merge.unmergedAt) return { status: 409, body: { error: `Merge was already undone at ${merge.unmergedAt}.` } };
+
+  const later = merges.find((entry) => !entry.unmergedAt && entry.source === merge.target);
+  if (later) {
+    return { status: 409, body: { error: `Undo the later merge ${later.id} of ${merge.target} first.` } };
+  }
+
+  const targetScope = scopeOf(account.apiKey, merge.target);
+  const originalIds = new Set(merge.eventIds);
+  const sourceIds = new Set([merge.source, ...merge.aliasesMoved]);
+  const previousScore = currentScore(account, merge.target).score;
+  const targetEvents = getAgentEvents(targetScope);
+  const byId = new Map(targetEvents.map((event) => [event.id, event]));
+  // Amendments get new ids, so follow each one back to the event it replaced.
+  const belongsToSource = (event) => {
+    for (let current = event; current; current = byId.get(current.supersedes)) {
+      if (originalIds.has(current.id) || sourceIds.has(current.postedAs)) return true;
+      if (!current.supersedes) break;
+    }
+    return false;
+  };
+  const returning = [];
+  const staying = [];
+  for (const event of targetEvents) {
+    (belongsToSource(event) ? returning : staying).push(event);
+  }
+  for (const event of returning) {
+    event.agentId = merge.source;
+    delete event.mergedFrom;
+  }
+  store.eventsByAgentId.set(targetScope, staying);
+  store.eventsByAgentId.set(scopeOf(account.apiKey, merge.source), returning);
+
+  const aliases = { ...aliasesFor(account.apiKey) };
+  delete aliases[merge.source];
+  for (const alias of merge.aliasesMoved) {
+    if (aliases[alias]?.canonical === merge.target) aliases[alias] = { ...aliases[alias], canonical: merge.source };
+  }
+  store.agentAliasesByApiKey.set(account.apiKey, aliases);
+
+  merge.unmergedAt = new Date().toISOString();
+  merge.unmergedBy = actor;
+  const note = optionalText(payload?.note, 300) || null;
+  const score = currentScore(account, merge.target);
+  scheduleFlush();
+  logDecision({
+    account,
+    action: "agent_unmerge",
+    agentId: merge.target,
+    outcome: "unmerged",
+    score: score.score,
+    reason: note ?? `split ${merge.source} back out of ${merge.target}`,
+    metadata: {
+      mergeId: merge.id,
+      source: merge.source,
+      target: merge.target,
+      eventsReturned: returning.length,
+      previousScore,
+    },
+  });
+  await emitScoreAlerts({ account, agentId: merge.target, previousScore, score: score.score, notifyRecovery: true });
+
+  return {
+    status: 200,
+    body: { merge, eventsReturned: returning.length, score: { previousScore, value: score.score, level: score.level } },
+  };
+}
@@ -0,0 +1,225 @@
+import crypto from "node:crypto";
+
+import { resolveAgentId } from "./agent-aliases.js";
+import { scheduleFlush } from "./persistence.js";
+import { store } from "./store.js";
+
+// operator_of and delegates_to point from the parent to the child;
+// same_owner_as links peers and has no direction.
+export const RELATIONSHIP_TYPES = ["operator_of", "delegates_to", "same_owner_as"];
+const PARENT_TYPES = new Set(["operator_of", "delegates_to"]);
+const MAX_RELATIONSHIPS_PER_KEY = 5000;
+const MAX_REMOVED_RELATIONSHIPS_PER_KEY = 5000;
+const MAX_DEPTH = 3;
+
+function optionalText(value, maxLength) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+}
+
+function relationshipsFor(apiKey) {
+  return store.agentGraphByApiKey.get(apiKey) ?? [];
+}
+
+// Removed edges are kept so point-in-time scores see the graph as it was.
+function activeAt(relationship, asOfMs) {
+  if (asOfMs === null) return !relationship.removedAt;
+  if (new Date(relationship.createdAt).getTime() > asOfMs) return false;
+  return !relationship.removedAt || new Date(relationship.removedAt).getTime() > asOfMs;
+}
+
+function activeRelationships(apiKey, asOfMs = null) {
+  return relationshipsFor(apiKey).filter((relationship) => activeAt(relationship, asOfMs));
+}
+
+// Only point-in-time scores read removed edges, so once there are too many
+// the ones removed longest ago are dropped.
+function pruneRemoved(relationships) {
+  const removed = relationships.filter((relationship) => relationship.removedAt);
+  if (removed.length <= MAX_REMOVED_RELATIONSHIPS_PER_KEY) return relationships;
+  const dropped = new Set(
+    removed
+      .sort((a, b) => new Date(a.removedAt).getTime() - new Date(b.removedAt).getTime())
+      .slice(0, removed.length - MAX_REMOVED_RELATIONSHIPS_PER_KEY)
+      .map((relationship) => relationship.id)
+  );
+  return relationships.filter((relationship) => !dropped.has(relationship.id));
+}
+
+function parentsOf(relationships, agentId) {
+  return relationships.filter((relationship) => PARENT_TYPES.has(relationship.type) && relationship.to === agentId);
+}
+
+function isAncestor(relationships, candidate, agentId) {
+  const seen = new Set();
+  const queue = [agentId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const parent of parentsOf(relationships, current)) {
+      if (parent.from === candidate) return true;
+      if (!seen.has(parent.from)) {
+        seen.add(parent.from);
+        queue.push(parent.from);
+      }
+    }
+  }
+  return false;
+}
+
+function sameEdge(relationship, { from, to, type }) {
+  if (relationship.type !== type) return false;
+  if (relationship.from === from && relationship.to === to) return true;
+  return type === "same_owner_as" && relationship.from === to && relationship.to === from;
+}
+
+export function createRelationship({ account, payload, actor = null }) {
+  const from = resolveAgentId(account.apiKey, payload?.from);
+  const to = resolveAgentId(account.apiKey, payload?.to);
+  const type = String(payload?.type ?? "").trim().toLowerCase();
+  if (!from || !to) return { status: 400, body: { error: "from and to are required agent ids." } };
+  if (from === to) return { status: 400, body: { error: "An agent cannot be related to itself." } };
+  if (!RELATIONSHIP_TYPES.includes(type)) {
+    return { status: 400, body: { error: `type must be one of: ${RELATIONSHIP_TYPES.join(", ")}.` } };
+  }
+
+  const active = activeRelationships(account.apiKey);
+  const existing = active.find((relationship) => sameEdge(relationship, { from, to, type }));
+  if (existing) {
+    return { status: 409, body: { error: `Relationship already exists (${existing.id}).` } };
+  }
+  // Parent links must stay a hierarchy, or parent caps would chase their tails.
+  if (PARENT_TYPES.has(type) && isAncestor(active, to, from)) {
+    return { status: 409, body: { error: `${to} is already an operator or delegator of ${from}.` } };
+  }
+
+  if (active.length >= MAX_RELATIONSHIPS_PER_KEY) {
+    return {
+      status: 402,
+      body: { error: `Relationship limit reached (${MAX_RELATIONSHIPS_PER_KEY} per API key).` },
+    };
+  }
+
+  const relationship = {
+    id: crypto.randomUUID(),
+    from,
+    type,
+    to,
+    note: optionalText(payload?.note, 300) || null,
+    createdAt: new Date().toISOString(),
+    createdBy: actor,
+    removedAt: null,
+  };
+  store.agentGraphByApiKey.set(account.apiKey, pruneRemoved([relationship, ...relationshipsFor(account.apiKey)]));
+  scheduleFlush();
+  return { status: 201, body: { relationship } };
+}
+
+export function listRelationships({ account, query = {} }) {
+  const type = String(query.type ?? "").trim().toLowerCase();
+  if (type && !RELATIONSHIP_TYPES.includes(type)) {
+    return { status: 400, body: { error: `type must be one of: ${RELATIONSHIP_TYPES.join(", ")}.` } };
+  }
+  const agentId = query.agentId ? resolveAgentId(account.apiKey, query.agentId) : "";
+  const includeRemoved = String(query.includeRemoved ?? "").trim().toLowerCase() === "true";
+
+  const relationships = relationshipsFor(account.apiKey).filter(
+    (relationship) =>
+      (includeRemoved || !relationship.removedAt) &&
+      (!type || relationship.type === type) &&
+      (!agentId || relationship.from === agentId || relationship.to === agentId)
+  );
+  return { status: 200, body: { count: relationships.length, relationships } };
+}
+
+export function removeRelationship({ account, relationshipId }) {
+  const relationship = relationshipsFor(account.apiKey).find(
+    (entry) => entry.id === String(relationshipId ?? "").trim() && !entry.removedAt
+  );
+  if (!relationship) return { status: 404, body: { error: "Relationship not found." } };
+  relationship.removedAt = new Date().toISOString();
+  scheduleFlush();
+  return { status: 200, body: { relationship } };
+}
+
+/**
+ * Agents within `maxDepth` hops over the given relationship types, in either
+ * direction, nearest first. Each is reported once, at its shortest distance,
+ * with the relationship of the hop that reached it.
+ */
+export function relatedAgents(apiKey, agentId, { types, maxDepth = 1, asOfMs = null }) {
+  const relationships = activeRelationships(apiKey, asOfMs).filter((relationship) => types.includes(relationship.type));
+  const found = new Map([[agentId, null]]);
+  let frontier = [agentId];
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth += 1) {
+    const next = [];
+    for (const current of frontier) {
+      for (const relationship of relationships) {
+        let other = null;
+        if (relationship.from === current) other = relationship.to;
+        else if (relationship.to === current) other = relationship.from;
+        if (!other || found.has(other)) continue;
+        found.set(other, { agentId: other, relationship: relationship.type, via: current, depth });
+        next.push(other);
+      }
+    }
+    frontier = next;
+  }
+  return [...found.values()].filter(Boolean);
+}
+
+/** Direct operators and delegators of an agent. */
+export function parentAgents(apiKey, agentId, { asOfMs = null } = {}) {
+  return parentsOf(activeRelationships(apiKey, asOfMs), agentId).map((relationship) => ({
+    agentId: relationship.from,
+    relationship: relationship.type,
+  }));
+}
+
+export function defaultTransitiveTrust() {
+  return { negativeShare: 0, relationshipTypes: [...RELATIONSHIP_TYPES], maxDepth: 1, capByParent: false };
+}
+
+export function transitiveTrustEnabled(config) {
+  return Boolean(config) && (config.negativeShare > 0 || config.capByParent === true);
+}
+
+/**
+ * Validates `transitiveTrust` on policy save. Fields merge into the stored
+ * settings; `null` turns inheritance off.
+ */
+export function normalizeTransitiveTrust(input, current = defaultTransitiveTrust()) {
+  if (input === undefined) return undefined;
+  if (input === null) return defaultTransitiveTrust();
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("transitiveTrust must be an object.");
+  }
+
+  const next = { ...current };
+  if (input.negativeShare !== undefined) {
+    const share = Number(input.negativeShare);
+    if (typeof input.negativeShare === "boolean" || !Number.isFinite(share) || share < 0 || share > 1) {
+      throw new Error("transitiveTrust.negativeShare must be a number between 0 and 1.");
+    }
+    next.negativeShare = share;
+  }
+  if (input.relationshipTypes !== undefined) {
+    const types = Array.isArray(input.relationshipTypes)
+      ? [...new Set(input.relationshipTypes.map((type) => String(type).trim().toLowerCase()))]
+      : [];
+    if (types.length === 0 || !types.every((type) => RELATIONSHIP_TYPES.includes(type))) {
+      throw new Error(`transitiveTrust.relationshipTypes must be a non-empty array of: ${RELATIONSHIP_TYPES.join(", ")}.`);
+    }
+    next.relationshipTypes = types;
+  }
+  if (input.maxDepth !== undefined) {
+    const depth = Number(input.maxDepth);
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_DEPTH) {
+      throw new Error(`transitiveTrust.maxDepth must be an integer between 1 and ${MAX_DEPTH}.`);
+    }
+    next.maxDepth = depth;
+  }
+  if (input.capByParent !== undefined) {
+    if (typeof input.capByParent !== "boolean") throw new Error("transitiveTrust.capByParent must be boolean.");
+    next.capByParent = input.capByParent;
+  }
+  return next;
+}
@@ -0,0 +1,188 @@
+import { resolveAgentId } from "./agent-aliases.js";
+import { scheduleFlush } from "./persistence.js";
+import { rateLimited, scoreAccountAgents } from "./service.js";
+import { getAgentEvents, listAccountAgentEvents, store } from "./store.js";
+
+const MAX_PROFILES_PER_KEY = 5000;
+const MAX_TAGS = 20;
+const MAX_METADATA_KEYS = 50;
+const SCORE_BANDS = ["Very High", "High", "Medium", "Low", "Very Low"];
+
+function profilesFor(apiKey) {
+  return store.agentProfilesByApiKey.get(apiKey) ?? {};
+}
+
+function textField(payload, field, maxLength) {
+  const value = payload[field];
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") throw new Error(`${field} must be a string.`);
+  return value.trim().slice(0, maxLength) || null;
+}
+
+function normalizeTags(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input) || !input.every((tag) => typeof tag === "string")) {
+    throw new Error("tags must be an array of strings.");
+  }
+  const tags = [...new Set(input.map((tag) => tag.trim().toLowerCase().slice(0, 40)).filter(Boolean))];
+  if (tags.length > MAX_TAGS) throw new Error(`tags accepts at most ${MAX_TAGS} entries.`);
+  return tags;
+}
+
+function normalizeMetadata(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== "object" || Array.isArray(input)) throw new Error("metadata must be an object.");
+  const entries = Object.entries(input);
+  if (entries.length > MAX_METADATA_KEYS) {
+    throw new Error(`metadata accepts at most ${MAX_METADATA_KEYS} keys.`);
+  }
+  const metadata = {};
+  for (const [key, value] of entries) {
+    const name = key.trim().slice(0, 60);
+    if (!name) throw new Error("metadata keys must be non-empty.");
+    if (typeof value === "string") metadata[name] = value.slice(0, 500);
+    else if (value === null || typeof value === "boolean" || Number.isFinite(value)) metadata[name] = value;
+    else throw new Error(`metadata.${name} must be a string, number, boolean or null.`);
+  }
+  return metadata;
+}
+
+function normalizeBand(input) {
+  const wanted = String(input ?? "").trim().toLowerCase().replace(/[-_\s]+/g, " ");
+  return SCORE_BANDS.find((band) => band.toLowerCase() === wanted) ?? null;
+}
+
+function summaryOf(profile) {
+  const { displayName, owner, framework, environment, tags, metadata } = profile;
+  return { displayName, owner, framework, environment, tags, metadata };
+}
+
+/**
+ * Descriptive fields of an agent's profile, or null when none is stored. Score
+ * responses, reports, webhook payloads and the admin snapshot embed this.
+ */
+export function profileSummary(apiKey, agentId) {
+  const profile = profilesFor(apiKey)[resolveAgentId(apiKey, agentId)];
+  return profile ? summaryOf(profile) : null;
+}
+
+export function getAgentProfile({ account, agentId }) {
+  const canonical = resolveAgentId(account.apiKey, agentId);
+  if (!canonical) return { status: 400, body: { error: "agentId is required." } };
+
+  const profile = profilesFor(account.apiKey)[canonical];
+  if (profile) return { status: 200, body: { agent: profile } };
+  if (getAgentEvents(`${account.apiKey}::${canonical}`).length === 0) {
+    return { status: 404, body: { error: "Agent not found." } };
+  }
+  // Agents known only from their events have an empty profile.
+  return {
+    status: 200,
+    body: {
+      agent: {
+        agentId: canonical,
+        displayName: null,
+        owner: null,
+        framework: null,
+        environment: null,
+        tags: [],
+        metadata: {},
+        createdAt: null,
+        updatedAt: null,
+        updatedBy: null,
+      },
+    },
+  };
+}
+
+/** Replaces the stored profile; fields left out are cleared. */
+export function putAgentProfile({ account, agentId, payload, actor = null }) {
+  const canonical = resolveAgentId(account.apiKey, agentId);
+  if (!canonical) return { status: 400, body: { error: "agentId is required." } };
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { status: 400, body: { error: "Profile body must be a JSON object." } };
+  }
+
+  let fields;
+  try {
+    fields = {
+      displayName: textField(payload, "displayName", 120),
+      owner: textField(payload, "owner", 120),
+      framework: textField(payload, "framework", 60),
+      environment: textField(payload, "environment", 40)?.toLowerCase() ?? null,
+      tags: normalizeTags(payload.tags),
+      metadata: normalizeMetadata(payload.metadata),
+    };
+  } catch (error) {
+    return { status: 400, body: { error: error instanceof Error ? error.message : "Invalid profile." } };
+  }
+
+  const profiles = profilesFor(account.apiKey);
+  const existing = profiles[canonical];
+  if (!existing && Object.keys(profiles).length >= MAX_PROFILES_PER_KEY) {
+    return { status: 402, body: { error: `Agent profile limit reached (${MAX_PROFILES_PER_KEY} per API key).` } };
+  }
+
+  const now = new Date().toISOString();
+  const profile = {
+    agentId: canonical,
+    ...fields,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    updatedBy: actor,
+  };
+  store.agentProfilesByApiKey.set(account.apiKey, { ...profiles, [canonical]: profile });
+  scheduleFlush();
+  return { status: existing ? 200 : 201, body: { agent: profile } };
+}
+
+/**
+ * Every agent on the key, whether known from events or only from a profile,
+ * with its current score. Filters by tag and score band (the score `level`).
+ * Without a band only the page being returned is scored.
+ */
+export function listAgents({ account, query = {} }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "scoreReads" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for score checks." } };
+  }
+
+  const tag = String(query.tag ?? "").trim().toLowerCase();
+  const band = query.band ? normalizeBand(query.band) : null;
+  if (query.band && !band) {
+    return { status: 400, body: { error: `band must be one of: ${SCORE_BANDS.join(", ")}.` } };
+  }
+  const rawLimit = Number(query.limit ?? 100);
+  const limit = Number.isFinite(rawLimit) ? Math.max(1, Math.min(500, Math.floor(rawLimit))) : 100;
+
+  const profiles = profilesFor(account.apiKey);
+  const lastSeenById = new Map();
+  for (const { agentId, events } of listAccountAgentEvents(account.apiKey)) {
+    // Merged and backfilled histories are not in time order.
+    let lastSeen = null;
+    for (const event of events) {
+      if (!lastSeen || Date.parse(event.createdAt) > Date.parse(lastSeen)) lastSeen = event.createdAt;
+    }
+    lastSeenById.set(agentId, lastSeen);
+  }
+  const agentIds = new Set([...lastSeenById.keys(), ...Object.keys(profiles)]);
+
+  const candidates = [];
+  for (const agentId of agentIds) {
+    // A merged agent's leftover profile is reached through the target.
+    if (resolveAgentId(account.apiKey, agentId) !== agentId) continue;
+    const profile = profiles[agentId] ? summaryOf(profiles[agentId]) : null;
+    if (tag && !profile?.tags.includes(tag)) continue;
+    candidates.push({ agentId, profile, lastSeenAt: lastSeenById.get(agentId) ?? null });
+  }
+  candidates.sort((a, b) => String(b.lastSeenAt ?? "").localeCompare(String(a.lastSeenAt ?? "")));
+
+  const toScore = band ? candidates : candidates.slice(0, limit);
+  const scores = scoreAccountAgents({ account, agentIds: toScore.map((row) => row.agentId) });
+  const rows = [];
+  for (const { agentId, profile, lastSeenAt } of toScore) {
+    const score = scores.get(agentId);
+    if (band && score.level !== band) continue;
+    rows.push({ agentId, profile, score: score.score, level: score.level, lastSeenAt });
+  }
+  return { status: 200, body: { count: band ? rows.length : candidates.length, agents: rows.slice(0, limit) } };
+}
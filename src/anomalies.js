@@ -0,0 +1,94 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Each rule tolerates `threshold` events per window within one group; every
+// event beyond that is flagged and its contribution multiplied by `dampening`.
+const ANOMALY_RULES = [
+  {
+    type: "positive_burst",
+    windowMs: HOUR_MS,
+    threshold: 5,
+    dampening: 0.25,
+    applies: (event) => event.kind === "positive",
+    // A sourceType is shared by every integration of that kind, so events
+    // without a source are grouped together rather than by sourceType.
+    groupKey: (event) => String(event.source || "unknown").trim().toLowerCase(),
+    groupField: "source",
+  },
+  {
+    type: "negative_flood",
+    windowMs: HOUR_MS,
+    threshold: 5,
+    dampening: 0.35,
+    applies: (event) => event.kind === "negative",
+    groupKey: () => "agent",
+    groupField: null,
+  },
+  {
+    type: "self_reported_repeat",
+    windowMs: DAY_MS,
+    threshold: 3,
+    dampening: 0.5,
+    applies: (event) => String(event.sourceType ?? "").trim().toLowerCase() === "self_reported",
+    groupKey: (event) => String(event.eventType ?? "").trim().toLowerCase(),
+    groupField: "eventType",
+  },
+];
+
+function eventMillis(event) {
+  const ms = new Date(event.createdAt).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function excessEvents(sortedEvents, windowMs, threshold) {
+  const excess = [];
+  let windowStart = 0;
+  for (let index = 0; index < sortedEvents.length; index += 1) {
+    const { ms } = sortedEvents[index];
+    while (sortedEvents[windowStart].ms < ms - windowMs) windowStart += 1;
+    if (index - windowStart + 1 > threshold) excess.push(sortedEvents[index]);
+  }
+  return excess;
+}
+
+export function detectAnomalies(events) {
+  const flags = [];
+  const dampening = new Map();
+
+  for (const rule of ANOMALY_RULES) {
+    const groups = new Map();
+    for (const event of events) {
+      if (!rule.applies(event)) continue;
+      const ms = eventMillis(event);
+      if (ms === null) continue;
+      const key = rule.groupKey(event);
+      const group = groups.get(key) ?? [];
+      group.push({ event, ms });
+      groups.set(key, group);
+    }
+
+    for (const [key, group] of groups.entries()) {
+      group.sort((a, b) => a.ms - b.ms);
+      const excess = excessEvents(group, rule.windowMs, rule.threshold);
+      if (excess.length === 0) continue;
+
+      for (const { event } of excess) {
+        dampening.set(event, Math.min(dampening.get(event) ?? 1, rule.dampening));
+      }
+
+      flags.push({
+        type: rule.type,
+        ...(rule.groupField ? { [rule.groupField]: key } : {}),
+        windowMinutes: rule.windowMs / 60000,
+        threshold: rule.threshold,
+        dampenedEvents: excess.length,
+        dampening: rule.dampening,
+        eventIds: excess.map(({ event }) => event.id).filter(Boolean),
+        firstAt: new Date(excess[0].ms).toISOString(),
+        lastAt: new Date(excess[excess.length - 1].ms).toISOString(),
+      });
+    }
+  }
+
+  return { flags, dampening };
+}
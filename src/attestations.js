@@ -1,6 +1,6 @@
 import crypto from "node:crypto";
 
-import { normalizeAgentId } from "./agent-id.js";
+import { resolveAgentId } from "./agent-aliases.js";
 import { scheduleFlush } from "./persistence.js";
 import { store } from "./store.js";
 
@@ -83,7 +83,7 @@ function listForApiKey(apiKey) {
 }
 
 export function getMissingAttestations({ apiKey, agentId, requiredTypes }) {
-  const normalizedAgentId = normalizeAgentId(agentId);
+  const normalizedAgentId = resolveAgentId(apiKey, agentId);
   const needed = Array.isArray(requiredTypes)
     ? requiredTypes.map(normalizeType).filter(Boolean)
     : [];
@@ -92,7 +92,7 @@ export function getMissingAttestations({ apiKey, agentId, requiredTypes }) {
   const list = listForApiKey(apiKey);
   const active = new Set(
     list
-      .filter((entry) => entry.agentId === normalizedAgentId)
+      .filter((entry) => resolveAgentId(apiKey, entry.agentId) === normalizedAgentId)
       .filter((entry) => currentStatus(entry) === "active")
       .map((entry) => entry.type)
   );
@@ -118,7 +118,7 @@ function sanitizeClaims(claims) {
 }
 
 export function issueAttestation({ account, payload }) {
-  const agentId = normalizeAgentId(payload.agentId);
+  const agentId = resolveAgentId(account.apiKey, payload.agentId);
   const type = normalizeType(payload.type);
   const ttlDaysRaw = Number(payload.ttlDays ?? 90);
   const ttlDays = Number.isFinite(ttlDaysRaw) ? Math.max(1, Math.min(365, Math.floor(ttlDaysRaw))) : 90;
@@ -193,7 +193,7 @@ export function issueAttestation({ account, payload }) {
 }
 
 export function listAttestations({ account, query }) {
-  const agentIdFilter = normalizeAgentId(query.agentId ?? "");
+  const agentIdFilter = resolveAgentId(account.apiKey, query.agentId ?? "");
   const typeFilter = normalizeType(query.type ?? "");
   const statusFilter = normalizeType(query.status ?? "");
   const includeToken = String(query.includeToken ?? "").trim().toLowerCase() === "true";
@@ -205,7 +205,7 @@ export function listAttestations({ account, query }) {
       ...entry,
       status: currentStatus(entry),
     }))
-    .filter((entry) => (agentIdFilter ? entry.agentId === agentIdFilter : true))
+    .filter((entry) => (agentIdFilter ? resolveAgentId(account.apiKey, entry.agentId) === agentIdFilter : true))
     .filter((entry) => (typeFilter ? entry.type === typeFilter : true))
     .filter((entry) => (statusFilter ? entry.status === statusFilter : true))
     .slice(0, limit)
@@ -1,4 +1,5 @@
 import { scheduleFlush } from "./persistence.js";
+import { resolvePolicy } from "./policy.js";
 import { appendDecisionLog, listDecisionLogs } from "./store.js";
 
 function toSafeInt(value, fallback) {
@@ -19,12 +20,17 @@ function csvEscape(value) {
 
 export function logDecision(args) {
   const { account, action, agentId, outcome, score, reason, metadata = {} } = args;
+  // Record the policy and version the decision ran under so audits can replay it.
+  const policyName = args.policyName ?? "default";
+  const policyVersion = args.policyVersion ?? resolvePolicy(account.apiKey, policyName)?.policy.version ?? null;
   const entry = appendDecisionLog(account.apiKey, {
     action,
     agentId,
     outcome,
     score,
     reason,
+    policyName,
+    policyVersion,
     metadata,
   });
   scheduleFlush();
@@ -39,7 +45,7 @@ export function getDecisionLogs(args) {
   const rows = listDecisionLogs(account.apiKey).slice(0, limit);
 
   if (format === "csv") {
-    const header = ["timestamp", "action", "agentId", "outcome", "score", "reason", "metadata"];
+    const header = ["timestamp", "action", "agentId", "outcome", "score", "reason", "metadata", "policyVersion", "policyName"];
     const lines = [header.join(",")];
 
     for (const row of rows) {
@@ -52,6 +58,8 @@ export function getDecisionLogs(args) {
           csvEscape(typeof row.score === "number" ? row.score : ""),
           csvEscape(row.reason ?? ""),
           csvEscape(JSON.stringify(row.metadata ?? {})),
+          csvEscape(row.policyVersion ?? ""),
+          csvEscape(row.policyName ?? ""),
         ].join(",")
       );
     }
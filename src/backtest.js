@@ -0,0 +1,273 @@
+import { PREFLIGHT_ACTIONS } from "./action-profiles.js";
+import { resolveAgentId } from "./agent-aliases.js";
+import { evaluatePreflight } from "./clawcredit.js";
+import { getEventCatalog } from "./event-types.js";
+import { DEFAULT_POLICY_NAME, previewPolicy, previewPolicyPreset, resolvePolicy } from "./policy.js";
+import { scoreAgent } from "./scoring.js";
+import { withInheritedInfluence } from "./service.js";
+import { getSourceReputation, sourceReputationTimeline } from "./source-reputation.js";
+import { getAgentEvents, listAccountAgentEvents, listDecisionLogs } from "./store.js";
+import { velocityEntry, velocityUsage } from "./velocity.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const DEFAULT_BACKTEST_DAYS = 30;
+const MAX_BACKTEST_DAYS = 365;
+const MAX_LISTED_FLIPS = 50;
+const MAX_AFFECTED_AGENTS = 10;
+const OUTCOMES = ["allow", "review", "block"];
+const PREFLIGHT_LOG_ACTIONS = new Set([
+  "clawcredit_preflight",
+  ...PREFLIGHT_ACTIONS.map((action) => `${action}_preflight`),
+]);
+
+function candidatePolicy(account, target, payload) {
+  if (payload.preset !== undefined && payload.policy !== undefined) {
+    throw new Error("Provide either policy or preset, not both.");
+  }
+  if (payload.preset !== undefined) {
+    return { policy: previewPolicyPreset(payload.preset), source: `preset:${String(payload.preset).trim().toLowerCase()}` };
+  }
+  if (payload.policy !== undefined) {
+    return { policy: previewPolicy(account.apiKey, payload.policy, target.policy), source: "candidate" };
+  }
+  throw new Error("policy (object) or preset (name) is required.");
+}
+
+function countOutcomes() {
+  return Object.fromEntries(OUTCOMES.map((outcome) => [outcome, 0]));
+}
+
+function agentImpact(impacts, agentId) {
+  const existing = impacts.get(agentId);
+  if (existing) return existing;
+  const impact = { agentId, currentScore: null, candidateScore: null, scoreDelta: 0, decisions: 0, decisionsFlipped: 0 };
+  impacts.set(agentId, impact);
+  return impact;
+}
+
+function scoreStats(deltas) {
+  if (deltas.length === 0) return { mean: 0, min: 0, max: 0 };
+  const total = deltas.reduce((sum, value) => sum + value, 0);
+  return {
+    mean: Number((total / deltas.length).toFixed(2)),
+    min: Math.min(...deltas),
+    max: Math.max(...deltas),
+  };
+}
+
+function timestampOf(log) {
+  return Date.parse(String(log.timestamp ?? ""));
+}
+
+// Replays preflight decisions made under the target policy with the score the
+// candidate policy would have produced at the moment of each decision.
+// Attestation gates use the current attestation state, since attestation
+// history is not kept. Velocity usage is rebuilt from the log in time order:
+// decisions before the window or under another policy count as logged,
+// replayed ones count unless the candidate blocks them, as live.
+function replayDecisions({ account, policyName, policy, eventCatalog, logs, fromMs, impacts }) {
+  const transitions = {};
+  const before = countOutcomes();
+  const after = countOutcomes();
+  const flips = [];
+  const scoreDeltas = [];
+  const velocityEntries = new Map();
+  let replayed = 0;
+  let skipped = 0;
+  let otherPolicies = 0;
+  let velocityEscalations = 0;
+  const sourceReputationAsOf = sourceReputationTimeline(account.apiKey);
+
+  // The log is newest first; reversing keeps same-millisecond entries in order.
+  const ordered = [...logs].reverse().sort((a, b) => timestampOf(a) - timestampOf(b));
+  for (const log of ordered) {
+    const timestampMs = timestampOf(log);
+    const inWindow = timestampMs >= fromMs;
+    if (!log.agentId || !OUTCOMES.includes(log.outcome)) {
+      if (inWindow) skipped += 1;
+      continue;
+    }
+
+    // Decisions logged under an agent that was merged since replay on the merged history.
+    const agentId = resolveAgentId(account.apiKey, log.agentId);
+    const metadata = log.metadata ?? {};
+    const riskInputs = metadata.riskInputs ?? null;
+    const action = metadata.preflightAction ?? "payment";
+    const usage = velocityEntry({ action, payload: riskInputs ?? {}, nowMs: timestampMs });
+    if (!velocityEntries.has(agentId)) velocityEntries.set(agentId, []);
+    const entries = velocityEntries.get(agentId);
+    const underTarget = (log.policyName ?? DEFAULT_POLICY_NAME) === policyName;
+    if (!inWindow || !underTarget) {
+      if (log.outcome !== "block") entries.push(usage);
+      if (inWindow) otherPolicies += 1;
+      continue;
+    }
+
+    const context = { eventCatalog, sourceReputation: sourceReputationAsOf(timestampMs) };
+    const trust = withInheritedInfluence({
+      account,
+      normalizedAgentId: agentId,
+      score: scoreAgent(agentId, getAgentEvents(`${account.apiKey}::${agentId}`), { policy, ...context, asOf: timestampMs }),
+      policy,
+      context,
+      asOfMs: timestampMs,
+    });
+    const replay = evaluatePreflight({
+      account,
+      agentId,
+      payload: riskInputs ?? {},
+      policyConfig: policy,
+      trust,
+      riskPenalty: riskInputs ? undefined : Number(metadata.riskPenalty ?? 0),
+      action,
+      velocity: velocityUsage({
+        entries,
+        action,
+        payload: riskInputs ?? {},
+        limits: policy.velocityLimits ?? [],
+        nowMs: timestampMs,
+      }),
+    });
+    if (replay.status !== 200) {
+      skipped += 1;
+      continue;
+    }
+
+    replayed += 1;
+    const outcome = replay.body.decision;
+    if (outcome !== "block") entries.push(usage);
+    if (replay.body.policy.ruleFired?.source === "velocity") velocityEscalations += 1;
+    before[log.outcome] += 1;
+    after[outcome] += 1;
+    const recordedScore = Number.isFinite(Number(metadata.trustScore)) ? Number(metadata.trustScore) : null;
+    const scoreDelta = recordedScore === null ? null : trust.score - recordedScore;
+    if (scoreDelta !== null) scoreDeltas.push(scoreDelta);
+
+    const impact = agentImpact(impacts, agentId);
+    impact.decisions += 1;
+    if (outcome === log.outcome) continue;
+
+    const key = `${log.outcome}->${outcome}`;
+    transitions[key] = (transitions[key] ?? 0) + 1;
+    impact.decisionsFlipped += 1;
+    flips.push({
+      logId: log.id,
+      timestamp: log.timestamp,
+      agentId,
+      action,
+      before: log.outcome,
+      after: outcome,
+      recordedTrustScore: recordedScore,
+      candidateTrustScore: trust.score,
+      candidateAdjustedScore: replay.body.policy.adjustedScore,
+      candidateRuleFired: replay.body.policy.ruleFired?.id ?? null,
+      reason: replay.body.reason,
+    });
+  }
+
+  return {
+    replayed,
+    skipped,
+    otherPolicies,
+    flipped: Object.values(transitions).reduce((sum, count) => sum + count, 0),
+    before,
+    after,
+    transitions,
+    velocityEscalations,
+    trustScoreDelta: scoreStats(scoreDeltas),
+    // Newest first, like the decision log.
+    flips: flips.reverse().slice(0, MAX_LISTED_FLIPS),
+  };
+}
+
+export function backtestPolicy({ account, payload }) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { status: 400, body: { error: "Backtest payload must be a JSON object." } };
+  }
+
+  let target;
+  let candidate;
+  try {
+    target = resolvePolicy(account.apiKey, payload.policyName);
+    if (!target) return { status: 404, body: { error: "Policy not found." } };
+    candidate = candidatePolicy(account, target, payload);
+  } catch (error) {
+    return { status: 400, body: { error: error instanceof Error ? error.message : "Invalid candidate policy." } };
+  }
+
+  const days = payload.days === undefined ? DEFAULT_BACKTEST_DAYS : Number(payload.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_BACKTEST_DAYS) {
+    return { status: 400, body: { error: `days must be an integer between 1 and ${MAX_BACKTEST_DAYS}.` } };
+  }
+
+  const toMs = Date.now();
+  const fromMs = toMs - days * DAY_MS;
+  const eventCatalog = getEventCatalog(account.apiKey);
+  const currentPolicy = target.policy;
+  const context = { eventCatalog, sourceReputation: getSourceReputation(account.apiKey) };
+  const scoreUnder = (policy, agentId, events) =>
+    withInheritedInfluence({
+      account,
+      normalizedAgentId: agentId,
+      score: scoreAgent(agentId, events, { policy, ...context }),
+      policy,
+      context,
+      asOfMs: null,
+    });
+  const impacts = new Map();
+
+  const agentDeltas = [];
+  for (const { agentId, events } of listAccountAgentEvents(account.apiKey)) {
+    const current = scoreUnder(currentPolicy, agentId, events);
+    const projected = scoreUnder(candidate.policy, agentId, events);
+    const impact = agentImpact(impacts, agentId);
+    impact.currentScore = current.score;
+    impact.candidateScore = projected.score;
+    impact.scoreDelta = projected.score - current.score;
+    agentDeltas.push(impact.scoreDelta);
+  }
+
+  // Earlier decisions seed the candidate's velocity windows.
+  const velocityLimits = candidate.policy.velocityLimits ?? [];
+  const historyFromMs = fromMs - Math.max(0, ...velocityLimits.map((limit) => limit.windowMinutes)) * MINUTE_MS;
+  const logs = listDecisionLogs(account.apiKey).filter((log) => {
+    if (!PREFLIGHT_LOG_ACTIONS.has(log.action)) return false;
+    const timestampMs = timestampOf(log);
+    return Number.isFinite(timestampMs) && timestampMs >= historyFromMs;
+  });
+  const decisions = replayDecisions({
+    account,
+    policyName: target.name,
+    policy: candidate.policy,
+    eventCatalog,
+    logs,
+    fromMs,
+    impacts,
+  });
+
+  const mostAffected = [...impacts.values()]
+    .filter((impact) => impact.scoreDelta !== 0 || impact.decisionsFlipped > 0)
+    .sort((a, b) => b.decisionsFlipped - a.decisionsFlipped || Math.abs(b.scoreDelta) - Math.abs(a.scoreDelta))
+    .slice(0, MAX_AFFECTED_AGENTS);
+
+  return {
+    status: 200,
+    body: {
+      policyName: target.name,
+      policySource: candidate.source,
+      window: {
+        days,
+        from: new Date(fromMs).toISOString(),
+        to: new Date(toMs).toISOString(),
+      },
+      decisions,
+      agents: {
+        evaluated: agentDeltas.length,
+        changed: agentDeltas.filter((delta) => delta !== 0).length,
+        scoreDelta: scoreStats(agentDeltas),
+        mostAffected,
+      },
+    },
+  };
+}
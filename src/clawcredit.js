@@ -1,66 +1,88 @@
-import { normalizeAgentId } from "./agent-id.js";
-import { scoreForAccountAgent } from "./service.js";
+import { resolveAgentId } from "./agent-aliases.js";
+import { scoreForAccountAgent, selectPolicy } from "./service.js";
 import { logDecision } from "./audit.js";
-import { getPolicy } from "./policy.js";
 import { getMissingAttestations } from "./attestations.js";
+import { resolveActionProfile } from "./action-profiles.js";
+import { BUILTIN_RISK_MODEL, riskModelFields, scoreRisk } from "./risk-model.js";
+import { openReview } from "./reviews.js";
+import { evaluateDecisionRules } from "./rules.js";
+import { applyVelocity, checkVelocity, recordVelocity } from "./velocity.js";
 
-function toNumber(value, fallback = 0) {
-  const num = Number(value);
-  return Number.isFinite(num) ? num : fallback;
-}
-
-export function riskFromPayload(payload) {
-  let risk = 0;
+const RISK_INPUT_FIELDS = [
+  "amountUsd",
+  "newPayee",
+  "firstTimeCounterparty",
+  "highPrivilegeAction",
+  "exposesApiKeys",
+  "scoreBasis",
+];
 
-  const amountUsd = toNumber(payload.amountUsd, 0);
-  if (amountUsd >= 1000) risk += 10;
-  if (amountUsd >= 5000) risk += 15;
-  if (amountUsd >= 20000) risk += 20;
-
-  if (payload.newPayee === true) risk += 15;
-  if (payload.firstTimeCounterparty === true) risk += 10;
-  if (payload.highPrivilegeAction === true) risk += 20;
-  if (payload.exposesApiKeys === true) risk += 25;
+export function riskFromPayload(payload, model = BUILTIN_RISK_MODEL) {
+  return scoreRisk(model, payload).total;
+}
 
-  return Math.min(risk, 60);
+function resolveScoreBasis(payload, policyConfig) {
+  const scoreBasis = String(payload.scoreBasis ?? policyConfig.preflightScoreBasis ?? "point").trim().toLowerCase();
+  return scoreBasis === "point" || scoreBasis === "lower_bound" ? scoreBasis : null;
 }
 
-export function clawCreditPreflight({ account, payload }) {
-  const agentId = normalizeAgentId(payload.agentId);
-  if (!agentId) {
-    return { status: 400, body: { error: "agentId is required." } };
+// Pure decision step shared by the live preflight and score simulation: it
+// reads attestations but never logs or persists anything.
+// `riskPenalty` overrides the payload-derived penalty when replaying logs that
+// predate stored risk inputs.
+export function evaluatePreflight({
+  account,
+  agentId,
+  payload,
+  policyConfig,
+  trust,
+  riskPenalty: storedRiskPenalty,
+  action = "payment",
+  velocity = null,
+}) {
+  const scoreBasis = resolveScoreBasis(payload, policyConfig);
+  if (!scoreBasis) {
+    return { status: 400, body: { error: "scoreBasis must be one of: point, lower_bound." } };
   }
 
-  const trust = scoreForAccountAgent({ account, agentId });
   const behavior = trust.behavior;
-  const riskPenalty = riskFromPayload(payload);
-  const policyConfig = getPolicy(account.apiKey);
+  const profile = resolveActionProfile(action, policyConfig);
+  const risk = scoreRisk(profile.riskModel, payload);
+  const riskPenalty = storedRiskPenalty ?? risk.total;
+  // Deciding on the lower bound makes thin or low-quality evidence count
+  // against the agent instead of being taken at face value.
+  const trustScore = scoreBasis === "lower_bound" ? trust.scoreRange.low : trust.score;
   let behaviorPenalty = 0;
   let behaviorCredit = 0;
   if (behavior.score < 40) behaviorPenalty = 12;
   else if (behavior.score < 55) behaviorPenalty = 6;
   else if (behavior.score >= 85) behaviorCredit = 3;
 
-  const adjustedScore = Math.max(0, trust.score - riskPenalty - behaviorPenalty + behaviorCredit);
-
-  let decision = "allow";
-  let reason = `Trust score ${trust.score} and behavior score ${behavior.score} are acceptable for this action.`;
-
-  if (trust.score < 35) {
-    decision = "block";
-    reason = `Blocked: trust score ${trust.score} is below hard minimum 35.`;
-  } else if (trust.breakdown.severeNegative30d >= 2 && riskPenalty >= 20) {
-    decision = "block";
-    reason = `Blocked: severe trust incidents with high-risk context.`;
-  } else if (adjustedScore < 35) {
-    decision = "block";
-    reason = `Blocked: decision score ${adjustedScore} is below hard minimum 35.`;
-  } else if (adjustedScore < 55) {
-    decision = "review";
-    reason = `Manual review required: decision score ${adjustedScore} is in caution band.`;
-  }
-
+  const adjustedScore = Math.max(0, trustScore - riskPenalty - behaviorPenalty + behaviorCredit);
+  const trustLabel = scoreBasis === "lower_bound" ? "trust score lower bound" : "trust score";
   const requiredAttestations = policyConfig.requiredAttestations ?? [];
+  const activeAttestations = new Map();
+  const hasAttestation = (type) => {
+    if (!activeAttestations.has(type)) {
+      const missing = getMissingAttestations({ apiKey: account.apiKey, agentId, requiredTypes: [type] });
+      activeAttestations.set(type, missing.length === 0);
+    }
+    return activeAttestations.get(type);
+  };
+
+  let { decision, reason, ruleFired } = evaluateDecisionRules(profile.decisionRules, {
+    agentId,
+    payload,
+    trust,
+    trustLabel,
+    decisionTrustScore: trustScore,
+    adjustedScore,
+    riskPenalty,
+    riskFactorPoints: (id) => risk.factors.find((factor) => factor.id === id)?.points ?? 0,
+    hasAttestation,
+    missingRequiredAttestations: () => requiredAttestations.filter((type) => !hasAttestation(type)),
+  }, profile.rulesSource);
+
   const attestationRiskThreshold = Number(policyConfig.requireAttestationsForRiskAbove ?? 25);
   const attestationGateApplies = requiredAttestations.length > 0 && riskPenalty >= attestationRiskThreshold;
   const missingAttestations = attestationGateApplies
@@ -76,10 +98,15 @@ export function clawCreditPreflight({ account, payload }) {
     if (decision !== "block") {
       decision = failDecision;
       reason = `${failDecision === "block" ? "Blocked" : "Manual review required"}: missing required attestations for high-risk action (${missingAttestations.join(", ")}).`;
+      ruleFired = { id: "attestation_gate", index: null, source: "builtin", decision };
     }
   }
 
-  const result = {
+  if (velocity) {
+    ({ decision, reason, ruleFired } = applyVelocity({ decision, reason, ruleFired }, velocity));
+  }
+
+  return {
     status: 200,
     body: {
       integration: "clawcredit",
@@ -89,7 +116,9 @@ export function clawCreditPreflight({ account, payload }) {
         agentId,
         score: trust.score,
         level: trust.level,
-        explanation: trust.explanation
+        explanation: trust.explanation,
+        scoreRange: trust.scoreRange,
+        confidence: trust.confidence,
       },
       behavior: {
         score: behavior.score,
@@ -97,8 +126,14 @@ export function clawCreditPreflight({ account, payload }) {
         explanation: behavior.explanation,
       },
       policy: {
+        scoreBasis,
+        decisionTrustScore: trustScore,
         adjustedScore,
         riskPenalty,
+        // A replayed penalty from an old log has no per-factor detail.
+        riskBreakdown: storedRiskPenalty === undefined
+          ? { model: profile.riskModelSource, ...risk }
+          : null,
         behaviorPenalty,
         behaviorCredit,
         attestationGate: {
@@ -108,29 +143,95 @@ export function clawCreditPreflight({ account, payload }) {
           missing: missingAttestations,
           failureDecision: policyConfig.attestationFailureDecision ?? "review",
         },
-        thresholds: {
-          blockBelow: 35,
-          reviewBelow: 55
-        }
+        velocity,
+        rules: profile.rulesSource,
+        ruleFired,
+        // Fixed thresholds only describe the built-in rules.
+        thresholds: profile.thresholds
       }
     }
   };
+}
+
+/**
+ * Scores the agent under the selected policy, decides with the action's
+ * profile and writes the decision log; a `review` outcome also opens a case in
+ * the review queue. Shared by ClawCredit preflight (payment) and the generic
+ * action preflight.
+ */
+export function runPreflight({ account, payload, action = "payment", logAction, metadata = {} }) {
+  const agentId = resolveAgentId(account.apiKey, payload.agentId);
+  if (!agentId) {
+    return { status: 400, body: { error: "agentId is required." } };
+  }
+
+  const selected = selectPolicy(account.apiKey, payload.policy);
+  if (!selected.ok) return { status: selected.status, body: { error: selected.error } };
 
-  logDecision({
+  const policyConfig = selected.policy;
+  const trust = scoreForAccountAgent({ account, agentId, policyName: selected.name });
+  const velocity = checkVelocity({
+    apiKey: account.apiKey,
+    agentId,
+    action,
+    payload,
+    limits: policyConfig.velocityLimits ?? [],
+  });
+  const result = evaluatePreflight({ account, agentId, payload, policyConfig, trust, action, velocity });
+  if (result.status !== 200) return result;
+  // Blocked attempts never happen, so they do not use up the agent's limits.
+  if (result.body.decision !== "block") {
+    recordVelocity({ apiKey: account.apiKey, agentId, action, payload });
+  }
+  result.body.policyApplied = { name: selected.name, version: policyConfig.version };
+  const { decision, reason, policy } = result.body;
+  const riskModel = resolveActionProfile(action, policyConfig).riskModel;
+
+  const logEntry = logDecision({
     account,
-    action: "clawcredit_preflight",
+    action: logAction,
     agentId,
     outcome: decision,
-    score: adjustedScore,
+    score: policy.adjustedScore,
     reason,
+    policyName: selected.name,
+    policyVersion: policyConfig.version,
     metadata: {
+      preflightAction: action,
+      ...metadata,
       trustScore: trust.score,
-      behaviorScore: behavior.score,
-      riskPenalty,
-      behaviorPenalty,
-      behaviorCredit,
+      scoreBasis: policy.scoreBasis,
+      decisionTrustScore: policy.decisionTrustScore,
+      behaviorScore: trust.behavior.score,
+      riskPenalty: policy.riskPenalty,
+      behaviorPenalty: policy.behaviorPenalty,
+      behaviorCredit: policy.behaviorCredit,
+      ruleFired: policy.ruleFired?.id ?? null,
+      velocityExceeded: velocity.exceeded,
+      riskInputs: Object.fromEntries(
+        [...new Set([...RISK_INPUT_FIELDS, ...riskModelFields(riskModel)])]
+          .filter((field) => payload[field] !== undefined)
+          .map((field) => [field, payload[field]])
+      ),
     },
   });
 
+  if (decision === "review") {
+    const review = openReview({
+      account,
+      agentId,
+      action,
+      customAction: metadata.customAction ?? null,
+      payload,
+      body: result.body,
+      decisionLogId: logEntry.id,
+    });
+    result.body.reviewId = review.id;
+  }
+
   return result;
 }
+
+export function clawCreditPreflight({ account, payload }) {
+  return runPreflight({ account, payload, action: "payment", logAction: "clawcredit_preflight" });
+}
@@ -253,3 +253,4 @@ export const SCORE_BASELINE = 50;
 export const SCORE_MIN = 0;
 export const SCORE_MAX = 100;
 export const DECAY_HALF_LIFE_DAYS = 30;
+export const OPEN_DISPUTE_MULTIPLIER = 0.5;
@@ -0,0 +1,190 @@
+import crypto from "node:crypto";
+
+import { resolveAgentId } from "./agent-aliases.js";
+import { logDecision } from "./audit.js";
+import { scheduleFlush } from "./persistence.js";
+import { scoreForAccountAgent } from "./service.js";
+import { invalidateSourceReputation } from "./source-reputation.js";
+import { findAccountEvent, store } from "./store.js";
+import { emitScoreAlerts } from "./webhooks.js";
+
+const DISPUTE_OUTCOMES = new Set(["upheld", "overturned"]);
+const DISPUTE_STATUSES = new Set(["open", "upheld", "overturned", "closed"]);
+const MAX_DISPUTES_PER_KEY = 5000;
+
+function optionalText(value, maxLength) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+}
+
+function disputesFor(apiKey) {
+  return store.disputesByApiKey.get(apiKey) ?? [];
+}
+
+// The same score GET /v1/score returns, so dispute responses, logs and alerts agree with it.
+function currentScore(account, agentId) {
+  return scoreForAccountAgent({ account, agentId });
+}
+
+async function rescoreAndAlert({ account, agentId, previousScore }) {
+  const score = currentScore(account, agentId);
+  scheduleFlush();
+  await emitScoreAlerts({
+    account,
+    agentId,
+    previousScore,
+    score: score.score,
+    notifyRecovery: true,
+  });
+  return {
+    previousScore,
+    value: score.score,
+    level: score.level,
+    explanation: score.explanation,
+  };
+}
+
+export async function openDispute({ account, payload }) {
+  const eventId = String(payload?.eventId ?? "").trim();
+  const reason = optionalText(payload?.reason, 500);
+  if (!eventId) return { status: 400, body: { error: "eventId is required." } };
+  if (!reason) return { status: 400, body: { error: "reason is required." } };
+
+  const found = findAccountEvent(account.apiKey, eventId);
+  if (!found) return { status: 404, body: { error: "Event not found." } };
+  const { agentId, event } = found;
+
+  if (event.kind !== "negative") {
+    return { status: 400, body: { error: "Only negative events can be disputed." } };
+  }
+  if (event.retractedAt || event.supersededAt) {
+    return { status: 409, body: { error: "Event was retracted or superseded and no longer counts." } };
+  }
+  if (event.dispute) {
+    return {
+      status: 409,
+      body: { error: `Event already has a dispute (${event.dispute.id}, ${event.dispute.outcome ?? "open"}).` },
+    };
+  }
+
+  const disputes = disputesFor(account.apiKey);
+  if (disputes.length >= MAX_DISPUTES_PER_KEY) {
+    return { status: 402, body: { error: `Dispute limit reached (${MAX_DISPUTES_PER_KEY} per API key).` } };
+  }
+
+  const previousScore = currentScore(account, agentId).score;
+  const now = new Date().toISOString();
+  const dispute = {
+    id: crypto.randomUUID(),
+    eventId: event.id,
+    agentId,
+    eventType: event.eventType,
+    status: "open",
+    reason,
+    openedBy: optionalText(payload?.openedBy, 120) || agentId,
+    openedAt: now,
+    outcome: null,
+    resolvedAt: null,
+    resolutionNote: null,
+  };
+
+  event.dispute = { id: dispute.id, openedAt: now, outcome: null, resolvedAt: null };
+  store.disputesByApiKey.set(account.apiKey, [dispute, ...disputes]);
+
+  const score = await rescoreAndAlert({ account, agentId, previousScore });
+  logDecision({
+    account,
+    action: "dispute_open",
+    agentId,
+    outcome: "open",
+    score: score.value,
+    reason,
+    metadata: {
+      disputeId: dispute.id,
+      eventId: event.id,
+      eventType: event.eventType,
+      openedBy: dispute.openedBy,
+      previousScore,
+    },
+  });
+
+  return { status: 201, body: { dispute, score } };
+}
+
+export function listDisputes({ account, query = {} }) {
+  const status = String(query.status ?? "").trim().toLowerCase();
+  if (status && !DISPUTE_STATUSES.has(status)) {
+    return { status: 400, body: { error: "status must be one of: open, upheld, overturned, closed." } };
+  }
+  const agentId = query.agentId ? resolveAgentId(account.apiKey, query.agentId) : "";
+
+  const disputes = disputesFor(account.apiKey).filter(
+    (dispute) =>
+      (!status || dispute.status === status) &&
+      (!agentId || resolveAgentId(account.apiKey, dispute.agentId) === agentId)
+  );
+  return { status: 200, body: { count: disputes.length, disputes } };
+}
+
+/**
+ * Closes the open dispute on an event that was just retracted or amended,
+ * since the event no longer counts and there is nothing left to rule on.
+ * Returns the dispute id, or null when there was none open.
+ */
+export function closeDisputeForRevision({ account, event, revision, at }) {
+  if (!event.dispute || event.dispute.outcome) return null;
+  const dispute = disputesFor(account.apiKey).find((entry) => entry.id === event.dispute.id);
+  if (dispute) {
+    dispute.status = "closed";
+    dispute.outcome = "closed";
+    dispute.resolvedAt = at;
+    dispute.resolutionNote = `Event ${revision}: ${event.revision?.reason ?? ""}`.trim().slice(0, 500);
+  }
+  event.dispute = { ...event.dispute, outcome: "closed", resolvedAt: at };
+  return event.dispute.id;
+}
+
+export async function resolveDispute({ account, disputeId, payload }) {
+  const outcome = String(payload?.outcome ?? "").trim().toLowerCase();
+  if (!DISPUTE_OUTCOMES.has(outcome)) {
+    return { status: 400, body: { error: "outcome is required and must be one of: upheld, overturned." } };
+  }
+
+  const dispute = disputesFor(account.apiKey).find((entry) => entry.id === String(disputeId ?? "").trim());
+  if (!dispute) return { status: 404, body: { error: "Dispute not found." } };
+  if (dispute.status !== "open") {
+    return { status: 409, body: { error: `Dispute is already resolved (${dispute.status}).` } };
+  }
+
+  const found = findAccountEvent(account.apiKey, dispute.eventId);
+  if (!found) return { status: 404, body: { error: "Disputed event no longer exists." } };
+  const { agentId, event } = found;
+
+  const previousScore = currentScore(account, agentId).score;
+  const now = new Date().toISOString();
+  dispute.status = outcome;
+  dispute.outcome = outcome;
+  dispute.resolvedAt = now;
+  dispute.resolutionNote = optionalText(payload?.note, 500) || null;
+  event.dispute = { ...event.dispute, outcome, resolvedAt: now };
+  // An overturned report is a reversal that counts against its source's reputation.
+  if (outcome === "overturned") event.reversedAt = now;
+  invalidateSourceReputation(account.apiKey);
+
+  const score = await rescoreAndAlert({ account, agentId, previousScore });
+  logDecision({
+    account,
+    action: "dispute_resolve",
+    agentId,
+    outcome,
+    score: score.value,
+    reason: dispute.resolutionNote ?? `dispute_${outcome}`,
+    metadata: {
+      disputeId: dispute.id,
+      eventId: dispute.eventId,
+      eventType: dispute.eventType,
+      previousScore,
+    },
+  });
+
+  return { status: 200, body: { dispute, score } };
+}
@@ -0,0 +1,159 @@
+import {
+  AUTH_EVENT_TEMPLATE,
+  BEHAVIOR_EVENT_WEIGHTS,
+  EVENT_WEIGHTS,
+  MARKETPLACE_EVENT_TEMPLATE,
+  PREDICTION_MARKET_EVENT_TEMPLATE,
+  RUNTIME_EVENT_TEMPLATE,
+  SENSITIVE_EVENT_TYPES,
+  STRIPE_EVENT_TEMPLATE,
+  WALLET_EVENT_TEMPLATE,
+} from "./config.js";
+import { scheduleFlush } from "./persistence.js";
+import { store } from "./store.js";
+
+const MAX_CUSTOM_EVENT_TYPES = 200;
+const MAX_WEIGHT = 50;
+
+// Everything the service already understands: weighted types plus every type
+// the integration templates can emit (some, like dispute_closed, are unweighted).
+const BUILT_IN_EVENT_TYPES = new Set([
+  ...Object.keys(EVENT_WEIGHTS),
+  ...Object.keys(BEHAVIOR_EVENT_WEIGHTS),
+  ...SENSITIVE_EVENT_TYPES,
+  ...[
+    STRIPE_EVENT_TEMPLATE,
+    AUTH_EVENT_TEMPLATE,
+    MARKETPLACE_EVENT_TEMPLATE,
+    WALLET_EVENT_TEMPLATE,
+    PREDICTION_MARKET_EVENT_TEMPLATE,
+    RUNTIME_EVENT_TEMPLATE,
+  ].flatMap((template) => Object.values(template).map((mapping) => mapping.eventType)),
+]);
+
+function normalizeEventType(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+function isValidEventType(eventType) {
+  return /^[a-z0-9._:-]{2,64}$/.test(eventType);
+}
+
+function catalogFor(apiKey) {
+  const existing = store.eventCatalogByApiKey.get(apiKey);
+  if (existing) return existing;
+  return { strict: false, types: {} };
+}
+
+function parseWeight(value, field) {
+  const weight = Number(value);
+  if (!Number.isFinite(weight)) {
+    return { ok: false, error: `${field} must be a number between -${MAX_WEIGHT} and ${MAX_WEIGHT}.` };
+  }
+  return { ok: true, value: Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, weight)) };
+}
+
+export function getEventCatalog(apiKey) {
+  return catalogFor(apiKey);
+}
+
+export function isKnownEventType(apiKey, eventType) {
+  const normalized = normalizeEventType(eventType);
+  if (BUILT_IN_EVENT_TYPES.has(normalized)) return true;
+  return Boolean(catalogFor(apiKey).types[normalized]);
+}
+
+export function listEventTypes({ account }) {
+  const catalog = catalogFor(account.apiKey);
+  const builtIn = [...BUILT_IN_EVENT_TYPES].sort().map((eventType) => ({
+    eventType,
+    trustWeight: EVENT_WEIGHTS[eventType] ?? null,
+    behaviorWeight: BEHAVIOR_EVENT_WEIGHTS[eventType] ?? null,
+    sensitive: SENSITIVE_EVENT_TYPES.has(eventType),
+  }));
+
+  return {
+    status: 200,
+    body: {
+      strict: catalog.strict,
+      builtIn,
+      custom: Object.values(catalog.types),
+    },
+  };
+}
+
+export function registerEventType({ account, payload }) {
+  const eventType = normalizeEventType(payload.eventType);
+  if (!eventType || !isValidEventType(eventType)) {
+    return { status: 400, body: { error: "eventType is required and must match [a-z0-9._:-]{2,64}." } };
+  }
+  if (BUILT_IN_EVENT_TYPES.has(eventType)) {
+    return {
+      status: 409,
+      body: { error: "eventType is built in. Use policy eventOverrides to adjust built-in event types." },
+    };
+  }
+
+  const trustWeight = parseWeight(payload.trustWeight, "trustWeight");
+  if (!trustWeight.ok) return { status: 400, body: { error: trustWeight.error } };
+
+  let behaviorWeight = null;
+  if (payload.behaviorWeight !== undefined && payload.behaviorWeight !== null) {
+    const parsed = parseWeight(payload.behaviorWeight, "behaviorWeight");
+    if (!parsed.ok) return { status: 400, body: { error: parsed.error } };
+    behaviorWeight = parsed.value;
+  }
+
+  if (payload.sensitive !== undefined && typeof payload.sensitive !== "boolean") {
+    return { status: 400, body: { error: "sensitive must be boolean." } };
+  }
+
+  const catalog = catalogFor(account.apiKey);
+  const existing = catalog.types[eventType];
+  if (!existing && Object.keys(catalog.types).length >= MAX_CUSTOM_EVENT_TYPES) {
+    return { status: 402, body: { error: `Custom event type limit reached (${MAX_CUSTOM_EVENT_TYPES} per API key).` } };
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    eventType,
+    trustWeight: trustWeight.value,
+    behaviorWeight,
+    sensitive: payload.sensitive === true,
+    description: typeof payload.description === "string" ? payload.description.trim().slice(0, 240) : "",
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+  };
+
+  store.eventCatalogByApiKey.set(account.apiKey, {
+    ...catalog,
+    types: { ...catalog.types, [eventType]: entry },
+  });
+  scheduleFlush();
+
+  return { status: existing ? 200 : 201, body: { eventType: entry } };
+}
+
+export function deleteEventType({ account, eventType }) {
+  const normalized = normalizeEventType(eventType);
+  const catalog = catalogFor(account.apiKey);
+  if (!catalog.types[normalized]) {
+    return { status: 404, body: { error: "Custom event type not found." } };
+  }
+
+  const { [normalized]: _removed, ...types } = catalog.types;
+  store.eventCatalogByApiKey.set(account.apiKey, { ...catalog, types });
+  scheduleFlush();
+  return { status: 200, body: { deleted: true, eventType: normalized } };
+}
+
+export function updateEventCatalogSettings({ account, payload }) {
+  if (typeof payload.strict !== "boolean") {
+    return { status: 400, body: { error: "strict is required and must be boolean." } };
+  }
+
+  const catalog = catalogFor(account.apiKey);
+  store.eventCatalogByApiKey.set(account.apiKey, { ...catalog, strict: payload.strict });
+  scheduleFlush();
+  return { status: 200, body: { strict: payload.strict } };
+}
@@ -0,0 +1,169 @@
+const TOP_DRIVERS = 3;
+
+// Factors in the order the scoring formula multiplies them. Each one is credited
+// with the points it moved: on a negative event a shrinking factor forgives
+// penalty instead of costing the agent, so both sides are reported.
+const WEIGHTING_STEPS = [
+  ["eventOverride", "eventMultiplier"],
+  ["decay", "decayFactor"],
+  ["sourceType", "sourceFactor"],
+  ["sourceReputation", "reputationFactor"],
+  ["confidence", "confidenceFactor"],
+  ["anomaly", "anomalyFactor"],
+  ["dispute", "disputeFactor"],
+];
+
+function round(value) {
+  return Number(value.toFixed(2));
+}
+
+function signed(value) {
+  return `${value > 0 ? "+" : ""}${value}`;
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+function factorOf(row, field) {
+  const value = Number(row[field]);
+  return Number.isFinite(value) ? value : 1;
+}
+
+function potentialContribution(row) {
+  return WEIGHTING_STEPS.reduce((value, [, field]) => value * factorOf(row, field), Number(row.baseWeight ?? 0));
+}
+
+function groupRows(rows, field, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    const group = groups.get(key) ?? { [field]: key, events: 0, contribution: 0 };
+    group.events += 1;
+    group.contribution += row.contribution;
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map((group) => ({ ...group, contribution: round(group.contribution) }))
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+}
+
+function weightingEffects(rows) {
+  const effects = Object.fromEntries(
+    WEIGHTING_STEPS.map(([name]) => [name, { points: 0, onPositiveEvents: 0, onNegativeEvents: 0 }])
+  );
+
+  for (const row of rows) {
+    const baseWeight = Number(row.baseWeight ?? 0);
+    let value = baseWeight;
+    for (const [name, field] of WEIGHTING_STEPS) {
+      const next = value * factorOf(row, field);
+      const delta = next - value;
+      effects[name].points += delta;
+      if (baseWeight > 0) effects[name].onPositiveEvents += delta;
+      if (baseWeight < 0) effects[name].onNegativeEvents += delta;
+      value = next;
+    }
+  }
+
+  for (const effect of Object.values(effects)) {
+    effect.points = round(effect.points);
+    effect.onPositiveEvents = round(effect.onPositiveEvents);
+    effect.onNegativeEvents = round(effect.onNegativeEvents);
+  }
+  return effects;
+}
+
+function exclusionSummary(rows) {
+  const byReason = {};
+  let points = 0;
+  for (const row of rows) {
+    const reason = row.excludedReason ?? "excluded";
+    const potential = potentialContribution(row);
+    const entry = byReason[reason] ?? { events: 0, points: 0 };
+    entry.events += 1;
+    entry.points += potential;
+    byReason[reason] = entry;
+    points += potential;
+  }
+  for (const entry of Object.values(byReason)) entry.points = round(entry.points);
+  return { events: rows.length, points: round(points), byReason };
+}
+
+function describeDrivers(label, drivers) {
+  if (drivers.length === 0) return null;
+  const parts = drivers.map(
+    (driver) => `${driver.eventType} (${signed(driver.contribution)} from ${plural(driver.events, "event")})`
+  );
+  return `${label}: ${parts.join(", ")}.`;
+}
+
+function describeWeighting(label, effects) {
+  const lost = round(-effects.reduce((sum, effect) => sum + Math.min(0, effect.onPositiveEvents), 0));
+  const forgiven = round(effects.reduce((sum, effect) => sum + Math.max(0, effect.onNegativeEvents), 0));
+  if (lost === 0 && forgiven === 0) return null;
+  return `${label} removed ${lost} points of positive evidence and ${forgiven} points of penalties.`;
+}
+
+function buildSummary({ baseline, included, drivers, weighting, exclusions }) {
+  if (included.length === 0 && exclusions.events === 0) {
+    return [`No scored events; the score is the baseline of ${baseline}.`];
+  }
+
+  const lines = [
+    describeDrivers("Top positive drivers", drivers.positive),
+    describeDrivers("Top negative drivers", drivers.negative),
+    describeWeighting("Time decay", [weighting.decay]),
+    describeWeighting("Source weighting (source type and reputation)", [
+      weighting.sourceType,
+      weighting.sourceReputation,
+    ]),
+    describeWeighting("Low confidence, anomaly dampening and open disputes", [
+      weighting.confidence,
+      weighting.anomaly,
+      weighting.dispute,
+    ]),
+  ];
+
+  if (exclusions.events > 0) {
+    const reasons = Object.entries(exclusions.byReason)
+      .map(([reason, entry]) => `${reason}: ${entry.events}`)
+      .join(", ");
+    lines.push(
+      `Policy and corrections excluded ${plural(exclusions.events, "event")} (${reasons}) that would have moved the score by ${signed(exclusions.points)} points.`
+    );
+  }
+
+  return lines.filter(Boolean);
+}
+
+export function explainFactors(rows, { baseline, score }) {
+  const included = rows.filter((row) => row.included);
+  const excluded = rows.filter((row) => !row.included);
+  const byEventType = groupRows(included, "eventType", (row) => row.eventType);
+  const bySource = groupRows(included, "source", (row) => row.source ?? row.sourceType ?? "unspecified");
+  const drivers = {
+    positive: byEventType
+      .filter((group) => group.contribution > 0)
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, TOP_DRIVERS),
+    negative: byEventType
+      .filter((group) => group.contribution < 0)
+      .sort((a, b) => a.contribution - b.contribution)
+      .slice(0, TOP_DRIVERS),
+  };
+  const weighting = weightingEffects(included);
+  const exclusions = exclusionSummary(excluded);
+
+  return {
+    baseline,
+    score,
+    netContribution: round(included.reduce((sum, row) => sum + row.contribution, 0)),
+    drivers,
+    byEventType,
+    bySource,
+    weighting,
+    exclusions,
+    summary: buildSummary({ baseline, included, drivers, weighting, exclusions }),
+  };
+}
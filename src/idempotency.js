@@ -0,0 +1,92 @@
+import crypto from "node:crypto";
+
+import { scheduleFlush } from "./persistence.js";
+import { store } from "./store.js";
+
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_KEYS_PER_API_KEY = 5000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Requests that are still running, so a retry racing the original cannot run
+// it twice. In memory only: a restart ends every request anyway.
+const inFlight = new Set();
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function fingerprint(scope, payload) {
+  return crypto.createHash("sha256").update(`${scope}\n${stableStringify(payload)}`).digest("hex");
+}
+
+function recordsFor(apiKey, nowMs) {
+  const records = store.idempotencyByApiKey.get(apiKey) ?? {};
+  for (const [key, record] of Object.entries(records)) {
+    if (record.expiresAt <= nowMs) delete records[key];
+  }
+  return records;
+}
+
+// Rate limits and server errors are transient, so a retry should run again.
+function isReplayable(status) {
+  return status !== 429 && status < 500;
+}
+
+/**
+ * Runs `execute` at most once per Idempotency-Key. The first response is kept
+ * for 24 hours and replayed (with `replayed: true`) to retries with the same
+ * body; reusing a key for a different body or endpoint returns 422. Without a
+ * key the request runs as usual.
+ */
+export async function withIdempotency({ account, key, scope, payload }, execute) {
+  if (key === undefined || key === null) return execute();
+  if (!KEY_PATTERN.test(key)) {
+    return { status: 400, body: { error: "Idempotency-Key must be 1-255 printable ASCII characters." } };
+  }
+
+  const nowMs = Date.now();
+  const records = recordsFor(account.apiKey, nowMs);
+  const hash = fingerprint(scope, payload);
+  const existing = records[key];
+  if (existing) {
+    if (existing.fingerprint !== hash) {
+      return { status: 422, body: { error: "Idempotency-Key was already used for a different request." } };
+    }
+    return { status: existing.status, body: existing.body, replayed: true };
+  }
+
+  const flightKey = `${account.apiKey}\n${key}`;
+  if (inFlight.has(flightKey)) {
+    return { status: 409, body: { error: "A request with this Idempotency-Key is still in progress." } };
+  }
+
+  inFlight.add(flightKey);
+  try {
+    const result = await execute();
+    if (isReplayable(result.status)) {
+      records[key] = {
+        scope,
+        fingerprint: hash,
+        status: result.status,
+        body: result.body,
+        createdAt: new Date(nowMs).toISOString(),
+        expiresAt: nowMs + RETENTION_MS,
+      };
+      const keys = Object.keys(records);
+      // Objects keep insertion order, so the oldest keys go first.
+      for (const stale of keys.slice(0, Math.max(0, keys.length - MAX_KEYS_PER_API_KEY))) delete records[stale];
+      store.idempotencyByApiKey.set(account.apiKey, records);
+      scheduleFlush();
+    }
+    return result;
+  } finally {
+    inFlight.delete(flightKey);
+  }
+}
@@ -199,6 +199,61 @@ function moveApiKeyScopedMaps(oldApiKey, newApiKey) {
     store.policyByApiKey.delete(oldApiKey);
   }
 
+  if (store.policyVersionsByApiKey.has(oldApiKey)) {
+    store.policyVersionsByApiKey.set(newApiKey, store.policyVersionsByApiKey.get(oldApiKey));
+    store.policyVersionsByApiKey.delete(oldApiKey);
+  }
+
+  if (store.namedPoliciesByApiKey.has(oldApiKey)) {
+    store.namedPoliciesByApiKey.set(newApiKey, store.namedPoliciesByApiKey.get(oldApiKey));
+    store.namedPoliciesByApiKey.delete(oldApiKey);
+  }
+
+  if (store.disputesByApiKey.has(oldApiKey)) {
+    store.disputesByApiKey.set(newApiKey, store.disputesByApiKey.get(oldApiKey));
+    store.disputesByApiKey.delete(oldApiKey);
+  }
+
+  if (store.eventCatalogByApiKey.has(oldApiKey)) {
+    store.eventCatalogByApiKey.set(newApiKey, store.eventCatalogByApiKey.get(oldApiKey));
+    store.eventCatalogByApiKey.delete(oldApiKey);
+  }
+
+  if (store.velocityByApiKey.has(oldApiKey)) {
+    store.velocityByApiKey.set(newApiKey, store.velocityByApiKey.get(oldApiKey));
+    store.velocityByApiKey.delete(oldApiKey);
+  }
+
+  if (store.reviewsByApiKey.has(oldApiKey)) {
+    store.reviewsByApiKey.set(newApiKey, store.reviewsByApiKey.get(oldApiKey));
+    store.reviewsByApiKey.delete(oldApiKey);
+  }
+
+  if (store.idempotencyByApiKey.has(oldApiKey)) {
+    store.idempotencyByApiKey.set(newApiKey, store.idempotencyByApiKey.get(oldApiKey));
+    store.idempotencyByApiKey.delete(oldApiKey);
+  }
+
+  if (store.agentGraphByApiKey.has(oldApiKey)) {
+    store.agentGraphByApiKey.set(newApiKey, store.agentGraphByApiKey.get(oldApiKey));
+    store.agentGraphByApiKey.delete(oldApiKey);
+  }
+
+  if (store.agentAliasesByApiKey.has(oldApiKey)) {
+    store.agentAliasesByApiKey.set(newApiKey, store.agentAliasesByApiKey.get(oldApiKey));
+    store.agentAliasesByApiKey.delete(oldApiKey);
+  }
+
+  if (store.agentMergesByApiKey.has(oldApiKey)) {
+    store.agentMergesByApiKey.set(newApiKey, store.agentMergesByApiKey.get(oldApiKey));
+    store.agentMergesByApiKey.delete(oldApiKey);
+  }
+
+  if (store.agentProfilesByApiKey.has(oldApiKey)) {
+    store.agentProfilesByApiKey.set(newApiKey, store.agentProfilesByApiKey.get(oldApiKey));
+    store.agentProfilesByApiKey.delete(oldApiKey);
+  }
+
   if (store.inboundSecretsByApiKey.has(oldApiKey)) {
     store.inboundSecretsByApiKey.set(newApiKey, store.inboundSecretsByApiKey.get(oldApiKey));
     store.inboundSecretsByApiKey.delete(oldApiKey);
@@ -217,6 +272,17 @@ function purgeApiKeyScopedData(apiKey) {
   store.webhooksByApiKey.delete(apiKey);
   store.decisionLogsByApiKey.delete(apiKey);
   store.policyByApiKey?.delete(apiKey);
+  store.policyVersionsByApiKey.delete(apiKey);
+  store.namedPoliciesByApiKey.delete(apiKey);
+  store.eventCatalogByApiKey.delete(apiKey);
+  store.disputesByApiKey.delete(apiKey);
+  store.velocityByApiKey.delete(apiKey);
+  store.reviewsByApiKey.delete(apiKey);
+  store.idempotencyByApiKey.delete(apiKey);
+  store.agentGraphByApiKey.delete(apiKey);
+  store.agentAliasesByApiKey.delete(apiKey);
+  store.agentMergesByApiKey.delete(apiKey);
+  store.agentProfilesByApiKey.delete(apiKey);
   store.inboundSecretsByApiKey.delete(apiKey);
 
   for (const [usageKey] of [...store.usageByMonthAndApiKey.entries()]) {
@@ -65,6 +65,18 @@ export function loadStoreFromDisk() {
     store.inboundSecretsByApiKey = loadObjectMap(parsed.inboundSecretsByApiKey);
     store.processedInboundEvents = loadObjectMap(parsed.processedInboundEvents);
     store.managedApiKeys = loadObjectMap(parsed.managedApiKeys);
+    store.eventCatalogByApiKey = loadObjectMap(parsed.eventCatalogByApiKey);
+    store.disputesByApiKey = loadObjectMap(parsed.disputesByApiKey);
+    store.policyByApiKey = loadObjectMap(parsed.policyByApiKey);
+    store.policyVersionsByApiKey = loadObjectMap(parsed.policyVersionsByApiKey);
+    store.namedPoliciesByApiKey = loadObjectMap(parsed.namedPoliciesByApiKey);
+    store.velocityByApiKey = loadObjectMap(parsed.velocityByApiKey);
+    store.reviewsByApiKey = loadObjectMap(parsed.reviewsByApiKey);
+    store.idempotencyByApiKey = loadObjectMap(parsed.idempotencyByApiKey);
+    store.agentGraphByApiKey = loadObjectMap(parsed.agentGraphByApiKey);
+    store.agentAliasesByApiKey = loadObjectMap(parsed.agentAliasesByApiKey);
+    store.agentMergesByApiKey = loadObjectMap(parsed.agentMergesByApiKey);
+    store.agentProfilesByApiKey = loadObjectMap(parsed.agentProfilesByApiKey);
     store.revokedApiKeys = new Set(Array.isArray(parsed.revokedApiKeys) ? parsed.revokedApiKeys : []);
   } catch {
     // Ignore broken state and start fresh.
@@ -101,6 +113,18 @@ export function flushStoreToDisk() {
       inboundSecretsByApiKey: toObjectMap(store.inboundSecretsByApiKey),
       processedInboundEvents: toObjectMap(store.processedInboundEvents),
       managedApiKeys: toObjectMap(store.managedApiKeys),
+      eventCatalogByApiKey: toObjectMap(store.eventCatalogByApiKey),
+      disputesByApiKey: toObjectMap(store.disputesByApiKey),
+      policyByApiKey: toObjectMap(store.policyByApiKey),
+      policyVersionsByApiKey: toObjectMap(store.policyVersionsByApiKey),
+      namedPoliciesByApiKey: toObjectMap(store.namedPoliciesByApiKey),
+      velocityByApiKey: toObjectMap(store.velocityByApiKey),
+      reviewsByApiKey: toObjectMap(store.reviewsByApiKey),
+      idempotencyByApiKey: toObjectMap(store.idempotencyByApiKey),
+      agentGraphByApiKey: toObjectMap(store.agentGraphByApiKey),
+      agentAliasesByApiKey: toObjectMap(store.agentAliasesByApiKey),
+      agentMergesByApiKey: toObjectMap(store.agentMergesByApiKey),
+      agentProfilesByApiKey: toObjectMap(store.agentProfilesByApiKey),
       revokedApiKeys: [...store.revokedApiKeys]
     };
 
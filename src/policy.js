@@ -1,6 +1,20 @@
+import { normalizeActionProfiles } from "./action-profiles.js";
+import { defaultTransitiveTrust, normalizeTransitiveTrust } from "./agent-graph.js";
+import { DECAY_HALF_LIFE_DAYS, OPEN_DISPUTE_MULTIPLIER } from "./config.js";
 import { scheduleFlush } from "./persistence.js";
+import { normalizeRiskModel } from "./risk-model.js";
+import { normalizeDecisionRules } from "./rules.js";
+import { normalizeVelocityLimits } from "./velocity.js";
 import { store } from "./store.js";
 
+const MAX_DECAY_DAYS = 3650;
+const MAX_POLICY_VERSIONS = 500;
+const MAX_NAMED_POLICIES = 20;
+export const DEFAULT_POLICY_NAME = "default";
+const POLICY_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const VERSION_META_FIELDS = new Set(["version", "updatedAt"]);
+const DECAY_MODES = new Set(["half_life", "none", "step"]);
+
 const DEFAULT_SOURCE_TYPE_MULTIPLIERS = {
   verified_integration: 1,
   self_reported: 0.75,
@@ -96,6 +110,13 @@ const POLICY_PRESETS = {
   },
 };
 
+function defaultDecay() {
+  return {
+    defaultHalfLifeDays: DECAY_HALF_LIFE_DAYS,
+    eventTypes: {},
+  };
+}
+
 export function defaultPolicy() {
   return {
     minConfidence: 0,
@@ -107,6 +128,14 @@ export function defaultPolicy() {
     requiredAttestations: [],
     requireAttestationsForRiskAbove: 25,
     attestationFailureDecision: "review",
+    preflightScoreBasis: "point",
+    openDisputeMultiplier: OPEN_DISPUTE_MULTIPLIER,
+    decisionRules: [],
+    riskModel: null,
+    actionProfiles: {},
+    velocityLimits: [],
+    transitiveTrust: defaultTransitiveTrust(),
+    decay: defaultDecay(),
   };
 }
 
@@ -123,6 +152,14 @@ function clonePreset(name) {
     requiredAttestations: [...(preset.requiredAttestations ?? [])],
     requireAttestationsForRiskAbove: Number(preset.requireAttestationsForRiskAbove ?? 25),
     attestationFailureDecision: preset.attestationFailureDecision ?? "review",
+    preflightScoreBasis: "point",
+    openDisputeMultiplier: OPEN_DISPUTE_MULTIPLIER,
+    decisionRules: [],
+    riskModel: null,
+    actionProfiles: {},
+    velocityLimits: [],
+    transitiveTrust: defaultTransitiveTrust(),
+    decay: defaultDecay(),
     preset: name,
     presetDescription: preset.description,
   };
@@ -219,17 +256,74 @@ function normalizeRequiredAttestations(input) {
   return values;
 }
 
+function decayDays(value, path) {
+  const days = Number(value);
+  if (!Number.isFinite(days) || days <= 0) {
+    throw new Error(`${path} must be a positive number of days.`);
+  }
+  return Math.min(days, MAX_DECAY_DAYS);
+}
+
+function normalizeDecay(input) {
+  if (input === undefined) return undefined;
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("decay must be an object.");
+  }
+
+  const output = {};
+  if (input.defaultHalfLifeDays !== undefined) {
+    output.defaultHalfLifeDays = decayDays(input.defaultHalfLifeDays, "decay.defaultHalfLifeDays");
+  }
+
+  if (input.eventTypes !== undefined) {
+    if (!input.eventTypes || typeof input.eventTypes !== "object" || Array.isArray(input.eventTypes)) {
+      throw new Error("decay.eventTypes must be an object.");
+    }
+    output.eventTypes = {};
+    for (const [rawEventType, rawRule] of Object.entries(input.eventTypes)) {
+      const eventType = normalizeEventType(rawEventType);
+      if (!eventType) continue;
+      // null clears a per-type rule so the event type falls back to the default half-life.
+      if (rawRule === null) {
+        output.eventTypes[eventType] = null;
+        continue;
+      }
+      if (typeof rawRule !== "object" || Array.isArray(rawRule)) {
+        throw new Error(`decay.eventTypes.${eventType} must be an object or null.`);
+      }
+      const mode = String(rawRule.mode ?? "half_life").trim().toLowerCase();
+      if (!DECAY_MODES.has(mode)) {
+        throw new Error(`decay.eventTypes.${eventType}.mode must be one of: half_life, none, step.`);
+      }
+      if (mode === "half_life") {
+        output.eventTypes[eventType] = {
+          mode,
+          halfLifeDays: decayDays(rawRule.halfLifeDays, `decay.eventTypes.${eventType}.halfLifeDays`),
+        };
+      } else if (mode === "step") {
+        output.eventTypes[eventType] = {
+          mode,
+          expireAfterDays: decayDays(rawRule.expireAfterDays, `decay.eventTypes.${eventType}.expireAfterDays`),
+        };
+      } else {
+        output.eventTypes[eventType] = { mode };
+      }
+    }
+  }
+
+  return output;
+}
+
 function ensurePolicyMap() {
   if (!store.policyByApiKey) {
     store.policyByApiKey = new Map();
   }
 }
 
-export function getPolicy(apiKey) {
-  ensurePolicyMap();
-  const stored = store.policyByApiKey.get(apiKey);
+// Fills fields added after a policy was stored, so older stored policies and
+// version snapshots always read as complete policies.
+function withDefaults(stored) {
   const base = defaultPolicy();
-  if (!stored) return base;
   return {
     ...base,
     ...stored,
@@ -240,16 +334,34 @@ export function getPolicy(apiKey) {
     eventOverrides: {
       ...(stored.eventOverrides ?? {}),
     },
+    transitiveTrust: {
+      ...base.transitiveTrust,
+      ...(stored.transitiveTrust ?? {}),
+    },
+    decay: {
+      ...base.decay,
+      ...(stored.decay ?? {}),
+      eventTypes: {
+        ...(stored.decay?.eventTypes ?? {}),
+      },
+    },
   };
 }
 
-export function setPolicy(apiKey, payload) {
+export function getPolicy(apiKey) {
   ensurePolicyMap();
+  const stored = store.policyByApiKey.get(apiKey);
+  if (!stored) return { ...defaultPolicy(), version: 0 };
+  return withDefaults(stored);
+}
+
+// Applies a policy payload on top of `current` without storing it, so callers
+// can evaluate a candidate policy exactly as setPolicy would save it.
+function buildPolicy(current, payload) {
   if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
     throw new Error("Policy payload must be a JSON object.");
   }
 
-  const current = getPolicy(apiKey);
   const next = { ...current };
 
   if (payload.minConfidence !== undefined) {
@@ -315,18 +427,323 @@ export function setPolicy(apiKey, payload) {
     next.attestationFailureDecision = decision;
   }
 
-  next.updatedAt = new Date().toISOString();
-  store.policyByApiKey.set(apiKey, next);
-  scheduleFlush();
+  if (payload.preflightScoreBasis !== undefined) {
+    const basis = String(payload.preflightScoreBasis).trim().toLowerCase();
+    if (basis !== "point" && basis !== "lower_bound") {
+      throw new Error("preflightScoreBasis must be one of: point, lower_bound.");
+    }
+    next.preflightScoreBasis = basis;
+  }
+
+  if (payload.openDisputeMultiplier !== undefined) {
+    const multiplier = Number(payload.openDisputeMultiplier);
+    if (!Number.isFinite(multiplier)) {
+      throw new Error("openDisputeMultiplier must be a number between 0 and 1.");
+    }
+    next.openDisputeMultiplier = clamp(multiplier, 0, 1);
+  }
+
+  const decisionRules = normalizeDecisionRules(payload.decisionRules);
+  if (decisionRules !== undefined) {
+    next.decisionRules = decisionRules;
+  }
+
+  const riskModel = normalizeRiskModel(payload.riskModel);
+  if (riskModel !== undefined) {
+    next.riskModel = riskModel;
+  }
+
+  const actionProfiles = normalizeActionProfiles(payload.actionProfiles, current.actionProfiles);
+  if (actionProfiles !== undefined) {
+    next.actionProfiles = actionProfiles;
+  }
+
+  const velocityLimits = normalizeVelocityLimits(payload.velocityLimits);
+  if (velocityLimits !== undefined) {
+    next.velocityLimits = velocityLimits;
+  }
+
+  const transitiveTrust = normalizeTransitiveTrust(payload.transitiveTrust, current.transitiveTrust);
+  if (transitiveTrust !== undefined) {
+    next.transitiveTrust = transitiveTrust;
+  }
+
+  const decay = normalizeDecay(payload.decay);
+  if (decay !== undefined) {
+    const eventTypes = { ...current.decay.eventTypes };
+    for (const [eventType, rule] of Object.entries(decay.eventTypes ?? {})) {
+      if (rule === null) delete eventTypes[eventType];
+      else eventTypes[eventType] = rule;
+    }
+    next.decay = {
+      defaultHalfLifeDays: decay.defaultHalfLifeDays ?? current.decay.defaultHalfLifeDays,
+      eventTypes,
+    };
+  }
 
   return next;
 }
 
-export function resetPolicy(apiKey) {
-  ensurePolicyMap();
-  store.policyByApiKey.delete(apiKey);
+/** Applies `payload` to `base` (the current default policy unless given) without saving. */
+export function previewPolicy(apiKey, payload, base = getPolicy(apiKey)) {
+  return buildPolicy(base, payload);
+}
+
+function withoutVersionMeta(policy) {
+  return Object.fromEntries(Object.entries(policy).filter(([key]) => !VERSION_META_FIELDS.has(key)));
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function diffPolicies(before, after, prefix = "") {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})])].sort();
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffPolicies(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from: from ?? null, to: to ?? null });
+    }
+  }
+  return changes;
+}
+
+export function normalizePolicyName(value) {
+  const name = String(value ?? "").trim().toLowerCase();
+  if (!name) return DEFAULT_POLICY_NAME;
+  if (!POLICY_NAME_PATTERN.test(name)) {
+    throw new Error("Policy name must be 1-40 characters: lowercase letters, digits, '_' or '-'.");
+  }
+  return name;
+}
+
+function namedPoliciesFor(apiKey) {
+  return store.namedPoliciesByApiKey.get(apiKey) ?? {};
+}
+
+// The default policy lives in the per-key maps used before named policies
+// existed; every other name lives in namedPoliciesByApiKey with its history.
+function readSlot(apiKey, name) {
+  if (name === DEFAULT_POLICY_NAME) {
+    return {
+      current: getPolicy(apiKey),
+      versions: store.policyVersionsByApiKey.get(apiKey) ?? [],
+    };
+  }
+  const record = namedPoliciesFor(apiKey)[name];
+  if (!record) return null;
+  return { record, current: withDefaults(record.policy), versions: record.versions };
+}
+
+// Writing a new version of an archived named policy restores it.
+function writeSlot(apiKey, name, current, versions) {
+  if (name === DEFAULT_POLICY_NAME) {
+    ensurePolicyMap();
+    store.policyByApiKey.set(apiKey, current);
+    store.policyVersionsByApiKey.set(apiKey, versions);
+    return;
+  }
+  const records = namedPoliciesFor(apiKey);
+  records[name] = {
+    createdAt: records[name]?.createdAt ?? current.updatedAt,
+    description: records[name]?.description ?? null,
+    policy: current,
+    versions,
+  };
+  store.namedPoliciesByApiKey.set(apiKey, records);
+}
+
+// Every write goes through here so the stored policy always matches the newest
+// immutable version entry.
+function commitPolicyVersion(apiKey, policy, { name = DEFAULT_POLICY_NAME, change, actor = null, rolledBackTo } = {}) {
+  const slot = readSlot(apiKey, name) ?? { current: { ...defaultPolicy(), version: 0 }, versions: [] };
+  const previous = withoutVersionMeta(slot.current);
+  const snapshot = structuredClone(withoutVersionMeta(policy));
+  const version = (slot.versions.at(-1)?.version ?? 0) + 1;
+  const createdAt = new Date().toISOString();
+
+  const entry = {
+    version,
+    change,
+    actor: actor ? String(actor).trim().slice(0, 120) : null,
+    createdAt,
+    ...(rolledBackTo !== undefined ? { rolledBackTo } : {}),
+    diff: diffPolicies(previous, snapshot),
+    policy: snapshot,
+  };
+
+  const current = { ...structuredClone(snapshot), version, updatedAt: createdAt };
+  writeSlot(apiKey, name, current, [...slot.versions, entry].slice(-MAX_POLICY_VERSIONS));
   scheduleFlush();
-  return defaultPolicy();
+  return structuredClone(current);
+}
+
+export function setPolicy(apiKey, payload, { actor } = {}) {
+  const next = buildPolicy(getPolicy(apiKey), payload);
+  return commitPolicyVersion(apiKey, next, { change: "update", actor });
+}
+
+export function resetPolicy(apiKey, { actor } = {}) {
+  return commitPolicyVersion(apiKey, defaultPolicy(), { change: "reset", actor });
+}
+
+/**
+ * Returns `{ name, policy }` for a policy name, or null when no policy has that
+ * name or it was deleted. An empty name selects the account default.
+ */
+export function resolvePolicy(apiKey, name) {
+  const normalized = normalizePolicyName(name);
+  const slot = readSlot(apiKey, normalized);
+  if (!slot || slot.record?.deletedAt) return null;
+  return { name: normalized, policy: slot.current };
+}
+
+function namedPolicySummary(name, record) {
+  return {
+    name,
+    description: record.description ?? null,
+    version: record.policy.version,
+    createdAt: record.createdAt,
+    updatedAt: record.policy.updatedAt,
+    preset: record.policy.preset ?? null,
+    ...(record.deletedAt ? { deletedAt: record.deletedAt, deletedBy: record.deletedBy ?? null } : {}),
+  };
+}
+
+export function listNamedPolicies(apiKey, { includeDeleted = false } = {}) {
+  const current = getPolicy(apiKey);
+  const named = Object.entries(namedPoliciesFor(apiKey))
+    .filter(([, record]) => includeDeleted || !record.deletedAt)
+    .map(([name, record]) => namedPolicySummary(name, record))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return [
+    {
+      name: DEFAULT_POLICY_NAME,
+      description: "Account default, used when no policy is selected.",
+      version: current.version,
+      createdAt: null,
+      updatedAt: current.updatedAt ?? null,
+      preset: current.preset ?? null,
+    },
+    ...named,
+  ];
+}
+
+// Deleted policies are still returned, with `deletedAt`, so their history stays reachable.
+export function getNamedPolicy(apiKey, name) {
+  const normalized = normalizePolicyName(name);
+  if (normalized === DEFAULT_POLICY_NAME) {
+    return { ...listNamedPolicies(apiKey)[0], policy: getPolicy(apiKey) };
+  }
+  const record = namedPoliciesFor(apiKey)[normalized];
+  if (!record) return null;
+  return { ...namedPolicySummary(normalized, record), policy: withDefaults(record.policy) };
+}
+
+/**
+ * Creates or updates a named policy. A new policy starts from `preset` when
+ * given, otherwise from the built-in defaults; the remaining payload fields
+ * are applied on top exactly as `POST /v1/policy` applies them. Saving under a
+ * deleted name creates the policy afresh and continues its version history.
+ */
+export function saveNamedPolicy(apiKey, name, payload, { actor } = {}) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new Error("Policy payload must be a JSON object.");
+  }
+  const normalized = normalizePolicyName(name);
+  const { preset, description, ...fields } = payload;
+  if (normalized === DEFAULT_POLICY_NAME) {
+    const base = preset !== undefined ? previewPolicyPreset(preset) : getPolicy(apiKey);
+    const change = preset !== undefined ? `preset:${base.preset}` : "update";
+    return { created: false, policy: commitPolicyVersion(apiKey, buildPolicy(base, fields), { change, actor }) };
+  }
+
+  const records = namedPoliciesFor(apiKey);
+  const existing = records[normalized]?.deletedAt ? null : records[normalized];
+  const active = Object.values(records).filter((record) => !record.deletedAt).length;
+  if (!existing && active >= MAX_NAMED_POLICIES) {
+    throw new Error(`Named policy limit reached (${MAX_NAMED_POLICIES} per API key).`);
+  }
+
+  let base;
+  if (preset !== undefined) base = previewPolicyPreset(preset);
+  else base = existing ? withDefaults(existing.policy) : defaultPolicy();
+  const next = buildPolicy(base, fields);
+
+  const change = preset !== undefined ? `preset:${base.preset}` : existing ? "update" : "create";
+  const policy = commitPolicyVersion(apiKey, next, { name: normalized, change, actor });
+  if (description !== undefined) {
+    namedPoliciesFor(apiKey)[normalized].description =
+      typeof description === "string" ? description.trim().slice(0, 200) || null : null;
+  }
+  return { created: !existing, policy };
+}
+
+/**
+ * Archives a named policy: it can no longer be selected, but its versions stay
+ * readable so decisions made under it can still be explained and backtested.
+ * Returns false when there is no such policy or it is already deleted. The
+ * default cannot be deleted.
+ */
+export function deleteNamedPolicy(apiKey, name, { actor } = {}) {
+  const normalized = normalizePolicyName(name);
+  if (normalized === DEFAULT_POLICY_NAME) {
+    throw new Error("The default policy cannot be deleted; use DELETE /v1/policy to reset it.");
+  }
+  const record = namedPoliciesFor(apiKey)[normalized];
+  if (!record || record.deletedAt) return false;
+  record.deletedAt = new Date().toISOString();
+  record.deletedBy = actor ? String(actor).trim().slice(0, 120) : null;
+  scheduleFlush();
+  return true;
+}
+
+function versionsFor(apiKey, name = DEFAULT_POLICY_NAME) {
+  return readSlot(apiKey, normalizePolicyName(name))?.versions ?? [];
+}
+
+export function listPolicyVersions(apiKey, name) {
+  return versionsFor(apiKey, name)
+    .map(({ policy: _policy, ...entry }) => structuredClone(entry))
+    .reverse();
+}
+
+// Version 0 is the built-in default that applies before the first change.
+export function getPolicyVersion(apiKey, version, name) {
+  if (version === 0) {
+    return { version: 0, change: "default", actor: null, createdAt: null, diff: [], policy: defaultPolicy() };
+  }
+  const entry = versionsFor(apiKey, name).find((item) => item.version === version);
+  return entry ? { ...structuredClone(entry), policy: withDefaults(structuredClone(entry.policy)) } : null;
+}
+
+export function getPolicyAsOf(apiKey, asOfMs, name) {
+  const versions = versionsFor(apiKey, name);
+  const asOfVersion = (entry) => ({
+    version: entry.version,
+    effectiveFrom: entry.createdAt,
+    policy: { ...withDefaults(structuredClone(entry.policy)), version: entry.version },
+  });
+  for (let index = versions.length - 1; index >= 0; index -= 1) {
+    if (Date.parse(versions[index].createdAt) <= asOfMs) return asOfVersion(versions[index]);
+  }
+  // Before the first recorded change the defaults were in effect, unless older
+  // versions were trimmed, in which case the oldest kept version is the best guess.
+  if (versions.length > 0 && versions[0].version > 1) return asOfVersion(versions[0]);
+  return { version: 0, effectiveFrom: null, policy: { ...defaultPolicy(), version: 0 } };
+}
+
+export function rollbackPolicy(apiKey, version, { actor, name } = {}) {
+  const normalized = normalizePolicyName(name);
+  if (normalized !== DEFAULT_POLICY_NAME && !resolvePolicy(apiKey, normalized)) return null;
+  const target = getPolicyVersion(apiKey, version, normalized);
+  if (!target) return null;
+  return commitPolicyVersion(apiKey, target.policy, { name: normalized, change: "rollback", actor, rolledBackTo: version });
 }
 
 export function listPolicyPresets() {
@@ -338,15 +755,16 @@ export function listPolicyPresets() {
   };
 }
 
-export function applyPolicyPreset(apiKey, presetName) {
-  ensurePolicyMap();
+export function previewPolicyPreset(presetName) {
   const normalized = String(presetName ?? "").trim().toLowerCase();
   const preset = clonePreset(normalized);
   if (!preset) {
     throw new Error("Unknown preset. Supported presets: open, balanced, strict, wallet_guarded, money_movement_strict.");
   }
-  preset.updatedAt = new Date().toISOString();
-  store.policyByApiKey.set(apiKey, preset);
-  scheduleFlush();
   return preset;
 }
+
+export function applyPolicyPreset(apiKey, presetName, { actor } = {}) {
+  const preset = previewPolicyPreset(presetName);
+  return commitPolicyVersion(apiKey, preset, { change: `preset:${preset.preset}`, actor });
+}
@@ -0,0 +1,38 @@
+import { isPreflightAction, PREFLIGHT_ACTIONS } from "./action-profiles.js";
+import { runPreflight } from "./clawcredit.js";
+
+const CUSTOM_ACTION_PATTERN = /^[a-z0-9][a-z0-9_.:-]{0,39}$/;
+
+/**
+ * Generic decision endpoint for any gated action. Payment decides exactly like
+ * ClawCredit preflight; other actions use their own risk inputs and thresholds.
+ * Decisions are logged as `<action>_preflight`.
+ */
+export function actionPreflight({ account, payload }) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { status: 400, body: { error: "Preflight payload must be a JSON object." } };
+  }
+
+  const action = String(payload.action ?? "").trim().toLowerCase();
+  if (!isPreflightAction(action)) {
+    return { status: 400, body: { error: `action is required and must be one of: ${PREFLIGHT_ACTIONS.join(", ")}.` } };
+  }
+
+  const metadata = {};
+  if (action === "custom") {
+    const customAction = String(payload.customAction ?? "").trim().toLowerCase();
+    if (!CUSTOM_ACTION_PATTERN.test(customAction)) {
+      return {
+        status: 400,
+        body: { error: "customAction is required for action custom: 1-40 characters of a-z, 0-9, '_', '.', ':' or '-'." },
+      };
+    }
+    metadata.customAction = customAction;
+  }
+
+  const result = runPreflight({ account, payload, action, logAction: `${action}_preflight`, metadata });
+  if (result.status !== 200) return result;
+
+  const { integration: _integration, ...decision } = result.body;
+  return { status: 200, body: { action, ...metadata, ...decision } };
+}
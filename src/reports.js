@@ -1,3 +1,4 @@
+import { profileSummary } from "./agent-profiles.js";
 import { listDecisionLogs } from "./store.js";
 import { scheduleFlush } from "./persistence.js";
 import { sendDigestToChannel } from "./alerts.js";
@@ -73,7 +74,10 @@ export function buildWeeklyReport({ account }) {
         wouldReview: shadowWouldReview24h,
       },
     },
-    topRiskAgents: topEntries(riskyAgents),
+    topRiskAgents: topEntries(riskyAgents).map((entry) => ({
+      ...entry,
+      profile: profileSummary(account.apiKey, entry.name),
+    })),
     topRiskReasons: topEntries(riskyReasons),
   };
 }
@@ -111,7 +115,12 @@ function weeklyHtml(report) {
   const list = (items) =>
     items.length === 0
       ? "<li>None</li>"
-      : items.map((item) => `<li>${item.name} (${item.count})</li>`).join("");
+      : items
+          .map((item) => {
+            const label = item.profile?.displayName ? `${item.profile.displayName} · ${item.name}` : item.name;
+            return `<li>${label} (${item.count})</li>`;
+          })
+          .join("");
 
   return `
   <div style="font-family:system-ui,-apple-system,sans-serif;color:#1f1a16;line-height:1.5">
@@ -0,0 +1,149 @@
+import crypto from "node:crypto";
+
+import { isPreflightAction, PREFLIGHT_ACTIONS } from "./action-profiles.js";
+import { resolveAgentId } from "./agent-aliases.js";
+import { logDecision } from "./audit.js";
+import { scheduleFlush } from "./persistence.js";
+import { store } from "./store.js";
+import { emitReviewWebhooks } from "./webhooks.js";
+
+const REVIEW_STATUSES = new Set(["pending", "approved", "rejected"]);
+const RESOLUTIONS = { approve: "approved", reject: "rejected" };
+const MAX_REVIEWS_PER_KEY = 5000;
+const MAX_LIST_LIMIT = 500;
+
+function optionalText(value, maxLength) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+}
+
+function reviewsFor(apiKey) {
+  return store.reviewsByApiKey.get(apiKey) ?? [];
+}
+
+function toSafeLimit(value) {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, MAX_LIST_LIMIT) : 100;
+}
+
+/**
+ * Opens a pending case for a preflight that came back `review`. The case keeps
+ * the request payload and the scores the decision was made on, so a reviewer
+ * sees what the agent asked to do and why it was held.
+ */
+export function openReview({ account, agentId, action, customAction = null, payload, body, decisionLogId = null }) {
+  const { policy, policyApplied } = body;
+  const { agentId: _agentId, policy: _policy, action: _action, customAction: _customAction, ...request } = payload;
+  const review = {
+    id: crypto.randomUUID(),
+    status: "pending",
+    agentId,
+    action,
+    customAction,
+    payload: request,
+    reason: body.reason,
+    ruleFired: policy.ruleFired,
+    scores: {
+      trustScore: body.trust.score,
+      decisionTrustScore: policy.decisionTrustScore,
+      behaviorScore: body.behavior.score,
+      riskPenalty: policy.riskPenalty,
+      adjustedScore: policy.adjustedScore,
+    },
+    velocityExceeded: policy.velocity?.exceeded ?? [],
+    policyName: policyApplied?.name ?? null,
+    policyVersion: policyApplied?.version ?? null,
+    decisionLogId,
+    createdAt: new Date().toISOString(),
+    resolvedAt: null,
+    resolvedBy: null,
+    resolutionNote: null,
+  };
+
+  // Oldest cases fall off once the queue is full, like the decision log.
+  store.reviewsByApiKey.set(account.apiKey, [review, ...reviewsFor(account.apiKey)].slice(0, MAX_REVIEWS_PER_KEY));
+  scheduleFlush();
+  return review;
+}
+
+export function countPendingReviews(apiKey) {
+  return reviewsFor(apiKey).filter((review) => review.status === "pending").length;
+}
+
+export function listReviews({ account, query = {} }) {
+  const status = String(query.status ?? "").trim().toLowerCase();
+  if (status && !REVIEW_STATUSES.has(status)) {
+    return { status: 400, body: { error: "status must be one of: pending, approved, rejected." } };
+  }
+  const action = String(query.action ?? "").trim().toLowerCase();
+  if (action && !isPreflightAction(action)) {
+    return { status: 400, body: { error: `action must be one of: ${PREFLIGHT_ACTIONS.join(", ")}.` } };
+  }
+  const agentId = query.agentId ? resolveAgentId(account.apiKey, query.agentId) : "";
+  const limit = toSafeLimit(query.limit);
+
+  const reviews = reviewsFor(account.apiKey).filter(
+    (review) =>
+      (!status || review.status === status) &&
+      (!action || review.action === action) &&
+      (!agentId || resolveAgentId(account.apiKey, review.agentId) === agentId)
+  );
+  return {
+    status: 200,
+    body: {
+      count: reviews.length,
+      pending: countPendingReviews(account.apiKey),
+      limit,
+      reviews: reviews.slice(0, limit),
+    },
+  };
+}
+
+export function getReview({ account, reviewId }) {
+  const review = reviewsFor(account.apiKey).find((entry) => entry.id === String(reviewId ?? "").trim());
+  if (!review) return { status: 404, body: { error: "Review not found." } };
+  return { status: 200, body: { review } };
+}
+
+/**
+ * Approves or rejects a pending case. The resolution is written to the
+ * decision log under the policy the original preflight ran with, and sent to
+ * webhooks subscribed to `review.resolved`.
+ */
+export async function resolveReview({ account, reviewId, resolution, payload, actor = null }) {
+  const status = RESOLUTIONS[resolution];
+  if (!status) return { status: 400, body: { error: "resolution must be one of: approve, reject." } };
+
+  const review = reviewsFor(account.apiKey).find((entry) => entry.id === String(reviewId ?? "").trim());
+  if (!review) return { status: 404, body: { error: "Review not found." } };
+  if (review.status !== "pending") {
+    return { status: 409, body: { error: `Review is already resolved (${review.status}).` } };
+  }
+
+  review.status = status;
+  review.resolvedAt = new Date().toISOString();
+  review.resolvedBy = actor ?? (optionalText(payload?.resolvedBy, 120) || null);
+  review.resolutionNote = optionalText(payload?.note, 500) || null;
+  scheduleFlush();
+
+  logDecision({
+    account,
+    action: "review_resolve",
+    agentId: review.agentId,
+    outcome: status,
+    score: review.scores.adjustedScore,
+    reason: review.resolutionNote ?? `review_${status}`,
+    policyName: review.policyName ?? undefined,
+    policyVersion: review.policyVersion ?? undefined,
+    metadata: {
+      reviewId: review.id,
+      preflightAction: review.action,
+      ...(review.customAction ? { customAction: review.customAction } : {}),
+      decisionLogId: review.decisionLogId,
+      resolvedBy: review.resolvedBy,
+      queuedAt: review.createdAt,
+    },
+  });
+
+  await emitReviewWebhooks({ account, review });
+  return { status: 200, body: { review } };
+}
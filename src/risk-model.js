@@ -0,0 +1,217 @@
+const MAX_FACTORS = 30;
+const MAX_CONDITIONS_PER_FACTOR = 10;
+const MAX_AMOUNT_TIERS = 10;
+const MAX_IN_VALUES = 100;
+const MAX_POINTS = 100;
+const DEFAULT_CAP = 60;
+const FACTOR_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const INPUT_FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}(\.[A-Za-z][A-Za-z0-9_]{0,63}){0,3}$/;
+const NUMERIC_OPS = new Set(["lt", "lte", "gt", "gte"]);
+const OPS = new Set(["eq", "neq", "in", "nin", "lt", "lte", "gt", "gte", "exists"]);
+
+// The model preflight has always used; it applies whenever the policy defines
+// no riskModel of its own.
+export const BUILTIN_RISK_MODEL = {
+  amountTiers: [
+    { atLeast: 1000, points: 10 },
+    { atLeast: 5000, points: 15 },
+    { atLeast: 20000, points: 20 },
+  ],
+  factors: [
+    { id: "new_payee", match: "all", when: [{ field: "newPayee", op: "eq", value: true }], points: 15 },
+    {
+      id: "first_time_counterparty",
+      match: "all",
+      when: [{ field: "firstTimeCounterparty", op: "eq", value: true }],
+      points: 10,
+    },
+    {
+      id: "high_privilege_action",
+      match: "all",
+      when: [{ field: "highPrivilegeAction", op: "eq", value: true }],
+      points: 20,
+    },
+    { id: "exposes_api_keys", match: "all", when: [{ field: "exposesApiKeys", op: "eq", value: true }], points: 25 },
+  ],
+  cap: DEFAULT_CAP,
+};
+
+function isScalar(value) {
+  return typeof value === "string" || typeof value === "boolean" || (typeof value === "number" && Number.isFinite(value));
+}
+
+function points(value, path) {
+  const num = Number(value);
+  if (typeof value === "boolean" || value === null || !Number.isFinite(num)) {
+    throw new Error(`${path} must be a number between -${MAX_POINTS} and ${MAX_POINTS}.`);
+  }
+  return Math.max(-MAX_POINTS, Math.min(MAX_POINTS, num));
+}
+
+function normalizeCondition(input, path) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error(`${path} must be an object with field, op and value.`);
+  }
+  const field = String(input.field ?? "").trim();
+  if (!INPUT_FIELD_PATTERN.test(field)) {
+    throw new Error(`${path}.field must name a payload input, e.g. "destinationCountry" or "context.tool".`);
+  }
+  const op = String(input.op ?? "").trim().toLowerCase();
+  if (!OPS.has(op)) throw new Error(`${path}.op must be one of: ${[...OPS].join(", ")}.`);
+
+  if (op === "exists") {
+    if (typeof input.value !== "boolean") throw new Error(`${path}.value must be true or false for op "exists".`);
+    return { field, op, value: input.value };
+  }
+  if (op === "in" || op === "nin") {
+    const values = Array.isArray(input.value) ? input.value : [];
+    if (values.length === 0 || values.length > MAX_IN_VALUES || !values.every(isScalar)) {
+      throw new Error(`${path}.value must be an array of 1-${MAX_IN_VALUES} strings, numbers or booleans.`);
+    }
+    return { field, op, value: values };
+  }
+  if (NUMERIC_OPS.has(op)) {
+    const value = Number(input.value);
+    if (typeof input.value === "boolean" || input.value === null || !Number.isFinite(value)) {
+      throw new Error(`${path}.value must be a number for op "${op}".`);
+    }
+    return { field, op, value };
+  }
+  if (!isScalar(input.value)) throw new Error(`${path}.value must be a string, number or boolean.`);
+  return { field, op, value: input.value };
+}
+
+function normalizeFactor(input, index, seenIds) {
+  const path = `riskModel.factors[${index}]`;
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error(`${path} must be an object.`);
+  }
+  const id = String(input.id ?? "").trim().toLowerCase();
+  if (!FACTOR_ID_PATTERN.test(id) || id === "amount") {
+    throw new Error(`${path}.id must be 1-40 characters: lowercase letters, digits, '_' or '-' (and not "amount").`);
+  }
+  if (seenIds.has(id)) throw new Error(`${path}.id "${id}" is used by more than one factor.`);
+  seenIds.add(id);
+
+  const match = input.match === undefined ? "all" : String(input.match).trim().toLowerCase();
+  if (match !== "all" && match !== "any") throw new Error(`${path}.match must be one of: all, any.`);
+
+  if (!Array.isArray(input.when) || input.when.length === 0 || input.when.length > MAX_CONDITIONS_PER_FACTOR) {
+    throw new Error(`${path}.when must be an array of 1-${MAX_CONDITIONS_PER_FACTOR} conditions.`);
+  }
+  const when = input.when.map((condition, conditionIndex) =>
+    normalizeCondition(condition, `${path}.when[${conditionIndex}]`)
+  );
+
+  return { id, match, when, points: points(input.points, `${path}.points`) };
+}
+
+function normalizeAmountTiers(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input) || input.length > MAX_AMOUNT_TIERS) {
+    throw new Error(`riskModel.amountTiers must be an array of at most ${MAX_AMOUNT_TIERS} tiers.`);
+  }
+  return input
+    .map((tier, index) => {
+      const atLeast = Number(tier?.atLeast);
+      if (!Number.isFinite(atLeast) || atLeast < 0) {
+        throw new Error(`riskModel.amountTiers[${index}].atLeast must be a non-negative number.`);
+      }
+      return { atLeast, points: points(tier.points, `riskModel.amountTiers[${index}].points`) };
+    })
+    .sort((a, b) => a.atLeast - b.atLeast);
+}
+
+/**
+ * Validates an account risk model on policy save. `null` restores the
+ * built-in model.
+ */
+export function normalizeRiskModel(input) {
+  if (input === undefined) return undefined;
+  if (input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("riskModel must be an object with amountTiers, factors and cap.");
+  }
+
+  const factorsInput = input.factors ?? [];
+  if (!Array.isArray(factorsInput) || factorsInput.length > MAX_FACTORS) {
+    throw new Error(`riskModel.factors must be an array of at most ${MAX_FACTORS} factors.`);
+  }
+  const seenIds = new Set();
+  const factors = factorsInput.map((factor, index) => normalizeFactor(factor, index, seenIds));
+
+  const cap = input.cap === undefined ? DEFAULT_CAP : Number(input.cap);
+  if (!Number.isFinite(cap) || cap < 0 || cap > 100) {
+    throw new Error("riskModel.cap must be a number between 0 and 100.");
+  }
+
+  return { amountTiers: normalizeAmountTiers(input.amountTiers), factors, cap };
+}
+
+function readInput(payload, field) {
+  return field.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), payload);
+}
+
+// String comparisons ignore case so "US" and "us" name the same country.
+function comparable(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : value;
+}
+
+function conditionMatches(payload, condition) {
+  const actual = readInput(payload, condition.field);
+  if (condition.op === "exists") return (actual !== undefined && actual !== null) === condition.value;
+  if (NUMERIC_OPS.has(condition.op)) {
+    const num = typeof actual === "boolean" || actual === null || actual === "" ? NaN : Number(actual);
+    if (!Number.isFinite(num)) return false;
+    if (condition.op === "lt") return num < condition.value;
+    if (condition.op === "lte") return num <= condition.value;
+    if (condition.op === "gt") return num > condition.value;
+    return num >= condition.value;
+  }
+  const value = comparable(actual);
+  if (condition.op === "eq") return value === comparable(condition.value);
+  if (condition.op === "neq") return value !== comparable(condition.value);
+  const listed = condition.value.some((item) => comparable(item) === value);
+  return condition.op === "in" ? listed : !listed;
+}
+
+/** Payload fields a model reads, so preflight logs keep what a replay needs. */
+export function riskModelFields(model) {
+  const fields = new Set(["amountUsd"]);
+  for (const factor of model.factors) {
+    for (const condition of factor.when) fields.add(condition.field.split(".")[0]);
+  }
+  return [...fields];
+}
+
+/**
+ * Scores a preflight payload. Amount tiers are cumulative: every tier the
+ * amount reaches adds its points. Returns the capped total plus each factor
+ * that contributed.
+ */
+export function scoreRisk(model, payload) {
+  const amount = Number(payload.amountUsd);
+  const amountUsd = Number.isFinite(amount) ? amount : 0;
+  const factors = [];
+
+  const amountPoints = model.amountTiers
+    .filter((tier) => amountUsd >= tier.atLeast)
+    .reduce((sum, tier) => sum + tier.points, 0);
+  if (amountPoints !== 0) factors.push({ id: "amount", points: amountPoints });
+
+  for (const factor of model.factors) {
+    const matches = factor.match === "any"
+      ? factor.when.some((condition) => conditionMatches(payload, condition))
+      : factor.when.every((condition) => conditionMatches(payload, condition));
+    if (matches) factors.push({ id: factor.id, points: factor.points });
+  }
+
+  const uncapped = factors.reduce((sum, factor) => sum + factor.points, 0);
+  return {
+    amountUsd,
+    factors,
+    uncapped,
+    cap: model.cap,
+    total: Math.max(0, Math.min(model.cap, uncapped)),
+  };
+}
@@ -0,0 +1,266 @@
+const MAX_RULES = 25;
+const MAX_CONDITIONS_PER_RULE = 10;
+const MAX_IN_VALUES = 50;
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const ATTESTATION_FIELD_PATTERN = /^attestations\.([a-z0-9._:-]{2,64})$/;
+const RISK_FACTOR_FIELD_PATTERN = /^risk\.([a-z0-9][a-z0-9_-]{0,39})$/;
+const DECISIONS = new Set(["allow", "review", "block"]);
+const NUMERIC_OPS = new Set(["lt", "lte", "gt", "gte", "eq", "neq", "in"]);
+const BOOLEAN_OPS = new Set(["eq", "neq"]);
+
+function toNumber(value, fallback = 0) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+// Every field a condition may test, read from the preflight context. Missing
+// risk inputs read as 0/false, the same way the risk penalty treats them.
+const NUMERIC_FIELDS = {
+  trustScore: (context) => context.trust.score,
+  decisionTrustScore: (context) => context.decisionTrustScore,
+  trustScoreLow: (context) => context.trust.scoreRange.low,
+  trustScoreHigh: (context) => context.trust.scoreRange.high,
+  confidenceScore: (context) => context.trust.confidence.score,
+  behaviorScore: (context) => context.trust.behavior.score,
+  adjustedScore: (context) => context.adjustedScore,
+  riskPenalty: (context) => context.riskPenalty,
+  signalQuality: (context) => context.trust.signalQuality.score,
+  signalSampleSize: (context) => context.trust.signalQuality.sampleSize,
+  verifiedPercent: (context) => context.trust.signalQuality.verifiedPercent,
+  anomalyCount: (context) => context.trust.anomalies.count,
+  amountUsd: (context) => toNumber(context.payload.amountUsd, 0),
+  missingAttestations: (context) => context.missingRequiredAttestations().length,
+  "breakdown.positive30d": (context) => context.trust.breakdown.positive30d,
+  "breakdown.neutral30d": (context) => context.trust.breakdown.neutral30d,
+  "breakdown.negative30d": (context) => context.trust.breakdown.negative30d,
+  "breakdown.severeNegative30d": (context) => context.trust.breakdown.severeNegative30d,
+  "breakdown.lifetimeEvents": (context) => context.trust.breakdown.lifetimeEvents,
+  "breakdown.openDisputes": (context) => context.trust.breakdown.disputes.open,
+  "breakdown.upheldDisputes": (context) => context.trust.breakdown.disputes.upheld,
+  "behavior.onTime30d": (context) => context.trust.behavior.breakdown.onTime30d,
+  "behavior.missedDeadline30d": (context) => context.trust.behavior.breakdown.missedDeadline30d,
+  "behavior.abandoned30d": (context) => context.trust.behavior.breakdown.abandoned30d,
+  "behavior.severeRisk30d": (context) => context.trust.behavior.breakdown.severeRisk30d,
+};
+
+const BOOLEAN_FIELDS = {
+  newPayee: (context) => context.payload.newPayee === true,
+  firstTimeCounterparty: (context) => context.payload.firstTimeCounterparty === true,
+  highPrivilegeAction: (context) => context.payload.highPrivilegeAction === true,
+  exposesApiKeys: (context) => context.payload.exposesApiKeys === true,
+};
+
+// Placeholders that reasons may use but conditions may not.
+const TEMPLATE_ONLY_FIELDS = {
+  agentId: (context) => context.agentId,
+  trustLabel: (context) => context.trustLabel,
+};
+
+/**
+ * The threshold rules preflight applies when a policy defines no decisionRules
+ * of its own: a hard floor on the trust score and decision score, a block for
+ * repeated severe incidents in a high-risk context, and a review band.
+ */
+export function thresholdRules({ blockBelow, reviewBelow }) {
+  return [
+    {
+      id: "trust_floor",
+      when: [{ field: "decisionTrustScore", op: "lt", value: blockBelow }],
+      decision: "block",
+      reason: `Blocked: {trustLabel} {decisionTrustScore} is below hard minimum ${blockBelow}.`,
+    },
+    {
+      id: "severe_incidents_high_risk",
+      when: [
+        { field: "breakdown.severeNegative30d", op: "gte", value: 2 },
+        { field: "riskPenalty", op: "gte", value: 20 },
+      ],
+      decision: "block",
+      reason: "Blocked: severe trust incidents with high-risk context.",
+    },
+    {
+      id: "decision_floor",
+      when: [{ field: "adjustedScore", op: "lt", value: blockBelow }],
+      decision: "block",
+      reason: `Blocked: decision score {adjustedScore} is below hard minimum ${blockBelow}.`,
+    },
+    {
+      id: "caution_band",
+      when: [{ field: "adjustedScore", op: "lt", value: reviewBelow }],
+      decision: "review",
+      reason: "Manual review required: decision score {adjustedScore} is in caution band.",
+    },
+  ];
+}
+
+const DEFAULT_ALLOW_REASON = "Trust score {trustScore} and behavior score {behaviorScore} are acceptable for this action.";
+
+function fieldKind(field) {
+  if (Object.hasOwn(NUMERIC_FIELDS, field) || RISK_FACTOR_FIELD_PATTERN.test(field)) return "number";
+  if (Object.hasOwn(BOOLEAN_FIELDS, field) || ATTESTATION_FIELD_PATTERN.test(field)) return "boolean";
+  return null;
+}
+
+function readField(context, field) {
+  if (Object.hasOwn(NUMERIC_FIELDS, field)) return NUMERIC_FIELDS[field](context);
+  if (Object.hasOwn(BOOLEAN_FIELDS, field)) return BOOLEAN_FIELDS[field](context);
+  if (Object.hasOwn(TEMPLATE_ONLY_FIELDS, field)) return TEMPLATE_ONLY_FIELDS[field](context);
+  const attestation = ATTESTATION_FIELD_PATTERN.exec(field);
+  if (attestation) return context.hasAttestation(attestation[1]);
+  const riskFactor = RISK_FACTOR_FIELD_PATTERN.exec(field);
+  if (riskFactor) return context.riskFactorPoints(riskFactor[1]);
+  return undefined;
+}
+
+function normalizeCondition(input, path) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error(`${path} must be an object with field, op and value.`);
+  }
+  const field = String(input.field ?? "").trim();
+  const kind = fieldKind(field);
+  if (!kind) {
+    throw new Error(`${path}.field "${field}" is not a supported rule field.`);
+  }
+
+  const op = String(input.op ?? "").trim().toLowerCase();
+  const ops = kind === "number" ? NUMERIC_OPS : BOOLEAN_OPS;
+  if (!ops.has(op)) {
+    throw new Error(`${path}.op must be one of: ${[...ops].join(", ")} for ${field}.`);
+  }
+
+  if (kind === "boolean") {
+    if (typeof input.value !== "boolean") throw new Error(`${path}.value must be true or false for ${field}.`);
+    return { field, op, value: input.value };
+  }
+  if (op === "in") {
+    const values = Array.isArray(input.value) ? input.value.map(Number) : [];
+    if (values.length === 0 || values.length > MAX_IN_VALUES || !values.every(Number.isFinite)) {
+      throw new Error(`${path}.value must be an array of 1-${MAX_IN_VALUES} numbers for op "in".`);
+    }
+    return { field, op, value: values };
+  }
+  const value = Number(input.value);
+  if (typeof input.value === "boolean" || input.value === null || !Number.isFinite(value)) {
+    throw new Error(`${path}.value must be a number for ${field}.`);
+  }
+  return { field, op, value };
+}
+
+function normalizeReason(input, path) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "string") throw new Error(`${path} must be a string.`);
+  const reason = input.trim().slice(0, 300);
+  for (const [, placeholder] of reason.matchAll(/\{([^{}]+)\}/g)) {
+    if (!fieldKind(placeholder) && !Object.hasOwn(TEMPLATE_ONLY_FIELDS, placeholder)) {
+      throw new Error(`${path} uses unknown placeholder {${placeholder}}.`);
+    }
+  }
+  return reason || null;
+}
+
+function normalizeRule(input, index, seenIds) {
+  const path = `decisionRules[${index}]`;
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error(`${path} must be an object.`);
+  }
+
+  const id = String(input.id ?? "").trim().toLowerCase();
+  if (!RULE_ID_PATTERN.test(id)) {
+    throw new Error(`${path}.id must be 1-40 characters: lowercase letters, digits, '_' or '-'.`);
+  }
+  if (seenIds.has(id)) throw new Error(`${path}.id "${id}" is used by more than one rule.`);
+  seenIds.add(id);
+
+  const decision = String(input.decision ?? "").trim().toLowerCase();
+  if (!DECISIONS.has(decision)) {
+    throw new Error(`${path}.decision must be one of: allow, review, block.`);
+  }
+
+  const match = input.match === undefined ? "all" : String(input.match).trim().toLowerCase();
+  if (match !== "all" && match !== "any") {
+    throw new Error(`${path}.match must be one of: all, any.`);
+  }
+
+  if (!Array.isArray(input.when) || input.when.length === 0 || input.when.length > MAX_CONDITIONS_PER_RULE) {
+    throw new Error(`${path}.when must be an array of 1-${MAX_CONDITIONS_PER_RULE} conditions.`);
+  }
+  const when = input.when.map((condition, conditionIndex) =>
+    normalizeCondition(condition, `${path}.when[${conditionIndex}]`)
+  );
+
+  return {
+    id,
+    match,
+    when,
+    decision,
+    reason: normalizeReason(input.reason, `${path}.reason`),
+  };
+}
+
+/**
+ * Validates account decision rules on policy save. `null` or an empty array
+ * clears them, which restores the built-in thresholds.
+ */
+export function normalizeDecisionRules(input) {
+  if (input === undefined) return undefined;
+  if (input === null) return [];
+  if (!Array.isArray(input)) throw new Error("decisionRules must be an array of rules.");
+  if (input.length > MAX_RULES) throw new Error(`decisionRules accepts at most ${MAX_RULES} rules.`);
+  const seenIds = new Set();
+  return input.map((rule, index) => normalizeRule(rule, index, seenIds));
+}
+
+function conditionMatches(context, condition) {
+  const actual = readField(context, condition.field);
+  switch (condition.op) {
+    case "lt":
+      return actual < condition.value;
+    case "lte":
+      return actual <= condition.value;
+    case "gt":
+      return actual > condition.value;
+    case "gte":
+      return actual >= condition.value;
+    case "eq":
+      return actual === condition.value;
+    case "neq":
+      return actual !== condition.value;
+    case "in":
+      return condition.value.includes(actual);
+    default:
+      return false;
+  }
+}
+
+function renderReason(template, context) {
+  return template.replace(/\{([^{}]+)\}/g, (_, field) => String(readField(context, field) ?? ""));
+}
+
+function defaultReason(rule) {
+  if (rule.decision === "block") return `Blocked: rule ${rule.id} matched.`;
+  if (rule.decision === "review") return `Manual review required: rule ${rule.id} matched.`;
+  return `Allowed: rule ${rule.id} matched.`;
+}
+
+/**
+ * Runs rules in order and returns the first match as `{ decision, reason,
+ * ruleFired }`. When nothing matches the action is allowed and `ruleFired` is
+ * null. `source` ("account" or "builtin") is reported in `ruleFired`.
+ * `context` carries the preflight inputs plus `hasAttestation(type)`,
+ * `missingRequiredAttestations()` and `riskFactorPoints(id)`, which are only
+ * called when a rule needs them.
+ */
+export function evaluateDecisionRules(rules, context, source = "account") {
+  for (const [index, rule] of rules.entries()) {
+    const matches = (rule.match ?? "all") === "any"
+      ? rule.when.some((condition) => conditionMatches(context, condition))
+      : rule.when.every((condition) => conditionMatches(context, condition));
+    if (!matches) continue;
+    return {
+      decision: rule.decision,
+      reason: rule.reason ? renderReason(rule.reason, context) : defaultReason(rule),
+      ruleFired: { id: rule.id, index, source, decision: rule.decision },
+    };
+  }
+  return { decision: "allow", reason: renderReason(DEFAULT_ALLOW_REASON, context), ruleFired: null };
+}
@@ -1,12 +1,15 @@
+import { detectAnomalies } from "./anomalies.js";
 import {
   BEHAVIOR_EVENT_WEIGHTS,
   DECAY_HALF_LIFE_DAYS,
   EVENT_WEIGHTS,
+  OPEN_DISPUTE_MULTIPLIER,
   SCORE_BASELINE,
   SCORE_MAX,
   SCORE_MIN,
   SENSITIVE_EVENT_TYPES,
 } from "./config.js";
+import { explainFactors } from "./explain.js";
 
 const LN_2 = Math.log(2);
 const DEFAULT_SOURCE_TYPE_FACTORS = {
@@ -20,21 +23,89 @@ function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
 
+function evaluationTimeMs(asOf) {
+  if (asOf === undefined || asOf === null) return Date.now();
+  const ms = asOf instanceof Date ? asOf.getTime() : typeof asOf === "number" ? asOf : Date.parse(String(asOf));
+  return Number.isFinite(ms) ? ms : Date.now();
+}
+
+function occurredBy(event, nowMs) {
+  const eventMs = new Date(event.createdAt).getTime();
+  if (Number.isNaN(eventMs)) return true;
+  return eventMs <= nowMs;
+}
+
+function stampedBy(value, nowMs) {
+  if (!value) return false;
+  const ms = new Date(value).getTime();
+  return !Number.isNaN(ms) && ms <= nowMs;
+}
+
+// Corrections replace an event from the moment they were made, so replays
+// before that instant still see the original and not the replacement.
+function revisionExclusion(event, nowMs) {
+  if (stampedBy(event.retractedAt, nowMs)) return "retracted";
+  if (stampedBy(event.supersededAt, nowMs)) return "superseded";
+  if (disputeStatusAt(event, nowMs) === "overturned") return "dispute_overturned";
+  return null;
+}
+
+function disputeStatusAt(event, nowMs) {
+  const dispute = event.dispute;
+  if (!dispute || !stampedBy(dispute.openedAt, nowMs)) return null;
+  if (stampedBy(dispute.resolvedAt, nowMs)) return dispute.outcome;
+  return "open";
+}
+
+function recordedBy(event, nowMs) {
+  return !event.amendedAt || stampedBy(event.amendedAt, nowMs);
+}
+
+export function scorableEvents(allEvents, asOf) {
+  const nowMs = evaluationTimeMs(asOf);
+  return allEvents.filter(
+    (event) => occurredBy(event, nowMs) && recordedBy(event, nowMs) && !revisionExclusion(event, nowMs)
+  );
+}
+
 function daysSince(isoDate, nowMs) {
   const eventMs = new Date(isoDate).getTime();
   if (Number.isNaN(eventMs)) return 0;
   return Math.max(0, (nowMs - eventMs) / 86400000);
 }
 
-function decay(daysAgo) {
-  return Math.exp((-LN_2 * daysAgo) / DECAY_HALF_LIFE_DAYS);
+function decayRuleFor(event, decayConfig) {
+  const eventType = String(event.eventType ?? "").trim().toLowerCase();
+  const rule = decayConfig.eventTypes[eventType];
+  if (rule?.mode === "none" || rule?.mode === "step" || rule?.mode === "half_life") return rule;
+  return { mode: "half_life", halfLifeDays: decayConfig.defaultHalfLifeDays };
+}
+
+function decay(daysAgo, rule) {
+  if (rule.mode === "none") return 1;
+  if (rule.mode === "step") return daysAgo <= rule.expireAfterDays ? 1 : 0;
+  return Math.exp((-LN_2 * daysAgo) / rule.halfLifeDays);
+}
+
+function customTypeOf(event, eventCatalog) {
+  const eventType = String(event.eventType ?? "").trim().toLowerCase();
+  return eventCatalog?.types?.[eventType] ?? null;
+}
+
+function isSensitiveType(event, eventCatalog) {
+  const eventType = String(event.eventType ?? "").trim().toLowerCase();
+  if (SENSITIVE_EVENT_TYPES.has(eventType)) return true;
+  return customTypeOf(event, eventCatalog)?.sensitive === true;
 }
 
-function weightOf(event) {
+function weightOf(event, eventCatalog) {
   if (typeof EVENT_WEIGHTS[event.eventType] === "number") {
     return EVENT_WEIGHTS[event.eventType];
   }
 
+  const customWeight = customTypeOf(event, eventCatalog)?.trustWeight;
+  if (typeof customWeight === "number") return customWeight;
+
   if (event.kind === "positive") return 5;
   if (event.kind === "negative") return -8;
   return 0;
@@ -70,11 +141,24 @@ function normalizedPolicy(input) {
     sourceTypeMultipliers: { ...DEFAULT_SOURCE_TYPE_FACTORS },
     eventOverrides: {},
     requireVerifiedSensitive: false,
+    openDisputeMultiplier: OPEN_DISPUTE_MULTIPLIER,
+    decay: { defaultHalfLifeDays: DECAY_HALF_LIFE_DAYS, eventTypes: {} },
   };
   if (!input || typeof input !== "object") return base;
+  const defaultHalfLifeDays = Number(input.decay?.defaultHalfLifeDays);
+  const openDisputeMultiplier = Number(input.openDisputeMultiplier);
   return {
     ...base,
     ...input,
+    openDisputeMultiplier: Number.isFinite(openDisputeMultiplier)
+      ? clamp(openDisputeMultiplier, 0, 1)
+      : OPEN_DISPUTE_MULTIPLIER,
+    decay: {
+      defaultHalfLifeDays: Number.isFinite(defaultHalfLifeDays) && defaultHalfLifeDays > 0
+        ? defaultHalfLifeDays
+        : DECAY_HALF_LIFE_DAYS,
+      eventTypes: { ...(input.decay?.eventTypes ?? {}) },
+    },
     sourceTypeMultipliers: {
       ...base.sourceTypeMultipliers,
       ...(input.sourceTypeMultipliers ?? {}),
@@ -88,12 +172,12 @@ function normalizedPolicy(input) {
   };
 }
 
-function evaluatePolicy(event, policy, confidence) {
+function evaluatePolicy(event, policy, confidence, { eventCatalog, sourceReputation }) {
   const eventType = String(event.eventType ?? "").trim().toLowerCase();
   const source = String(event.source ?? "").trim().toLowerCase();
   const sourceType = String(event.sourceType ?? "").trim().toLowerCase();
   const override = policy.eventOverrides[eventType] ?? null;
-  const isSensitive = SENSITIVE_EVENT_TYPES.has(eventType);
+  const isSensitive = isSensitiveType(event, eventCatalog);
   const verified = sourceType === "verified_integration";
 
   if (override?.enabled === false) {
@@ -122,11 +206,17 @@ function evaluatePolicy(event, policy, confidence) {
     ? clamp(overrideMultiplier, 0, 3)
     : 1;
 
+  const reputationMultiplier = Number(sourceReputation?.[source]);
+  const reputationFactor = source && Number.isFinite(reputationMultiplier)
+    ? clamp(reputationMultiplier, 0, 1)
+    : 1;
+
   return {
     included: true,
     reason: null,
     sourceFactor: normalizedSourceFactor,
     eventMultiplier,
+    reputationFactor,
   };
 }
 
@@ -156,6 +246,31 @@ function signalQualityLevel(score) {
   return "Low";
 }
 
+function confidenceLevel(score) {
+  if (score >= 80) return "High";
+  if (score >= 55) return "Medium";
+  return "Low";
+}
+
+// The band narrows with the decay-weighted mass of included evidence and
+// widens when that evidence comes from low-quality sources.
+function uncertaintyBand(score, effectiveMass, signalQualityScore) {
+  const sourceMixFactor = 1.5 - signalQualityScore / 100;
+  const halfWidth = Math.round(clamp((30 / Math.sqrt(1 + effectiveMass)) * sourceMixFactor, 1, 45));
+  const confidenceScore = Math.round(clamp(100 - halfWidth * 2, 0, 100));
+  return {
+    scoreRange: {
+      low: Math.round(clamp(score - halfWidth, SCORE_MIN, SCORE_MAX)),
+      high: Math.round(clamp(score + halfWidth, SCORE_MIN, SCORE_MAX)),
+    },
+    confidence: {
+      score: confidenceScore,
+      level: confidenceLevel(confidenceScore),
+      effectiveSampleSize: Number(effectiveMass.toFixed(2)),
+    },
+  };
+}
+
 function behaviorLevelFor(score) {
   if (score >= 85) return "Excellent";
   if (score >= 70) return "Strong";
@@ -164,16 +279,18 @@ function behaviorLevelFor(score) {
   return "Poor";
 }
 
-function behaviorWeightOf(event) {
+function behaviorWeightOf(event, eventCatalog) {
   if (typeof BEHAVIOR_EVENT_WEIGHTS[event.eventType] === "number") {
     return BEHAVIOR_EVENT_WEIGHTS[event.eventType];
   }
+  const customWeight = customTypeOf(event, eventCatalog)?.behaviorWeight;
+  if (typeof customWeight === "number") return customWeight;
   if (event.kind === "positive") return 4;
   if (event.kind === "negative") return -6;
   return 0;
 }
 
-function calculateBehaviorScore(events, nowMs) {
+function calculateBehaviorScore(events, { nowMs, decayConfig, eventCatalog, anomalyDampening }) {
   let base = 60;
   let onTime30d = 0;
   let missed30d = 0;
@@ -186,7 +303,13 @@ function calculateBehaviorScore(events, nowMs) {
     const ageDays = daysSince(event.createdAt, nowMs);
     const confidence = confidenceFactor(event);
     const sourceFactor = sourceTrustFactor(event);
-    const contribution = behaviorWeightOf(event) * decay(ageDays) * confidence * sourceFactor;
+    const anomalyFactor = anomalyDampening.get(event) ?? 1;
+    const contribution =
+      behaviorWeightOf(event, eventCatalog) *
+      decay(ageDays, decayRuleFor(event, decayConfig)) *
+      confidence *
+      sourceFactor *
+      anomalyFactor;
     base += contribution;
 
     if (ageDays <= 30) {
@@ -223,11 +346,21 @@ function calculateBehaviorScore(events, nowMs) {
   };
 }
 
-export function scoreAgent(agentId, events, options = {}) {
+export function scoreAgent(agentId, allEvents, options = {}) {
   const includeTrace = options.includeTrace === true;
+  const explainFull = options.explain === "full";
+  // The per-event ledger feeds both the trace and the full explanation.
+  const collectRows = includeTrace || explainFull;
   const traceLimit = clamp(Number(options.traceLimit ?? 5), 1, 20);
   const policy = normalizedPolicy(options.policy);
-  const nowMs = Date.now();
+  const eventCatalog = options.eventCatalog ?? null;
+  const sourceReputation = options.sourceReputation ?? null;
+  // Replays evaluate "as of" a past instant: later events are ignored and
+  // decay is measured from that instant instead of now.
+  const nowMs = evaluationTimeMs(options.asOf);
+  const recorded = allEvents.filter((event) => occurredBy(event, nowMs) && recordedBy(event, nowMs));
+  const events = recorded.filter((event) => !revisionExclusion(event, nowMs));
+  const anomalies = detectAnomalies(events);
   let scoreValue = SCORE_BASELINE;
   let positive30d = 0;
   let neutral30d = 0;
@@ -238,6 +371,7 @@ export function scoreAgent(agentId, events, options = {}) {
     excludedBySource: 0,
     excludedByEventOverride: 0,
     excludedByVerification: 0,
+    excludedByRevision: recorded.length - events.length,
     included: 0,
   };
   let qualityNumerator = 0;
@@ -245,22 +379,49 @@ export function scoreAgent(agentId, events, options = {}) {
   let qualitySampleSize = 0;
   let qualityVerifiedEvents = 0;
   let severeNegative30d = 0;
+  let severeNegativeImpact = 0;
+  let effectiveMass = 0;
+  const disputeCounts = {
+    open: 0,
+    upheld: 0,
+    overturned: recorded.filter((event) => disputeStatusAt(event, nowMs) === "overturned").length,
+  };
 
   for (const event of events) {
     const ageDays = daysSince(event.createdAt, nowMs);
-    const baseWeight = weightOf(event);
-    const decayFactor = decay(ageDays);
+    const baseWeight = weightOf(event, eventCatalog);
+    const decayRule = decayRuleFor(event, policy.decay);
+    const decayFactor = decay(ageDays, decayRule);
     const confidence = confidenceFactor(event);
-    const policyEffect = evaluatePolicy(event, policy, confidence);
+    const policyEffect = evaluatePolicy(event, policy, confidence, { eventCatalog, sourceReputation });
 
     let sourceFactor = policyEffect.sourceFactor ?? sourceTrustFactor(event);
     let eventMultiplier = policyEffect.eventMultiplier ?? 1;
+    const reputationFactor = policyEffect.reputationFactor ?? 1;
+    const anomalyFactor = anomalies.dampening.get(event) ?? 1;
+    const disputeStatus = disputeStatusAt(event, nowMs);
+    // Open disputes hold the event at a reduced weight until the owner rules;
+    // upheld restores full weight and overturned excludes it like a retraction.
+    const disputeFactor = disputeStatus === "open" ? policy.openDisputeMultiplier : 1;
+    if (disputeStatus === "open") disputeCounts.open += 1;
+    if (disputeStatus === "upheld") disputeCounts.upheld += 1;
     let contribution = 0;
 
     if (policyEffect.included) {
-      contribution = baseWeight * decayFactor * sourceFactor * confidence * eventMultiplier;
+      contribution =
+        baseWeight *
+        decayFactor *
+        sourceFactor *
+        reputationFactor *
+        confidence *
+        eventMultiplier *
+        anomalyFactor *
+        disputeFactor;
       scoreValue += contribution;
       policySummary.included += 1;
+      if (event.kind === "negative" && isSensitiveType(event, eventCatalog)) {
+        severeNegativeImpact += Math.min(0, contribution);
+      }
       qualitySampleSize += 1;
       if (String(event.sourceType ?? "").trim().toLowerCase() === "verified_integration") {
         qualityVerifiedEvents += 1;
@@ -268,6 +429,8 @@ export function scoreAgent(agentId, events, options = {}) {
       const qualityWeight = Math.max(0.05, decayFactor * confidence);
       qualityDenominator += qualityWeight;
       qualityNumerator += qualityWeight * sourceQualityFactor(event);
+      effectiveMass +=
+        decayFactor * sourceFactor * reputationFactor * confidence * eventMultiplier * anomalyFactor * disputeFactor;
     } else if (policyEffect.reason === "below_min_confidence") {
       policySummary.excludedByConfidence += 1;
     } else if (policyEffect.reason === "source_not_allowed") {
@@ -288,12 +451,12 @@ export function scoreAgent(agentId, events, options = {}) {
       if (event.kind === "positive") positive30d += 1;
       if (event.kind === "neutral") neutral30d += 1;
       if (event.kind === "negative") negative30d += 1;
-      if (SENSITIVE_EVENT_TYPES.has(String(event.eventType ?? "").trim().toLowerCase()) && event.kind === "negative") {
+      if (isSensitiveType(event, eventCatalog) && event.kind === "negative") {
         severeNegative30d += 1;
       }
     }
 
-    if (includeTrace) {
+    if (collectRows) {
       trace.push({
         id: event.id,
         kind: event.kind,
@@ -306,17 +469,53 @@ export function scoreAgent(agentId, events, options = {}) {
         excludedReason: policyEffect.reason,
         baseWeight,
         decayFactor: Number(decayFactor.toFixed(4)),
+        decayMode: decayRule.mode,
         sourceFactor: Number(sourceFactor.toFixed(4)),
+        reputationFactor: Number(reputationFactor.toFixed(4)),
         confidenceFactor: Number(confidence.toFixed(4)),
         eventMultiplier: Number(eventMultiplier.toFixed(4)),
+        anomalyFactor: Number(anomalyFactor.toFixed(4)),
+        disputeFactor: Number(disputeFactor.toFixed(4)),
+        disputeStatus: disputeStatus ?? undefined,
         contribution: Number(contribution.toFixed(4)),
         createdAt: event.createdAt,
       });
     }
   }
 
+  if (collectRows) {
+    for (const event of recorded) {
+      const excludedReason = revisionExclusion(event, nowMs);
+      if (!excludedReason) continue;
+      trace.push({
+        id: event.id,
+        kind: event.kind,
+        eventType: event.eventType,
+        source: event.source,
+        sourceType: event.sourceType,
+        externalEventId: event.externalEventId,
+        verificationStatus: "policy_excluded",
+        included: false,
+        excludedReason,
+        supersededBy: event.supersededBy,
+        disputeStatus: disputeStatusAt(event, nowMs) ?? undefined,
+        baseWeight: weightOf(event, eventCatalog),
+        decayFactor: Number(decay(daysSince(event.createdAt, nowMs), decayRuleFor(event, policy.decay)).toFixed(4)),
+        sourceFactor: sourceTrustFactor(event),
+        confidenceFactor: Number(confidenceFactor(event).toFixed(4)),
+        contribution: 0,
+        createdAt: event.createdAt,
+      });
+    }
+  }
+
   const trustScore = Math.round(clamp(scoreValue, SCORE_MIN, SCORE_MAX));
-  const behavior = calculateBehaviorScore(events, nowMs);
+  const behavior = calculateBehaviorScore(events, {
+    nowMs,
+    decayConfig: policy.decay,
+    eventCatalog,
+    anomalyDampening: anomalies.dampening,
+  });
   let behaviorInfluence = 0;
   if (behavior.score <= 35) behaviorInfluence -= 6;
   else if (behavior.score <= 50) behaviorInfluence -= 3;
@@ -336,7 +535,8 @@ export function scoreAgent(agentId, events, options = {}) {
       ? Math.round((qualityVerifiedEvents / qualitySampleSize) * 100)
       : 0,
   };
-  const history = [...events]
+  const { scoreRange, confidence } = uncertaintyBand(score, effectiveMass, signalQualityScore);
+  const history = [...recorded]
     .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
     .slice(0, 10)
     .map((event) => ({
@@ -352,6 +552,10 @@ export function scoreAgent(agentId, events, options = {}) {
       details: event.details,
       source: event.source,
       externalEventId: event.externalEventId,
+      excludedReason: revisionExclusion(event, nowMs) ?? undefined,
+      dispute: event.dispute && disputeStatusAt(event, nowMs)
+        ? { id: event.dispute.id, status: disputeStatusAt(event, nowMs) }
+        : undefined,
       createdAt: event.createdAt
     }));
 
@@ -364,12 +568,22 @@ export function scoreAgent(agentId, events, options = {}) {
         ? explanation(level, positive30d, negative30d)
         : `${explanation(level, positive30d, negative30d)} Behavior influence ${behaviorInfluence > 0 ? "+" : ""}${behaviorInfluence}.`,
     signalQuality,
+    scoreRange,
+    confidence,
+    anomalies: {
+      count: anomalies.flags.length,
+      flags: anomalies.flags,
+    },
     breakdown: {
       positive30d,
       neutral30d,
       negative30d,
       severeNegative30d,
+      // Decayed score points lost to severe negatives; related agents inherit
+      // a share of it under a transitiveTrust policy.
+      severeNegativeImpact: Number(severeNegativeImpact.toFixed(4)),
       lifetimeEvents: events.length,
+      disputes: disputeCounts,
       policy: policySummary,
     },
     history,
@@ -389,6 +603,10 @@ export function scoreAgent(agentId, events, options = {}) {
     },
   };
 
+  if (explainFull) {
+    result.factors = explainFactors(trace, { baseline: SCORE_BASELINE, score });
+  }
+
   if (includeTrace) {
     result.trace = trace
       .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
@@ -397,3 +615,40 @@ export function scoreAgent(agentId, events, options = {}) {
 
   return result;
 }
+
+/**
+ * Applies influence inherited from related agents to a computed score: a
+ * penalty propagated from their severe negatives, then a cap at the parent's
+ * score. The adjusted score replaces `score` and `level`; `inherited` keeps
+ * the agent's own score and each contribution so the two stay separable.
+ */
+export function applyInheritedInfluence(result, { penalty, propagated, parentCap }) {
+  const baseScore = result.score;
+  let score = Math.round(clamp(baseScore - penalty, SCORE_MIN, SCORE_MAX));
+  const capApplies = parentCap !== null && parentCap.score < score;
+  if (capApplies) score = parentCap.score;
+  const adjustment = score - baseScore;
+
+  return {
+    ...result,
+    score,
+    level: levelFor(score),
+    explanation: adjustment === 0
+      ? result.explanation
+      : `${result.explanation} Inherited influence ${adjustment > 0 ? "+" : ""}${adjustment}.`,
+    scoreRange: {
+      ...result.scoreRange,
+      low: Math.round(clamp(result.scoreRange.low + adjustment, SCORE_MIN, SCORE_MAX)),
+      high: Math.round(clamp(result.scoreRange.high + adjustment, SCORE_MIN, SCORE_MAX)),
+    },
+    trust: { ...result.trust, finalScore: score },
+    scoreModel: { ...result.scoreModel, trustScore: score },
+    inherited: {
+      baseScore,
+      adjustment,
+      penalty: Number(penalty.toFixed(2)),
+      propagated,
+      parentCap: parentCap === null ? null : { ...parentCap, applied: capApplies },
+    },
+  };
+}
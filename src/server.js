@@ -5,6 +5,16 @@ import path from "node:path";
 import { URL } from "node:url";
 
 import { getAdminAgentSnapshot, getAdminOverview, getRecentDecisionFeed } from "./admin.js";
+import {
+  addAlias,
+  listAliases,
+  listMerges,
+  mergeAgents,
+  removeAlias,
+  unmergeAgents,
+} from "./agent-aliases.js";
+import { getAgentProfile, listAgents, putAgentProfile } from "./agent-profiles.js";
+import { createRelationship, listRelationships, removeRelationship } from "./agent-graph.js";
 import { createDiscordAlert, createTelegramAlert, deleteAlertDestination, listAlertDestinations } from "./alerts.js";
 import {
   issueAttestation,
@@ -14,18 +24,49 @@ import {
 } from "./attestations.js";
 import { authenticate, issueApiKey, listApiKeys, revokeApiKey, rotateApiKey } from "./auth.js";
 import { getDecisionLogs, logDecision } from "./audit.js";
+import { backtestPolicy } from "./backtest.js";
 import { clawCreditPreflight } from "./clawcredit.js";
 import { PLANS } from "./config.js";
+import { listDisputes, openDispute, resolveDispute } from "./disputes.js";
+import { deleteEventType, listEventTypes, registerEventType, updateEventCatalogSettings } from "./event-types.js";
+import { withIdempotency } from "./idempotency.js";
 import { getIngestSecretStatus, ingestVerifiedEvent, rotateIngestSecret } from "./ingest.js";
 import { listIntegrationTemplates, mapProviderEvent } from "./integration-templates.js";
 import { revokeUserApiKey, rotateUserApiKey } from "./key-store.js";
 import { flushStoreToDisk, loadStoreFromDisk } from "./persistence.js";
-import { applyPolicyPreset, getPolicy, listPolicyPresets, resetPolicy, setPolicy } from "./policy.js";
+import {
+  applyPolicyPreset,
+  deleteNamedPolicy,
+  getNamedPolicy,
+  getPolicy,
+  getPolicyVersion,
+  listNamedPolicies,
+  listPolicyPresets,
+  listPolicyVersions,
+  normalizePolicyName,
+  resetPolicy,
+  rollbackPolicy,
+  saveNamedPolicy,
+  setPolicy
+} from "./policy.js";
+import { actionPreflight } from "./preflight.js";
 import { getHeroSnapshot } from "./public-signals.js";
 import { buildWeeklyReport, sendDigest } from "./reports.js";
+import { getReview, listReviews, resolveReview } from "./reviews.js";
 import { logSecurityEvent } from "./security-log.js";
-import { getScore, postEvent } from "./service.js";
+import {
+  amendEvent,
+  getAgentAnomalies,
+  getScore,
+  getScoreBatch,
+  getScoreHistory,
+  postEvent,
+  postEventBatch,
+  retractEvent,
+  simulateScore,
+} from "./service.js";
 import { handleCreateUser, handleStripeWebhook, handleUpgrade } from "./selfserve.js";
+import { listSources } from "./source-reputation.js";
 import { getUsageSnapshot } from "./usage.js";
 import { createWebhook, deleteWebhook, getWebhooks } from "./webhooks.js";
 
@@ -84,8 +125,10 @@ const SAFE_HEADERS = {
 
 const CORS_HEADERS = {
   "access-control-allow-origin": "*",
-  "access-control-allow-methods": "GET, POST, DELETE, OPTIONS",
-  "access-control-allow-headers": "Content-Type, x-api-key, x-admin-token, x-ingest-signature, x-ingest-timestamp"
+  "access-control-allow-methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "access-control-allow-headers":
+    "Content-Type, x-api-key, x-admin-token, x-ingest-signature, x-ingest-timestamp, x-trust-actor, Idempotency-Key",
+  "access-control-expose-headers": "Idempotent-Replayed"
 };
 
 function hasValidTrustApiKeys(raw) {
@@ -266,6 +309,28 @@ function readRawBody(request) {
   });
 }
 
+function policyActor(request) {
+  const actor = request.headers["x-trust-actor"];
+  return typeof actor === "string" && actor.trim() ? actor.trim() : null;
+}
+
+function idempotencyKey(request) {
+  const key = request.headers["idempotency-key"];
+  return typeof key === "string" ? key.trim() : null;
+}
+
+// Replays carry the stored status and body plus a header so clients can tell.
+function sendIdempotent(response, result) {
+  if (result.replayed) response.setHeader("idempotent-replayed", "true");
+  return sendJson(response, result.status, result.body);
+}
+
+function parsePolicyVersion(raw) {
+  if (!/^\d+$/.test(String(raw ?? ""))) return null;
+  const version = Number(raw);
+  return Number.isSafeInteger(version) ? version : null;
+}
+
 function safeEquals(left, right) {
   const a = Buffer.from(String(left ?? ""), "utf8");
   const b = Buffer.from(String(right ?? ""), "utf8");
@@ -342,6 +407,26 @@ function tryServeStatic(response, urlPathname) {
   return true;
 }
 
+function logScoreCheck(account, score, extraMetadata = {}) {
+  logDecision({
+    account,
+    action: "score_check",
+    agentId: score.agentId,
+    outcome: "scored",
+    score: score.score,
+    reason: score.explanation,
+    policyName: score.policyApplied?.name,
+    policyVersion: score.policyApplied?.version,
+    metadata: {
+      signalSampleSize: Number(score?.signalQuality?.sampleSize ?? 0),
+      signalQualityScore: Number(score?.signalQuality?.score ?? 0),
+      insufficientData: Number(score?.signalQuality?.sampleSize ?? 0) <= 0,
+      ...(score.asOf ? { asOf: score.asOf } : {}),
+      ...extraMetadata,
+    },
+  });
+}
+
 const server = http.createServer(async (request, response) => {
   const url = new URL(request.url ?? "/", `http://${request.headers.host ?? "localhost"}`);
   response._requestId = crypto.randomUUID();
@@ -515,6 +600,35 @@ const server = http.createServer(async (request, response) => {
     return sendJson(response, 200, { policy: getPolicy(account.apiKey) });
   }
 
+  if (request.method === "GET" && url.pathname === "/v1/policy/versions") {
+    const versions = listPolicyVersions(account.apiKey);
+    return sendJson(response, 200, {
+      currentVersion: getPolicy(account.apiKey).version,
+      count: versions.length,
+      versions
+    });
+  }
+
+  if (request.method === "GET" && url.pathname.startsWith("/v1/policy/versions/")) {
+    const version = parsePolicyVersion(url.pathname.split("/").pop());
+    if (version === null) {
+      return sendJson(response, 400, { error: "Policy version must be a non-negative integer." });
+    }
+    const entry = getPolicyVersion(account.apiKey, version);
+    if (!entry) return sendJson(response, 404, { error: "Policy version not found." });
+    return sendJson(response, 200, { version: entry });
+  }
+
+  if (request.method === "POST" && url.pathname.startsWith("/v1/policy/rollback/")) {
+    const version = parsePolicyVersion(url.pathname.split("/").pop());
+    if (version === null) {
+      return sendJson(response, 400, { error: "Policy version must be a non-negative integer." });
+    }
+    const policy = rollbackPolicy(account.apiKey, version, { actor: policyActor(request) });
+    if (!policy) return sendJson(response, 404, { error: "Policy version not found." });
+    return sendJson(response, 200, { policy, rolledBackTo: version });
+  }
+
   if (request.method === "GET" && url.pathname === "/v1/policy/presets") {
     return sendJson(response, 200, listPolicyPresets());
   }
@@ -522,7 +636,7 @@ const server = http.createServer(async (request, response) => {
   if (request.method === "POST" && url.pathname.startsWith("/v1/policy/presets/")) {
     const presetName = url.pathname.split("/").pop();
     try {
-      const policy = applyPolicyPreset(account.apiKey, presetName);
+      const policy = applyPolicyPreset(account.apiKey, presetName, { actor: policyActor(request) });
       return sendJson(response, 200, { policy, presetApplied: presetName });
     } catch (error) {
       const message = error instanceof Error ? error.message : "Invalid policy preset.";
@@ -533,7 +647,7 @@ const server = http.createServer(async (request, response) => {
   if (request.method === "POST" && url.pathname === "/v1/policy") {
     try {
       const payload = await readJsonBody(request);
-      const policy = setPolicy(account.apiKey, payload);
+      const policy = setPolicy(account.apiKey, payload, { actor: policyActor(request) });
       return sendJson(response, 200, { policy });
     } catch (error) {
       if (error instanceof Error && error.message === "Payload too large") {
@@ -544,11 +658,125 @@ const server = http.createServer(async (request, response) => {
     }
   }
 
+  if (request.method === "POST" && url.pathname === "/v1/policy/backtest") {
+    try {
+      const payload = await readJsonBody(request);
+      const result = backtestPolicy({ account, payload });
+      return sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
   if (request.method === "DELETE" && url.pathname === "/v1/policy") {
-    const policy = resetPolicy(account.apiKey);
+    const policy = resetPolicy(account.apiKey, { actor: policyActor(request) });
     return sendJson(response, 200, { policy, reset: true });
   }
 
+  if (request.method === "GET" && url.pathname === "/v1/policies") {
+    const includeDeleted = String(url.searchParams.get("includeDeleted") ?? "").trim().toLowerCase() === "true";
+    const policies = listNamedPolicies(account.apiKey, { includeDeleted });
+    return sendJson(response, 200, { count: policies.length, policies });
+  }
+
+  if (url.pathname.startsWith("/v1/policies/")) {
+    // /v1/policies/{name}, /v1/policies/{name}/versions[/{n}], /v1/policies/{name}/rollback/{n}
+    const [rawName, subresource, rawVersion, ...extra] = url.pathname.slice("/v1/policies/".length).split("/");
+    const version = rawVersion === undefined ? undefined : parsePolicyVersion(rawVersion);
+    if (version === null) {
+      return sendJson(response, 400, { error: "Policy version must be a non-negative integer." });
+    }
+
+    try {
+      const name = normalizePolicyName(rawName);
+      const isPolicy = subresource === undefined;
+      const isVersions = subresource === "versions" && extra.length === 0;
+      const isRollback = subresource === "rollback" && version !== undefined && extra.length === 0;
+
+      if (request.method === "GET" && isPolicy) {
+        const policy = getNamedPolicy(account.apiKey, name);
+        if (!policy) return sendJson(response, 404, { error: "Policy not found." });
+        return sendJson(response, 200, policy);
+      }
+
+      if (request.method === "POST" && isPolicy) {
+        const payload = await readJsonBody(request);
+        const result = saveNamedPolicy(account.apiKey, name, payload, { actor: policyActor(request) });
+        return sendJson(response, result.created ? 201 : 200, { name, ...result });
+      }
+
+      if (request.method === "DELETE" && isPolicy) {
+        if (!deleteNamedPolicy(account.apiKey, name, { actor: policyActor(request) })) {
+          return sendJson(response, 404, { error: "Policy not found." });
+        }
+        return sendJson(response, 200, { name, deleted: true });
+      }
+
+      if (request.method === "GET" && isVersions) {
+        if (!getNamedPolicy(account.apiKey, name)) return sendJson(response, 404, { error: "Policy not found." });
+        if (version === undefined) {
+          const versions = listPolicyVersions(account.apiKey, name);
+          return sendJson(response, 200, { name, count: versions.length, versions });
+        }
+        const entry = getPolicyVersion(account.apiKey, version, name);
+        if (!entry) return sendJson(response, 404, { error: "Policy version not found." });
+        return sendJson(response, 200, { name, version: entry });
+      }
+
+      if (request.method === "POST" && isRollback) {
+        const policy = rollbackPolicy(account.apiKey, version, { name, actor: policyActor(request) });
+        if (!policy) return sendJson(response, 404, { error: "Policy version not found." });
+        return sendJson(response, 200, { name, policy, rolledBackTo: version });
+      }
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      const message = error instanceof Error ? error.message : "Invalid policy request.";
+      return sendJson(response, 400, { error: message });
+    }
+  }
+
+  if (request.method === "GET" && url.pathname === "/v1/event-types") {
+    const result = listEventTypes({ account });
+    return sendJson(response, result.status, result.body);
+  }
+
+  if (request.method === "POST" && url.pathname === "/v1/event-types/settings") {
+    try {
+      const payload = await readJsonBody(request);
+      const result = updateEventCatalogSettings({ account, payload });
+      return sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
+  if (request.method === "POST" && url.pathname === "/v1/event-types") {
+    try {
+      const payload = await readJsonBody(request);
+      const result = registerEventType({ account, payload });
+      return sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
+  if (request.method === "DELETE" && url.pathname.startsWith("/v1/event-types/")) {
+    const eventType = decodeURIComponent(url.pathname.split("/").pop() ?? "");
+    const result = deleteEventType({ account, eventType });
+    return sendJson(response, result.status, result.body);
+  }
+
   if (request.method === "POST" && url.pathname === "/v1/integrations/map-event") {
     try {
       const payload = await readJsonBody(request);
@@ -667,7 +895,44 @@ const server = http.createServer(async (request, response) => {
   if (request.method === "POST" && url.pathname === "/v1/events") {
     try {
       const payload = await readJsonBody(request);
-      const result = await postEvent({ account, payload });
+      const key = idempotencyKey(request);
+      const result = await withIdempotency({ account, key, scope: "POST /v1/events", payload }, () =>
+        postEvent({ account, payload, checkDuplicates: key === null })
+      );
+      return sendIdempotent(response, result);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
+  if (request.method === "POST" && url.pathname === "/v1/events/batch") {
+    try {
+      const payload = await readJsonBody(request);
+      const result = await postEventBatch({ account, payload });
+      return sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
+  if (
+    request.method === "POST" &&
+    url.pathname.startsWith("/v1/events/") &&
+    (url.pathname.endsWith("/retract") || url.pathname.endsWith("/amend"))
+  ) {
+    const parts = url.pathname.split("/");
+    const eventId = decodeURIComponent(parts[3] ?? "");
+    try {
+      const payload = await readJsonBody(request);
+      const result = url.pathname.endsWith("/retract")
+        ? await retractEvent({ account, eventId, payload })
+        : await amendEvent({ account, eventId, payload });
       return sendJson(response, result.status, result.body);
     } catch (error) {
       if (error instanceof Error && error.message === "Payload too large") {
@@ -682,31 +947,270 @@ const server = http.createServer(async (request, response) => {
       String(url.searchParams.get("includeTrace") ?? "").trim().toLowerCase() === "true" ||
       String(url.searchParams.get("trace") ?? "").trim() === "1";
 
-    const result = getScore({ account, agentId: url.searchParams.get("agentId"), includeTrace });
+    const result = getScore({
+      account,
+      agentId: url.searchParams.get("agentId"),
+      includeTrace,
+      asOf: url.searchParams.get("asOf"),
+      explain: url.searchParams.get("explain"),
+      policy: url.searchParams.get("policy"),
+    });
 
     if (result.status === 200 && result.body?.agentId) {
-      logDecision({
+      logScoreCheck(account, result.body);
+    }
+
+    return sendJson(response, result.status, result.body);
+  }
+
+  if (request.method === "POST" && url.pathname === "/v1/scores/batch") {
+    try {
+      const payload = await readJsonBody(request);
+      const result = getScoreBatch({ account, payload });
+      if (result.status === 200) {
+        const logged = new Set();
+        for (const item of result.body.results) {
+          if (!item.ok || logged.has(item.agentId)) continue;
+          logged.add(item.agentId);
+          logScoreCheck(account, item.score, { batch: true });
+        }
+      }
+      return sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
+  if (request.method === "POST" && url.pathname === "/v1/score/simulate") {
+    try {
+      const payload = await readJsonBody(request);
+      const result = simulateScore({ account, payload });
+      return sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
+  if (request.method === "GET" && url.pathname === "/v1/score/history") {
+    const result = getScoreHistory({
+      account,
+      agentId: url.searchParams.get("agentId"),
+      from: url.searchParams.get("from"),
+      to: url.searchParams.get("to"),
+      interval: url.searchParams.get("interval") ?? "day",
+    });
+    return sendJson(response, result.status, result.body);
+  }
+
+  if (request.method === "GET" && url.pathname === "/v1/sources") {
+    const result = listSources({ account });
+    return sendJson(response, result.status, result.body);
+  }
+
+  if (request.method === "GET" && url.pathname === "/v1/anomalies") {
+    const result = getAgentAnomalies({ account, agentId: url.searchParams.get("agentId") });
+    return sendJson(response, result.status, result.body);
+  }
+
+  if (request.method === "POST" && url.pathname === "/v1/disputes") {
+    try {
+      const payload = await readJsonBody(request);
+      const result = await openDispute({ account, payload });
+      return sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
+  if (request.method === "GET" && url.pathname === "/v1/disputes") {
+    const result = listDisputes({
+      account,
+      query: { status: url.searchParams.get("status"), agentId: url.searchParams.get("agentId") },
+    });
+    return sendJson(response, result.status, result.body);
+  }
+
+  if (request.method === "POST" && url.pathname.startsWith("/v1/disputes/") && url.pathname.endsWith("/resolve")) {
+    const parts = url.pathname.split("/");
+    const disputeId = decodeURIComponent(parts[3] ?? "");
+    try {
+      const payload = await readJsonBody(request);
+      const result = await resolveDispute({ account, disputeId, payload });
+      return sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
+  if (request.method === "POST" && url.pathname === "/v1/relationships") {
+    try {
+      const payload = await readJsonBody(request);
+      const result = createRelationship({ account, payload, actor: policyActor(request) });
+      return sendJson(response, result.status, result.body);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
+  if (request.method === "GET" && url.pathname === "/v1/relationships") {
+    const result = listRelationships({
+      account,
+      query: {
+        agentId: url.searchParams.get("agentId"),
+        type: url.searchParams.get("type"),
+        includeRemoved: url.searchParams.get("includeRemoved"),
+      },
+    });
+    return sendJson(response, result.status, result.body);
+  }
+
+  if (request.method === "DELETE" && url.pathname.startsWith("/v1/relationships/")) {
+    const relationshipId = decodeURIComponent(url.pathname.slice("/v1/relationships/".length));
+    const result = removeRelationship({ account, relationshipId });
+    return sendJson(response, result.status, result.body);
+  }
+
+  if (request.method === "GET" && url.pathname === "/v1/agents") {
+    const result = listAgents({
+      account,
+      query: {
+        tag: url.searchParams.get("tag"),
+        band: url.searchParams.get("band"),
+        limit: url.searchParams.get("limit"),
+      },
+    });
+    return sendJson(response, result.status, result.body);
+  }
+
+  if (url.pathname.startsWith("/v1/agents/")) {
+    // /v1/agents/{id}, /v1/agents/merge, /v1/agents/merges, /v1/agents/merges/{id}/unmerge,
+    // /v1/agents/{id}/aliases, /v1/agents/{id}/aliases/{alias}
+    const [first, second, third, ...extra] = url.pathname.slice("/v1/agents/".length).split("/");
+
+    if (request.method === "GET" && first === "merges" && second === undefined) {
+      const result = listMerges({ account });
+      return sendJson(response, result.status, result.body);
+    }
+
+    const isMerge = first === "merge" && second === undefined;
+    const isUnmerge = first === "merges" && third === "unmerge" && extra.length === 0;
+    const isAliasWrite = second === "aliases" && third === undefined;
+    if (request.method === "POST" && (isMerge || isUnmerge || isAliasWrite)) {
+      try {
+        const payload = await readJsonBody(request);
+        const actor = policyActor(request);
+        let result;
+        if (isMerge) {
+          result = await mergeAgents({ account, payload, actor });
+        } else if (isUnmerge) {
+          result = await unmergeAgents({ account, mergeId: decodeURIComponent(second), payload, actor });
+        } else {
+          result = addAlias({ account, agentId: decodeURIComponent(first), payload, actor });
+        }
+        return sendJson(response, result.status, result.body);
+      } catch (error) {
+        if (error instanceof Error && error.message === "Payload too large") {
+          return sendJson(response, 413, { error: "Payload too large." });
+        }
+        return sendJson(response, 400, { error: "Invalid JSON body." });
+      }
+    }
+
+    if (request.method === "GET" && isAliasWrite) {
+      const result = listAliases({ account, agentId: decodeURIComponent(first) });
+      return sendJson(response, result.status, result.body);
+    }
+
+    const isProfile = first !== "merge" && first !== "merges" && second === undefined;
+    if (request.method === "GET" && isProfile) {
+      const result = getAgentProfile({ account, agentId: decodeURIComponent(first) });
+      return sendJson(response, result.status, result.body);
+    }
+
+    if (request.method === "PUT" && isProfile) {
+      try {
+        const payload = await readJsonBody(request);
+        const result = putAgentProfile({
+          account,
+          agentId: decodeURIComponent(first),
+          payload,
+          actor: policyActor(request),
+        });
+        return sendJson(response, result.status, result.body);
+      } catch (error) {
+        if (error instanceof Error && error.message === "Payload too large") {
+          return sendJson(response, 413, { error: "Payload too large." });
+        }
+        return sendJson(response, 400, { error: "Invalid JSON body." });
+      }
+    }
+
+    if (request.method === "DELETE" && second === "aliases" && third && extra.length === 0) {
+      const result = removeAlias({
         account,
-        action: "score_check",
-        agentId: result.body.agentId,
-        outcome: "scored",
-        score: result.body.score,
-        reason: result.body.explanation,
-        metadata: {
-          signalSampleSize: Number(result.body?.signalQuality?.sampleSize ?? 0),
-          signalQualityScore: Number(result.body?.signalQuality?.score ?? 0),
-          insufficientData: Number(result.body?.signalQuality?.sampleSize ?? 0) <= 0,
-        },
+        agentId: decodeURIComponent(first),
+        alias: decodeURIComponent(third),
       });
+      return sendJson(response, result.status, result.body);
     }
+  }
 
+  if (request.method === "GET" && url.pathname === "/v1/reviews") {
+    const result = listReviews({
+      account,
+      query: {
+        status: url.searchParams.get("status"),
+        agentId: url.searchParams.get("agentId"),
+        action: url.searchParams.get("action"),
+        limit: url.searchParams.get("limit"),
+      },
+    });
     return sendJson(response, result.status, result.body);
   }
 
-  if (request.method === "POST" && url.pathname === "/v1/integrations/clawcredit/preflight") {
+  if (url.pathname.startsWith("/v1/reviews/")) {
+    // /v1/reviews/{id}, /v1/reviews/{id}/approve, /v1/reviews/{id}/reject
+    const [rawId, resolution, ...extra] = url.pathname.slice("/v1/reviews/".length).split("/");
+    const reviewId = decodeURIComponent(rawId ?? "");
+
+    if (request.method === "GET" && resolution === undefined) {
+      const result = getReview({ account, reviewId });
+      return sendJson(response, result.status, result.body);
+    }
+
+    if (request.method === "POST" && (resolution === "approve" || resolution === "reject") && extra.length === 0) {
+      try {
+        const payload = await readJsonBody(request);
+        const result = await resolveReview({ account, reviewId, resolution, payload, actor: policyActor(request) });
+        return sendJson(response, result.status, result.body);
+      } catch (error) {
+        if (error instanceof Error && error.message === "Payload too large") {
+          return sendJson(response, 413, { error: "Payload too large." });
+        }
+        return sendJson(response, 400, { error: "Invalid JSON body." });
+      }
+    }
+  }
+
+  if (request.method === "POST" && url.pathname === "/v1/preflight") {
     try {
       const payload = await readJsonBody(request);
-      const result = clawCreditPreflight({ account, payload });
+      const result = actionPreflight({ account, payload });
       return sendJson(response, result.status, result.body);
     } catch (error) {
       if (error instanceof Error && error.message === "Payload too large") {
@@ -716,6 +1220,23 @@ const server = http.createServer(async (request, response) => {
     }
   }
 
+  if (request.method === "POST" && url.pathname === "/v1/integrations/clawcredit/preflight") {
+    try {
+      const payload = await readJsonBody(request);
+      const key = idempotencyKey(request);
+      const result = await withIdempotency(
+        { account, key, scope: "POST /v1/integrations/clawcredit/preflight", payload },
+        () => clawCreditPreflight({ account, payload })
+      );
+      return sendIdempotent(response, result);
+    } catch (error) {
+      if (error instanceof Error && error.message === "Payload too large") {
+        return sendJson(response, 413, { error: "Payload too large." });
+      }
+      return sendJson(response, 400, { error: "Invalid JSON body." });
+    }
+  }
+
   if (request.method === "GET" && url.pathname === "/v1/usage") {
     const result = getUsageSnapshot({ account });
     return sendJson(response, result.status, result.body);
@@ -793,8 +1314,11 @@ const server = http.createServer(async (request, response) => {
   if (request.method === "POST" && url.pathname === "/v1/attestations") {
     try {
       const payload = await readJsonBody(request);
-      const result = issueAttestation({ account, payload });
-      return sendJson(response, result.status, result.body);
+      const key = idempotencyKey(request);
+      const result = await withIdempotency({ account, key, scope: "POST /v1/attestations", payload }, () =>
+        issueAttestation({ account, payload })
+      );
+      return sendIdempotent(response, result);
     } catch (error) {
       if (error instanceof Error && error.message === "Payload too large") {
         return sendJson(response, 413, { error: "Payload too large." });
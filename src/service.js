@@ -1,13 +1,35 @@
 import crypto from "node:crypto";
 
+import { isPreflightAction, PREFLIGHT_ACTIONS } from "./action-profiles.js";
+import { resolveAgentId } from "./agent-aliases.js";
+import { parentAgents, relatedAgents, transitiveTrustEnabled } from "./agent-graph.js";
 import { normalizeAgentId } from "./agent-id.js";
+import { profileSummary } from "./agent-profiles.js";
+import { detectAnomalies } from "./anomalies.js";
+import { logDecision } from "./audit.js";
+import { evaluatePreflight } from "./clawcredit.js";
 import { PLANS, RATE_LIMITS_PER_MINUTE } from "./config.js";
+import { closeDisputeForRevision } from "./disputes.js";
+import { getEventCatalog, isKnownEventType } from "./event-types.js";
 import { scheduleFlush } from "./persistence.js";
-import { getPolicy } from "./policy.js";
-import { scoreAgent } from "./scoring.js";
-import { appendEvent, getAgentEvents, getMonthKey, getUsage, store } from "./store.js";
+import { getPolicyAsOf, previewPolicy, resolvePolicy } from "./policy.js";
+import { applyInheritedInfluence, scorableEvents, scoreAgent } from "./scoring.js";
+import { getSourceReputation, invalidateSourceReputation, sourceReputationTimeline } from "./source-reputation.js";
+import { appendEvent, findAccountEvent, getAgentEvents, getMonthKey, getUsage, store } from "./store.js";
+import { checkVelocity } from "./velocity.js";
 import { emitScoreAlerts } from "./webhooks.js";
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_INTERVALS_MS = {
+  hour: 60 * 60 * 1000,
+  day: DAY_MS,
+  week: 7 * DAY_MS
+};
+const HISTORY_MAX_POINTS = 400;
+const MAX_SCORE_BATCH = 200;
+const MAX_EVENT_BATCH = 500;
+const MAX_SIMULATED_EVENTS = 200;
+
 function scopedAgentId(apiKey, agentId) {
   return `${apiKey}::${agentId}`;
 }
@@ -56,7 +78,7 @@ function limitError({ account, message }) {
   };
 }
 
-function rateLimited({ apiKey, tier, action }) {
+export function rateLimited({ apiKey, tier, action }) {
   const limit = RATE_LIMITS_PER_MINUTE[tier][action];
   const minuteWindow = Math.floor(Date.now() / 60000);
   const key = `${minuteWindow}:${apiKey}:${action}`;
@@ -70,8 +92,18 @@ function rateLimited({ apiKey, tier, action }) {
   return false;
 }
 
-function duplicateEvent(event) {
-  const hashInput = `${event.agentId}|${event.kind}|${event.eventType}|${event.details ?? ""}|${event.sourceApiKey}`;
+// Backfills send many same-type events at once; an explicit occurredAt or
+// externalEventId is what tells them apart.
+function duplicateEvent(event, explicitTime) {
+  const hashInput = [
+    event.agentId,
+    event.kind,
+    event.eventType,
+    event.details ?? "",
+    event.sourceApiKey,
+    explicitTime ? event.createdAt : "",
+    event.externalEventId ?? ""
+  ].join("|");
   const hash = crypto.createHash("sha256").update(hashInput).digest("hex");
   const seenAt = store.recentEventHashes.get(hash);
   const now = Date.now();
@@ -95,35 +127,112 @@ function enforceAgentCap(usage, plan, normalizedAgentId, tier) {
   return { ok: true };
 }
 
-export async function postEvent({ account, payload }) {
-  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "eventWrites" })) {
-    return { status: 429, body: { error: "Rate limit exceeded for event logging." } };
-  }
-
+function chargeScoreCheck(account, normalizedAgentId) {
   const plan = PLANS[account.tier];
   const monthKey = getMonthKey();
   const usage = getUsage(monthKey, account.apiKey);
 
-  const agentId = normalizeAgentId(payload.agentId ?? "");
+  const cap = enforceAgentCap(usage, plan, normalizedAgentId, account.tier);
+  if (!cap.ok) return { status: 402, body: limitError({ account, message: cap.error }) };
+
+  if (usage.scoreChecks >= plan.maxChecksPerMonth) {
+    const next = nextTier(account.tier);
+    return {
+      status: 402,
+      body: limitError({
+        account,
+        message: next
+          ? `${prettyTier(account.tier)} plan limit hit: ${plan.maxChecksPerMonth} score checks/month exceeded. Upgrade to ${next}.`
+          : `${prettyTier(account.tier)} plan limit hit: ${plan.maxChecksPerMonth} score checks/month exceeded.`
+      })
+    };
+  }
+
+  usage.scoreChecks += 1;
+  usage.trackedAgents.add(normalizedAgentId);
+  scheduleFlush();
+  return null;
+}
+
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const ms = Date.parse(String(value));
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+function optionalText(value, maxLength) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : undefined;
+}
+
+function optionalLowercase(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : undefined;
+}
+
+function optionalNumber(value) {
+  return Number.isFinite(Number(value)) ? Number(value) : undefined;
+}
+
+function strictCatalogError(apiKey, eventType) {
+  if (!getEventCatalog(apiKey).strict || isKnownEventType(apiKey, eventType)) return null;
+  return {
+    error: `Unknown eventType "${eventType}". Strict event catalog mode is on; register it with POST /v1/event-types first.`
+  };
+}
+
+function buildEvent({ account, payload }) {
+  const agentId = resolveAgentId(account.apiKey, payload.agentId ?? "");
+  const postedAs = normalizeAgentId(payload.agentId ?? "");
   const agentScope = scopedAgentId(account.apiKey, agentId);
   const eventType = normalizeEventType(payload.eventType ?? "");
   const kind = payload.kind;
 
-  if (!agentId) return { status: 400, body: { error: "agentId is required." } };
-  if (!eventType) return { status: 400, body: { error: "eventType is required." } };
+  if (!agentId) return { ok: false, status: 400, body: { error: "agentId is required." } };
+  if (!eventType) return { ok: false, status: 400, body: { error: "eventType is required." } };
+  const catalogError = strictCatalogError(account.apiKey, eventType);
+  if (catalogError) return { ok: false, status: 400, body: catalogError };
   if (!kindValid(kind)) {
     return {
+      ok: false,
       status: 400,
       body: { error: "kind is required and must be one of: positive, neutral, negative." }
     };
   }
 
-  const cap = enforceAgentCap(usage, plan, agentId, account.tier);
-  if (!cap.ok) return { status: 402, body: limitError({ account, message: cap.error }) };
+  const createdAt = payload.occurredAt ? new Date(payload.occurredAt) : new Date();
+  if (Number.isNaN(createdAt.getTime())) {
+    return { ok: false, status: 400, body: { error: "occurredAt must be valid ISO-8601 if provided." } };
+  }
+
+  const event = {
+    id: crypto.randomUUID(),
+    agentId,
+    kind,
+    eventType,
+    details: optionalText(payload.details, 300),
+    sourceApiKey: account.apiKey,
+    source: optionalLowercase(payload.source),
+    sourceType: optionalLowercase(payload.sourceType),
+    confidence: optionalNumber(payload.confidence),
+    externalEventId: optionalText(payload.externalEventId, 120),
+    createdAt: createdAt.toISOString()
+  };
+  // Remember the alias an event arrived under, so unmerging can route it back.
+  if (postedAs !== agentId) event.postedAs = postedAs;
+
+  return { ok: true, agentId, agentScope, event, explicitTime: Boolean(payload.occurredAt) };
+}
+
+function prepareEvent({ account, payload, usage, plan }) {
+  const built = buildEvent({ account, payload });
+  if (!built.ok) return built;
+
+  const cap = enforceAgentCap(usage, plan, built.agentId, account.tier);
+  if (!cap.ok) return { ok: false, status: 402, body: limitError({ account, message: cap.error }) };
 
   if (usage.eventsLogged >= plan.maxEventsPerMonth) {
     const next = nextTier(account.tier);
     return {
+      ok: false,
       status: 402,
       body: limitError({
         account,
@@ -134,37 +243,41 @@ export async function postEvent({ account, payload }) {
     };
   }
 
-  const createdAt = payload.occurredAt ? new Date(payload.occurredAt) : new Date();
-  if (Number.isNaN(createdAt.getTime())) {
-    return { status: 400, body: { error: "occurredAt must be valid ISO-8601 if provided." } };
+  return built;
+}
+
+function commitEvent({ usage, agentId, agentScope, event }) {
+  appendEvent(agentScope, event);
+  invalidateSourceReputation(event.sourceApiKey);
+  usage.eventsLogged += 1;
+  usage.trackedAgents.add(agentId);
+}
+
+// Clients that send an Idempotency-Key get exact retry handling instead of the
+// 10-second duplicate window, so identical events sent on purpose are kept.
+export async function postEvent({ account, payload, checkDuplicates = true }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "eventWrites" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for event logging." } };
   }
 
-  const oldScore = scoreAgent(agentId, getAgentEvents(agentScope)).score;
+  const plan = PLANS[account.tier];
+  const monthKey = getMonthKey();
+  const usage = getUsage(monthKey, account.apiKey);
 
-  const event = {
-    id: crypto.randomUUID(),
-    agentId,
-    kind,
-    eventType,
-    details: typeof payload.details === "string" ? payload.details.trim().slice(0, 300) : undefined,
-    sourceApiKey: account.apiKey,
-    source: typeof payload.source === "string" ? payload.source.trim().toLowerCase() : undefined,
-    sourceType: typeof payload.sourceType === "string" ? payload.sourceType.trim().toLowerCase() : undefined,
-    confidence: Number.isFinite(Number(payload.confidence)) ? Number(payload.confidence) : undefined,
-    externalEventId:
-      typeof payload.externalEventId === "string" ? payload.externalEventId.trim().slice(0, 120) : undefined,
-    createdAt: createdAt.toISOString()
-  };
+  const prepared = prepareEvent({ account, payload, usage, plan });
+  if (!prepared.ok) return { status: prepared.status, body: prepared.body };
+  const { agentId, agentScope, event, explicitTime } = prepared;
+
+  const eventCatalog = getEventCatalog(account.apiKey);
+  const oldScore = scoreAgent(agentId, getAgentEvents(agentScope), { eventCatalog }).score;
 
-  if (duplicateEvent(event)) {
+  if (checkDuplicates && duplicateEvent(event, explicitTime)) {
     return { status: 409, body: { error: "Duplicate event rejected (same event submitted too quickly)." } };
   }
 
-  appendEvent(agentScope, event);
-  usage.eventsLogged += 1;
-  usage.trackedAgents.add(agentId);
+  commitEvent({ usage, agentId, agentScope, event });
 
-  const score = scoreAgent(agentId, getAgentEvents(agentScope));
+  const score = scoreAgent(agentId, getAgentEvents(agentScope), { eventCatalog });
   scheduleFlush();
   await emitScoreAlerts({
     account,
@@ -186,56 +299,747 @@ export async function postEvent({ account, payload }) {
   };
 }
 
-export function getScore({ account, agentId, includeTrace = false }) {
-  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "scoreReads" })) {
-    return { status: 429, body: { error: "Rate limit exceeded for score checks." } };
+export async function postEventBatch({ account, payload }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "eventWrites" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for event logging." } };
   }
 
-  const normalizedAgentId = normalizeAgentId(agentId ?? "");
-  const agentScope = scopedAgentId(account.apiKey, normalizedAgentId);
-  if (!normalizedAgentId) {
-    return { status: 400, body: { error: "agentId query param is required." } };
+  const items = payload?.events;
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, body: { error: "events is required and must be a non-empty array." } };
+  }
+  if (items.length > MAX_EVENT_BATCH) {
+    return { status: 400, body: { error: `events accepts at most ${MAX_EVENT_BATCH} entries per batch.` } };
   }
 
   const plan = PLANS[account.tier];
   const monthKey = getMonthKey();
   const usage = getUsage(monthKey, account.apiKey);
+  const eventCatalog = getEventCatalog(account.apiKey);
+  const touchedAgents = new Map();
+  const results = [];
 
-  const cap = enforceAgentCap(usage, plan, normalizedAgentId, account.tier);
-  if (!cap.ok) return { status: 402, body: limitError({ account, message: cap.error }) };
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      results.push({ index, ok: false, status: 400, error: "Each event must be a JSON object." });
+      continue;
+    }
 
-  if (usage.scoreChecks >= plan.maxChecksPerMonth) {
-    const next = nextTier(account.tier);
+    const prepared = prepareEvent({ account, payload: item, usage, plan });
+    if (!prepared.ok) {
+      results.push({ index, ok: false, status: prepared.status, error: prepared.body.error });
+      continue;
+    }
+    const { agentId, agentScope, event, explicitTime } = prepared;
+
+    if (duplicateEvent(event, explicitTime)) {
+      results.push({
+        index,
+        ok: false,
+        status: 409,
+        agentId,
+        error: "Duplicate event rejected (same event submitted too quickly)."
+      });
+      continue;
+    }
+
+    // Capture the pre-batch score the first time an agent is touched so each
+    // agent is rescored and alerted once with its true before/after values.
+    if (!touchedAgents.has(agentId)) {
+      touchedAgents.set(agentId, {
+        agentScope,
+        previousScore: scoreAgent(agentId, getAgentEvents(agentScope), { eventCatalog }).score
+      });
+    }
+
+    commitEvent({ usage, agentId, agentScope, event });
+    results.push({ index, ok: true, status: 201, agentId, event });
+  }
+
+  if (touchedAgents.size > 0) scheduleFlush();
+
+  const scores = [];
+  for (const [agentId, { agentScope, previousScore }] of touchedAgents.entries()) {
+    const score = scoreAgent(agentId, getAgentEvents(agentScope), { eventCatalog });
+    await emitScoreAlerts({
+      account,
+      agentId,
+      previousScore,
+      score: score.score
+    });
+    scores.push({
+      agentId,
+      previousScore,
+      value: score.score,
+      level: score.level,
+      explanation: score.explanation
+    });
+  }
+
+  const accepted = results.filter((item) => item.ok).length;
+  return {
+    status: 200,
+    body: {
+      received: items.length,
+      accepted,
+      rejected: items.length - accepted,
+      results,
+      scores
+    }
+  };
+}
+
+const AMENDABLE_FIELDS = ["kind", "eventType", "details", "source", "sourceType", "confidence", "externalEventId", "occurredAt"];
+
+function revisionNote(payload) {
+  return {
+    reason: optionalText(payload?.reason, 300) ?? "",
+    actor: optionalText(payload?.actor, 120)
+  };
+}
+
+function findRevisableEvent(account, eventId) {
+  const id = String(eventId ?? "").trim();
+  if (!id) return { ok: false, status: 400, body: { error: "eventId is required." } };
+
+  const found = findAccountEvent(account.apiKey, id);
+  if (!found) return { ok: false, status: 404, body: { error: "Event not found." } };
+  if (found.event.retractedAt) {
+    return { ok: false, status: 409, body: { error: "Event is already retracted." } };
+  }
+  if (found.event.supersededAt) {
     return {
-      status: 402,
-      body: limitError({
-        account,
-        message: next
-          ? `${prettyTier(account.tier)} plan limit hit: ${plan.maxChecksPerMonth} score checks/month exceeded. Upgrade to ${next}.`
-          : `${prettyTier(account.tier)} plan limit hit: ${plan.maxChecksPerMonth} score checks/month exceeded.`
-      })
+      ok: false,
+      status: 409,
+      body: { error: `Event was superseded by ${found.event.supersededBy}; revise the replacement instead.` }
     };
   }
+  return { ok: true, ...found };
+}
 
-  usage.scoreChecks += 1;
-  usage.trackedAgents.add(normalizedAgentId);
+// Revisions report the same score GET /v1/score returns, so responses, the
+// audit log and alerts agree with it.
+async function rescoreAfterRevision({ account, agentId, previousScore }) {
+  const score = scoreForAccountAgent({ account, agentId });
   scheduleFlush();
+  // Corrections can lift a score back over a threshold, so recoveries alert too.
+  await emitScoreAlerts({
+    account,
+    agentId,
+    previousScore,
+    score: score.score,
+    notifyRecovery: true
+  });
+  return {
+    previousScore,
+    value: score.score,
+    level: score.level,
+    explanation: score.explanation
+  };
+}
+
+export async function retractEvent({ account, eventId, payload }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "eventWrites" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for event logging." } };
+  }
+
+  const note = revisionNote(payload);
+  if (!note.reason) return { status: 400, body: { error: "reason is required." } };
+
+  const found = findRevisableEvent(account, eventId);
+  if (!found.ok) return { status: found.status, body: found.body };
+  const { agentId, event } = found;
+
+  const previousScore = scoreForAccountAgent({ account, agentId }).score;
+  const now = new Date().toISOString();
+
+  event.retractedAt = now;
+  event.revision = { action: "retract", reason: note.reason, actor: note.actor, at: now };
+  // A withdrawn negative counts against its source's reputation.
+  if (event.kind === "negative") event.reversedAt = now;
+  invalidateSourceReputation(account.apiKey);
+  const closedDisputeId = closeDisputeForRevision({ account, event, revision: "retracted", at: now });
+
+  const score = await rescoreAfterRevision({ account, agentId, previousScore });
+  logDecision({
+    account,
+    action: "event_retract",
+    agentId,
+    outcome: "retracted",
+    score: score.value,
+    reason: note.reason,
+    metadata: {
+      eventId: event.id,
+      eventType: event.eventType,
+      kind: event.kind,
+      actor: note.actor,
+      closedDisputeId,
+      previousScore
+    }
+  });
+
+  return { status: 200, body: { event, score } };
+}
+
+export async function amendEvent({ account, eventId, payload }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "eventWrites" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for event logging." } };
+  }
+
+  const note = revisionNote(payload);
+  if (!note.reason) return { status: 400, body: { error: "reason is required." } };
+
+  const found = findRevisableEvent(account, eventId);
+  if (!found.ok) return { status: found.status, body: found.body };
+  const { agentId, scopeId, event: original } = found;
+
+  if (payload.agentId !== undefined && resolveAgentId(account.apiKey, payload.agentId) !== agentId) {
+    return {
+      status: 400,
+      body: { error: "agentId cannot be amended. Retract the event and log it against the correct agent." }
+    };
+  }
+
+  const changed = AMENDABLE_FIELDS.filter((field) => payload[field] !== undefined);
+  if (changed.length === 0) {
+    return { status: 400, body: { error: `Provide at least one field to amend: ${AMENDABLE_FIELDS.join(", ")}.` } };
+  }
+
+  const eventType = payload.eventType !== undefined ? normalizeEventType(payload.eventType) : original.eventType;
+  if (!eventType) return { status: 400, body: { error: "eventType cannot be empty." } };
+  const catalogError = strictCatalogError(account.apiKey, eventType);
+  if (catalogError) return { status: 400, body: catalogError };
+
+  const kind = payload.kind ?? original.kind;
+  if (!kindValid(kind)) {
+    return { status: 400, body: { error: "kind must be one of: positive, neutral, negative." } };
+  }
+
+  const createdAt = payload.occurredAt !== undefined ? new Date(payload.occurredAt) : new Date(original.createdAt);
+  if (Number.isNaN(createdAt.getTime())) {
+    return { status: 400, body: { error: "occurredAt must be valid ISO-8601 if provided." } };
+  }
+
+  const previousScore = scoreForAccountAgent({ account, agentId }).score;
+  const now = new Date().toISOString();
+  const pick = (field, parse) => (payload[field] !== undefined ? parse(payload[field]) : original[field]);
+
+  const replacement = {
+    id: crypto.randomUUID(),
+    agentId,
+    kind,
+    eventType,
+    details: pick("details", (value) => optionalText(value, 300)),
+    sourceApiKey: account.apiKey,
+    source: pick("source", optionalLowercase),
+    sourceType: pick("sourceType", optionalLowercase),
+    confidence: pick("confidence", optionalNumber),
+    externalEventId: pick("externalEventId", (value) => optionalText(value, 120)),
+    createdAt: createdAt.toISOString(),
+    supersedes: original.id,
+    amendedAt: now
+  };
+  // Keep the original's provenance so an unmerge routes the replacement with it.
+  if (original.postedAs) replacement.postedAs = original.postedAs;
+  if (original.mergedFrom) replacement.mergedFrom = original.mergedFrom;
+
+  original.supersededAt = now;
+  original.supersededBy = replacement.id;
+  original.revision = { action: "amend", reason: note.reason, actor: note.actor, at: now, changed };
+  if (original.kind === "negative" && kind !== "negative") original.reversedAt = now;
+  const closedDisputeId = closeDisputeForRevision({ account, event: original, revision: "amended", at: now });
+  appendEvent(scopeId, replacement);
+  invalidateSourceReputation(account.apiKey);
+
+  const score = await rescoreAfterRevision({ account, agentId, previousScore });
+  logDecision({
+    account,
+    action: "event_amend",
+    agentId,
+    outcome: "superseded",
+    score: score.value,
+    reason: note.reason,
+    metadata: {
+      eventId: original.id,
+      replacementEventId: replacement.id,
+      changed,
+      actor: note.actor,
+      closedDisputeId,
+      previousScore
+    }
+  });
+
+  return { status: 201, body: { event: replacement, superseded: original, score } };
+}
+
+function resolveAsOf(asOf) {
+  const parsed = parseTimestamp(asOf);
+  if (parsed === null) return { ok: true, asOfMs: null };
+  if (Number.isNaN(parsed)) return { ok: false, error: "asOf must be valid ISO-8601 if provided." };
+  return { ok: true, asOfMs: Math.min(parsed, Date.now()) };
+}
+
+function policyAsOf(apiKey, asOfMs, policyName) {
+  // Point-in-time scoring uses the policy version that was in effect at asOf,
+  // so replayed decisions match what the caller saw then.
+  const { version, effectiveFrom, policy } = getPolicyAsOf(apiKey, asOfMs, policyName);
+  return {
+    policy,
+    policyApplied: {
+      source: "version",
+      name: policyName,
+      version,
+      historical: true,
+      effectiveFrom
+    }
+  };
+}
+
+// Resolves the `policy` parameter of score and preflight calls; an empty value
+// selects the account default.
+export function selectPolicy(apiKey, policyName) {
+  try {
+    const resolved = resolvePolicy(apiKey, policyName);
+    if (!resolved) return { ok: false, status: 404, error: `Policy not found: ${String(policyName).trim().toLowerCase()}.` };
+    return { ok: true, ...resolved };
+  } catch (error) {
+    return { ok: false, status: 400, error: error instanceof Error ? error.message : "Invalid policy name." };
+  }
+}
+
+function scoringContext(apiKey, asOfMs = null) {
+  return {
+    eventCatalog: getEventCatalog(apiKey),
+    sourceReputation: getSourceReputation(apiKey, { asOfMs })
+  };
+}
+
+// Related agents are scored on their own events only, so influence never
+// compounds back through the graph; maxDepth bounds how far it spreads.
+// Simulations and backtests go through this too, so they match live scores.
+export function withInheritedInfluence({ account, normalizedAgentId, score, policy, context, asOfMs }) {
+  const config = policy.transitiveTrust;
+  if (!transitiveTrustEnabled(config)) return score;
+
+  const ownScores = new Map([[normalizedAgentId, score]]);
+  const ownScore = (agentId) => {
+    if (!ownScores.has(agentId)) {
+      const events = getAgentEvents(scopedAgentId(account.apiKey, agentId));
+      ownScores.set(agentId, scoreAgent(agentId, events, { policy, ...context, asOf: asOfMs }));
+    }
+    return ownScores.get(agentId);
+  };
+
+  const propagated = [];
+  if (config.negativeShare > 0) {
+    const related = relatedAgents(account.apiKey, normalizedAgentId, {
+      types: config.relationshipTypes,
+      maxDepth: config.maxDepth,
+      asOfMs
+    });
+    for (const entry of related) {
+      const impact = Math.abs(ownScore(entry.agentId).breakdown.severeNegativeImpact);
+      if (impact === 0) continue;
+      const share = config.negativeShare ** entry.depth;
+      propagated.push({ ...entry, severeNegativeImpact: impact, share, penalty: Number((impact * share).toFixed(2)) });
+    }
+  }
+
+  // A parent's cap is its own score, itself capped by its parents in turn.
+  let parentCap = null;
+  if (config.capByParent) {
+    const cappedScore = (agentId, seen) => {
+      let value = ownScore(agentId).score;
+      for (const parent of parentAgents(account.apiKey, agentId, { asOfMs })) {
+        if (seen.has(parent.agentId)) continue;
+        value = Math.min(value, cappedScore(parent.agentId, new Set([...seen, parent.agentId])));
+      }
+      return value;
+    };
+    for (const parent of parentAgents(account.apiKey, normalizedAgentId, { asOfMs })) {
+      const parentScore = cappedScore(parent.agentId, new Set([normalizedAgentId, parent.agentId]));
+      if (parentCap === null || parentScore < parentCap.score) {
+        parentCap = { agentId: parent.agentId, relationship: parent.relationship, score: parentScore };
+      }
+    }
+  }
+
+  const penalty = propagated.reduce((sum, entry) => sum + entry.penalty, 0);
+  return applyInheritedInfluence(score, { penalty, propagated, parentCap });
+}
+
+function scoreAsOf({
+  account,
+  normalizedAgentId,
+  asOfMs,
+  includeTrace = false,
+  explain,
+  policyName = "default",
+  context = scoringContext(account.apiKey, asOfMs)
+}) {
+  const events = getAgentEvents(scopedAgentId(account.apiKey, normalizedAgentId));
+  const profile = profileSummary(account.apiKey, normalizedAgentId);
+  if (asOfMs === null) {
+    const { policy } = resolvePolicy(account.apiKey, policyName);
+    const score = withInheritedInfluence({
+      account,
+      normalizedAgentId,
+      score: scoreAgent(normalizedAgentId, events, { includeTrace, explain, policy, ...context }),
+      policy,
+      context,
+      asOfMs
+    });
+    if (policyName === "default") return { ...score, profile };
+    return { ...score, profile, policyApplied: { source: "named", name: policyName, version: policy.version } };
+  }
+
+  const { policy, policyApplied } = policyAsOf(account.apiKey, asOfMs, policyName);
+  return {
+    ...withInheritedInfluence({
+      account,
+      normalizedAgentId,
+      score: scoreAgent(normalizedAgentId, events, { includeTrace, explain, policy, ...context, asOf: asOfMs }),
+      policy,
+      context,
+      asOfMs
+    }),
+    profile,
+    asOf: new Date(asOfMs).toISOString(),
+    policyApplied
+  };
+}
+
+export function getScore({ account, agentId, includeTrace = false, asOf, explain, policy }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "scoreReads" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for score checks." } };
+  }
+
+  const normalizedAgentId = resolveAgentId(account.apiKey, agentId ?? "");
+  if (!normalizedAgentId) {
+    return { status: 400, body: { error: "agentId query param is required." } };
+  }
+
+  const resolved = resolveAsOf(asOf);
+  if (!resolved.ok) return { status: 400, body: { error: resolved.error } };
+
+  const explainMode = String(explain ?? "summary").trim().toLowerCase() || "summary";
+  if (explainMode !== "summary" && explainMode !== "full") {
+    return { status: 400, body: { error: "explain must be one of: summary, full." } };
+  }
+
+  const selected = selectPolicy(account.apiKey, policy);
+  if (!selected.ok) return { status: selected.status, body: { error: selected.error } };
+
+  const charge = chargeScoreCheck(account, normalizedAgentId);
+  if (charge) return charge;
 
   return {
     status: 200,
-    body: scoreAgent(normalizedAgentId, getAgentEvents(agentScope), {
+    body: scoreAsOf({
+      account,
+      normalizedAgentId,
+      asOfMs: resolved.asOfMs,
       includeTrace,
-      policy: getPolicy(account.apiKey),
+      explain: explainMode,
+      policyName: selected.name
     })
   };
 }
 
-export function scoreForAccountAgent({ account, agentId }) {
-  const normalizedAgentId = normalizeAgentId(agentId ?? "");
+export function scoreForAccountAgent({ account, agentId, asOf, policyName }) {
+  const normalizedAgentId = resolveAgentId(account.apiKey, agentId ?? "");
   if (!normalizedAgentId) {
     return null;
   }
-  return scoreAgent(normalizedAgentId, getAgentEvents(scopedAgentId(account.apiKey, normalizedAgentId)), {
-    policy: getPolicy(account.apiKey),
+  const resolved = resolveAsOf(asOf);
+  if (!resolved.ok) {
+    return null;
+  }
+  return scoreAsOf({ account, normalizedAgentId, asOfMs: resolved.asOfMs, policyName });
+}
+
+/**
+ * Current scores for several canonical agents of one key, sharing one scoring
+ * context. Returns a Map by agentId; callers apply their own rate limit.
+ */
+export function scoreAccountAgents({ account, agentIds }) {
+  const context = scoringContext(account.apiKey);
+  return new Map(
+    agentIds.map((agentId) => [agentId, scoreAsOf({ account, normalizedAgentId: agentId, asOfMs: null, context })])
+  );
+}
+
+export function getScoreBatch({ account, payload }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "scoreReads" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for score checks." } };
+  }
+
+  const agentIds = payload?.agentIds;
+  if (!Array.isArray(agentIds) || agentIds.length === 0) {
+    return { status: 400, body: { error: "agentIds is required and must be a non-empty array." } };
+  }
+  if (agentIds.length > MAX_SCORE_BATCH) {
+    return { status: 400, body: { error: `agentIds accepts at most ${MAX_SCORE_BATCH} entries per batch.` } };
+  }
+
+  const includeTrace = payload.includeTrace === true;
+  const context = scoringContext(account.apiKey);
+  const resultsByAgentId = new Map();
+  const results = agentIds.map((rawAgentId) => {
+    const normalizedAgentId = resolveAgentId(account.apiKey, typeof rawAgentId === "string" ? rawAgentId : "");
+    if (!normalizedAgentId) {
+      return { agentId: rawAgentId ?? null, ok: false, status: 400, error: "agentId must be a non-empty string." };
+    }
+
+    // Repeated ids in one batch are charged and scored once.
+    if (resultsByAgentId.has(normalizedAgentId)) return resultsByAgentId.get(normalizedAgentId);
+
+    const charge = chargeScoreCheck(account, normalizedAgentId);
+    const item = charge
+      ? { agentId: normalizedAgentId, ok: false, status: charge.status, ...charge.body }
+      : {
+          agentId: normalizedAgentId,
+          ok: true,
+          status: 200,
+          score: scoreAsOf({ account, normalizedAgentId, asOfMs: null, includeTrace, context })
+        };
+    resultsByAgentId.set(normalizedAgentId, item);
+    return item;
   });
+
+  const succeeded = results.filter((item) => item.ok).length;
+  return {
+    status: 200,
+    body: {
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    }
+  };
+}
+
+export function getScoreHistory({ account, agentId, from, to, interval = "day" }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "scoreReads" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for score checks." } };
+  }
+
+  const normalizedAgentId = resolveAgentId(account.apiKey, agentId ?? "");
+  if (!normalizedAgentId) {
+    return { status: 400, body: { error: "agentId query param is required." } };
+  }
+
+  const intervalName = String(interval ?? "day").trim().toLowerCase() || "day";
+  const stepMs = HISTORY_INTERVALS_MS[intervalName];
+  if (!stepMs) {
+    return { status: 400, body: { error: "interval must be one of: hour, day, week." } };
+  }
+
+  const nowMs = Date.now();
+  const parsedTo = parseTimestamp(to);
+  const parsedFrom = parseTimestamp(from);
+  if (Number.isNaN(parsedTo) || Number.isNaN(parsedFrom)) {
+    return { status: 400, body: { error: "from and to must be valid ISO-8601 if provided." } };
+  }
+
+  const toMs = Math.min(parsedTo ?? nowMs, nowMs);
+  const fromMs = parsedFrom ?? toMs - 30 * DAY_MS;
+  if (fromMs > toMs) {
+    return { status: 400, body: { error: "from must be before to." } };
+  }
+
+  const pointCount = Math.floor((toMs - fromMs) / stepMs) + 1;
+  if (pointCount > HISTORY_MAX_POINTS) {
+    return {
+      status: 400,
+      body: { error: `Requested range produces ${pointCount} points; maximum is ${HISTORY_MAX_POINTS}. Narrow the range or use a larger interval.` }
+    };
+  }
+
+  const charge = chargeScoreCheck(account, normalizedAgentId);
+  if (charge) return charge;
+
+  const eventCatalog = getEventCatalog(account.apiKey);
+  // Each point is scored like GET /v1/score?asOf=: with the policy version in
+  // effect then and sources weighed by their reputation at that moment.
+  const reputationAsOf = sourceReputationTimeline(account.apiKey);
+  const points = [];
+  for (let index = 0; index < pointCount; index += 1) {
+    const atMs = fromMs + index * stepMs;
+    const context = { eventCatalog, sourceReputation: reputationAsOf(atMs) };
+    const score = scoreAsOf({ account, normalizedAgentId, asOfMs: atMs, context });
+    points.push({
+      at: new Date(atMs).toISOString(),
+      score: score.score,
+      level: score.level,
+      policyVersion: score.policyApplied.version,
+      behaviorScore: score.behavior.score,
+      behaviorLevel: score.behavior.level,
+      signalQuality: score.signalQuality,
+      lifetimeEvents: score.breakdown.lifetimeEvents,
+      disputes: score.breakdown.disputes
+    });
+  }
+
+  return {
+    status: 200,
+    body: {
+      agentId: normalizedAgentId,
+      interval: intervalName,
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      count: points.length,
+      points
+    }
+  };
+}
+
+function simulationSnapshot(score) {
+  return {
+    score: score.score,
+    level: score.level,
+    explanation: score.explanation,
+    scoreRange: score.scoreRange,
+    confidence: score.confidence,
+    behaviorScore: score.behavior.score,
+    behaviorLevel: score.behavior.level
+  };
+}
+
+function preflightSummary(result) {
+  const { decision, reason, policy } = result.body;
+  return { decision, reason, adjustedScore: policy.adjustedScore, ruleFired: policy.ruleFired };
+}
+
+export function simulateScore({ account, payload }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "scoreReads" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for score checks." } };
+  }
+
+  const normalizedAgentId = resolveAgentId(account.apiKey, payload?.agentId ?? "");
+  if (!normalizedAgentId) {
+    return { status: 400, body: { error: "agentId is required." } };
+  }
+
+  const items = payload.events ?? [];
+  if (!Array.isArray(items) || items.length > MAX_SIMULATED_EVENTS) {
+    return {
+      status: 400,
+      body: { error: `events must be an array of at most ${MAX_SIMULATED_EVENTS} hypothetical events.` }
+    };
+  }
+
+  const preflightInput = payload.preflight ?? {};
+  if (!preflightInput || typeof preflightInput !== "object" || Array.isArray(preflightInput)) {
+    return { status: 400, body: { error: "preflight must be an object of preflight inputs (amountUsd, newPayee, ...)." } };
+  }
+  const preflightAction = String(preflightInput.action ?? "payment").trim().toLowerCase();
+  if (!isPreflightAction(preflightAction)) {
+    return { status: 400, body: { error: `preflight.action must be one of: ${PREFLIGHT_ACTIONS.join(", ")}.` } };
+  }
+
+  // Hypothetical events go through the same validation as POST /v1/events but
+  // are never appended, deduplicated or counted against event quota.
+  const hypothetical = [];
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return { status: 400, body: { error: `events[${index}] must be a JSON object.` } };
+    }
+    const built = buildEvent({ account, payload: { ...item, agentId: normalizedAgentId } });
+    if (!built.ok) return { status: built.status, body: { error: `events[${index}]: ${built.body.error}` } };
+    hypothetical.push({ ...built.event, id: `simulated-${index + 1}`, simulated: true });
+  }
+
+  // A string selects a named policy, as for score and preflight calls; an
+  // object is a candidate applied on top of the default.
+  const candidate = payload.policy !== undefined && payload.policy !== null && typeof payload.policy === "object";
+  const selected = selectPolicy(account.apiKey, candidate ? undefined : payload.policy);
+  if (!selected.ok) return { status: selected.status, body: { error: selected.error } };
+  let policy = selected.policy;
+  if (candidate) {
+    try {
+      policy = previewPolicy(account.apiKey, payload.policy);
+    } catch (error) {
+      return { status: 400, body: { error: error instanceof Error ? error.message : "Invalid candidate policy." } };
+    }
+  }
+
+  // A simulation is a what-if, not a score check, so it is not charged.
+  const events = getAgentEvents(scopedAgentId(account.apiKey, normalizedAgentId));
+  const context = scoringContext(account.apiKey);
+  const scoreWith = (agentEvents) =>
+    withInheritedInfluence({
+      account,
+      normalizedAgentId,
+      score: scoreAgent(normalizedAgentId, agentEvents, { policy, ...context }),
+      policy,
+      context,
+      asOfMs: null
+    });
+  const baseline = scoreWith(events);
+  const projected = scoreWith([...events, ...hypothetical]);
+
+  // Current window usage applies, but a simulation never counts against it.
+  const velocity = checkVelocity({
+    apiKey: account.apiKey,
+    agentId: normalizedAgentId,
+    action: preflightAction,
+    payload: preflightInput,
+    limits: policy.velocityLimits ?? []
+  });
+  const decide = (trust) =>
+    evaluatePreflight({
+      account,
+      agentId: normalizedAgentId,
+      payload: preflightInput,
+      policyConfig: policy,
+      trust,
+      action: preflightAction,
+      velocity
+    });
+  const baselinePreflight = decide(baseline);
+  if (baselinePreflight.status !== 200) return baselinePreflight;
+  const projectedPreflight = decide(projected);
+
+  return {
+    status: 200,
+    body: {
+      agentId: normalizedAgentId,
+      simulated: true,
+      policySource: candidate ? "candidate" : selected.name === "default" ? "current" : "named",
+      policyName: selected.name,
+      hypotheticalEvents: hypothetical.length,
+      baseline: simulationSnapshot(baseline),
+      projected: simulationSnapshot(projected),
+      delta: {
+        score: projected.score - baseline.score,
+        behaviorScore: projected.behavior.score - baseline.behavior.score
+      },
+      preflight: {
+        baseline: preflightSummary(baselinePreflight),
+        projected: preflightSummary(projectedPreflight)
+      }
+    }
+  };
+}
+
+export function getAgentAnomalies({ account, agentId }) {
+  if (rateLimited({ apiKey: account.apiKey, tier: account.tier, action: "scoreReads" })) {
+    return { status: 429, body: { error: "Rate limit exceeded for score checks." } };
+  }
+
+  const normalizedAgentId = resolveAgentId(account.apiKey, agentId ?? "");
+  if (!normalizedAgentId) {
+    return { status: 400, body: { error: "agentId query param is required." } };
+  }
+
+  const { flags } = detectAnomalies(scorableEvents(getAgentEvents(scopedAgentId(account.apiKey, normalizedAgentId))));
+  return {
+    status: 200,
+    body: {
+      agentId: normalizedAgentId,
+      count: flags.length,
+      flags
+    }
+  };
 }
@@ -0,0 +1,166 @@
+import { listAccountAgentEvents, store } from "./store.js";
+
+// Pseudo-count of accurate negatives every source starts with, so a single
+// reversal on a new source does not collapse its multiplier.
+const PRIOR_ACCURATE_NEGATIVES = 5;
+const REVERSAL_PENALTY = 1.5;
+const MIN_MULTIPLIER = 0.2;
+
+// Current multipliers per key, dropped whenever one of the key's events is
+// written or revised. The entry remembers the events map it was built from, so
+// a store reset or reload misses too.
+const currentByApiKey = new Map();
+
+function normalizeSource(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+function toMillis(value) {
+  const ms = Date.parse(String(value ?? ""));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function reversedBy(event, asOfMs) {
+  const reversedMs = toMillis(event.reversedAt);
+  if (reversedMs === null) return false;
+  return asOfMs === null || reversedMs <= asOfMs;
+}
+
+function reputationFor(stats) {
+  const accurate = stats.negative - stats.reversedNegative;
+  const accuracy = (accurate + PRIOR_ACCURATE_NEGATIVES) / (stats.negative + PRIOR_ACCURATE_NEGATIVES);
+  const multiplier = Math.max(MIN_MULTIPLIER, 1 - REVERSAL_PENALTY * (1 - accuracy));
+  return {
+    reversalRate: stats.negative > 0 ? Number((stats.reversedNegative / stats.negative).toFixed(4)) : 0,
+    accuracy: Number(accuracy.toFixed(4)),
+    multiplier: Number(multiplier.toFixed(4)),
+  };
+}
+
+// Retracted and superseded events no longer count (an amendment's replacement
+// does), except that a reversed negative still counts against its source.
+function revisedBy(event, asOfMs) {
+  const revisedMs = toMillis(event.retractedAt ?? event.supersededAt);
+  if (revisedMs === null) return false;
+  return asOfMs === null || revisedMs <= asOfMs;
+}
+
+function collectSourceStats(apiKey, asOfMs) {
+  const bySource = new Map();
+  for (const { events } of listAccountAgentEvents(apiKey)) {
+    for (const event of events) {
+      const source = normalizeSource(event.source);
+      if (!source) continue;
+      const createdMs = toMillis(event.createdAt);
+      if (asOfMs !== null && createdMs !== null && createdMs > asOfMs) continue;
+      if (asOfMs !== null && event.amendedAt && toMillis(event.amendedAt) > asOfMs) continue;
+
+      const revised = revisedBy(event, asOfMs);
+      const reversed = event.kind === "negative" && reversedBy(event, asOfMs);
+      if (revised && !reversed) continue;
+
+      const stats = bySource.get(source) ?? {
+        source,
+        events: 0,
+        positive: 0,
+        neutral: 0,
+        negative: 0,
+        reversedNegative: 0,
+        sourceTypes: new Set(),
+        lastSeenAt: null,
+      };
+      bySource.set(source, stats);
+      if (revised) {
+        stats.negative += 1;
+        stats.reversedNegative += 1;
+        continue;
+      }
+
+      stats.events += 1;
+      if (event.kind === "positive") stats.positive += 1;
+      if (event.kind === "neutral") stats.neutral += 1;
+      if (event.kind === "negative") {
+        stats.negative += 1;
+        if (reversed) stats.reversedNegative += 1;
+      }
+      if (event.sourceType) stats.sourceTypes.add(event.sourceType);
+      if (!stats.lastSeenAt || (createdMs !== null && createdMs > Date.parse(stats.lastSeenAt))) {
+        stats.lastSeenAt = event.createdAt;
+      }
+    }
+  }
+  return bySource;
+}
+
+/** Call after adding, retracting, amending or reversing any event of the key. */
+export function invalidateSourceReputation(apiKey) {
+  currentByApiKey.delete(apiKey);
+}
+
+/**
+ * Multiplier per source. Current reputation is cached per key; `asOfMs` always
+ * recomputes from the events as they stood then.
+ */
+export function getSourceReputation(apiKey, { asOfMs = null } = {}) {
+  const cached = asOfMs === null ? currentByApiKey.get(apiKey) : null;
+  if (cached && cached.events === store.eventsByAgentId) return cached.multipliers;
+
+  const multipliers = {};
+  for (const [source, stats] of collectSourceStats(apiKey, asOfMs).entries()) {
+    multipliers[source] = reputationFor(stats).multiplier;
+  }
+  Object.freeze(multipliers);
+  if (asOfMs === null) currentByApiKey.set(apiKey, { events: store.eventsByAgentId, multipliers });
+  return multipliers;
+}
+
+/**
+ * Returns `asOfMs => multipliers` for replaying many past moments. Reputation
+ * only changes when an event is created, revised or reversed, so moments with
+ * no such change between them share one computed result.
+ */
+export function sourceReputationTimeline(apiKey) {
+  const changes = [];
+  for (const { events } of listAccountAgentEvents(apiKey)) {
+    for (const event of events) {
+      if (!normalizeSource(event.source)) continue;
+      for (const value of [event.createdAt, event.amendedAt, event.reversedAt, event.retractedAt, event.supersededAt]) {
+        const ms = toMillis(value);
+        if (ms !== null) changes.push(ms);
+      }
+    }
+  }
+  changes.sort((a, b) => a - b);
+
+  const cache = new Map();
+  return (asOfMs) => {
+    // Number of changes at or before asOfMs, by binary search.
+    let low = 0;
+    let high = changes.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (changes[middle] <= asOfMs) low = middle + 1;
+      else high = middle;
+    }
+    if (!cache.has(low)) cache.set(low, getSourceReputation(apiKey, { asOfMs }));
+    return cache.get(low);
+  };
+}
+
+export function listSources({ account }) {
+  const sources = [...collectSourceStats(account.apiKey, null).values()]
+    .map((stats) => ({
+      ...stats,
+      sourceTypes: [...stats.sourceTypes].sort(),
+      ...reputationFor(stats),
+    }))
+    .sort((a, b) => b.events - a.events);
+
+  return {
+    status: 200,
+    body: {
+      count: sources.length,
+      sources,
+    },
+  };
+}
@@ -14,7 +14,19 @@ export const store = {
   webhookSuppression: new Map(),
   telegramAlertsByApiKey: new Map(),
   discordAlertsByApiKey: new Map(),
-  digestDispatchByKey: new Map()
+  digestDispatchByKey: new Map(),
+  eventCatalogByApiKey: new Map(),
+  disputesByApiKey: new Map(),
+  policyByApiKey: new Map(),
+  policyVersionsByApiKey: new Map(),
+  namedPoliciesByApiKey: new Map(),
+  velocityByApiKey: new Map(),
+  reviewsByApiKey: new Map(),
+  idempotencyByApiKey: new Map(),
+  agentGraphByApiKey: new Map(),
+  agentAliasesByApiKey: new Map(),
+  agentMergesByApiKey: new Map(),
+  agentProfilesByApiKey: new Map()
 };
 
 export function resetStore() {
@@ -34,6 +46,18 @@ export function resetStore() {
   store.telegramAlertsByApiKey = new Map();
   store.discordAlertsByApiKey = new Map();
   store.digestDispatchByKey = new Map();
+  store.eventCatalogByApiKey = new Map();
+  store.disputesByApiKey = new Map();
+  store.policyByApiKey = new Map();
+  store.policyVersionsByApiKey = new Map();
+  store.namedPoliciesByApiKey = new Map();
+  store.velocityByApiKey = new Map();
+  store.reviewsByApiKey = new Map();
+  store.idempotencyByApiKey = new Map();
+  store.agentGraphByApiKey = new Map();
+  store.agentAliasesByApiKey = new Map();
+  store.agentMergesByApiKey = new Map();
+  store.agentProfilesByApiKey = new Map();
 }
 
 export function getMonthKey(now = new Date()) {
@@ -68,6 +92,24 @@ export function getAgentEvents(agentId) {
   return store.eventsByAgentId.get(agentId) ?? [];
 }
 
+export function listAccountAgentEvents(apiKey) {
+  const prefix = `${apiKey}::`;
+  const rows = [];
+  for (const [scopeId, events] of store.eventsByAgentId.entries()) {
+    if (!scopeId.startsWith(prefix)) continue;
+    rows.push({ agentId: scopeId.slice(prefix.length), events });
+  }
+  return rows;
+}
+
+export function findAccountEvent(apiKey, eventId) {
+  for (const { agentId, events } of listAccountAgentEvents(apiKey)) {
+    const event = events.find((row) => row.id === eventId);
+    if (event) return { agentId, scopeId: `${apiKey}::${agentId}`, event };
+  }
+  return null;
+}
+
 export function listWebhooks(apiKey) {
   return store.webhooksByApiKey.get(apiKey) ?? [];
 }
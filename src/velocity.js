@@ -0,0 +1,168 @@
+import { isPreflightAction, PREFLIGHT_ACTIONS } from "./action-profiles.js";
+import { scheduleFlush } from "./persistence.js";
+import { store } from "./store.js";
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LIMITS = 10;
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+const MAX_ENTRIES_PER_AGENT = 5000;
+const LIMIT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const LIMIT_DECISIONS = new Set(["review", "block"]);
+const DECISION_RANK = { allow: 0, review: 1, block: 2 };
+
+function normalizeLimit(input, index, seenIds) {
+  const path = `velocityLimits[${index}]`;
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error(`${path} must be an object.`);
+  }
+
+  const id = String(input.id ?? "").trim().toLowerCase();
+  if (!LIMIT_ID_PATTERN.test(id)) {
+    throw new Error(`${path}.id must be 1-40 characters: lowercase letters, digits, '_' or '-'.`);
+  }
+  if (seenIds.has(id)) throw new Error(`${path}.id "${id}" is used by more than one limit.`);
+  seenIds.add(id);
+
+  const windowMinutes = Number(input.windowMinutes);
+  if (!Number.isInteger(windowMinutes) || windowMinutes < 1 || windowMinutes > MAX_WINDOW_MINUTES) {
+    throw new Error(`${path}.windowMinutes must be an integer between 1 and ${MAX_WINDOW_MINUTES}.`);
+  }
+
+  const maxCount = input.maxCount === undefined || input.maxCount === null ? null : Number(input.maxCount);
+  if (maxCount !== null && (!Number.isInteger(maxCount) || maxCount < 0)) {
+    throw new Error(`${path}.maxCount must be a non-negative integer.`);
+  }
+  const maxAmountUsd =
+    input.maxAmountUsd === undefined || input.maxAmountUsd === null ? null : Number(input.maxAmountUsd);
+  if (maxAmountUsd !== null && (!Number.isFinite(maxAmountUsd) || maxAmountUsd < 0)) {
+    throw new Error(`${path}.maxAmountUsd must be a non-negative number.`);
+  }
+  if (maxCount === null && maxAmountUsd === null) {
+    throw new Error(`${path} must set maxCount, maxAmountUsd or both.`);
+  }
+
+  const decision = input.decision === undefined ? "review" : String(input.decision).trim().toLowerCase();
+  if (!LIMIT_DECISIONS.has(decision)) {
+    throw new Error(`${path}.decision must be one of: review, block.`);
+  }
+
+  let actions = null;
+  if (input.actions !== undefined && input.actions !== null) {
+    if (!Array.isArray(input.actions) || input.actions.length === 0) {
+      throw new Error(`${path}.actions must be a non-empty array of preflight actions.`);
+    }
+    actions = [...new Set(input.actions.map((action) => String(action).trim().toLowerCase()))];
+    const unknown = actions.find((action) => !isPreflightAction(action));
+    if (unknown) {
+      throw new Error(`${path}.actions: "${unknown}" is not one of: ${PREFLIGHT_ACTIONS.join(", ")}.`);
+    }
+  }
+
+  return { id, windowMinutes, maxCount, maxAmountUsd, actions, decision };
+}
+
+/** Validates velocity limits on policy save. `null` or `[]` removes them. */
+export function normalizeVelocityLimits(input) {
+  if (input === undefined) return undefined;
+  if (input === null) return [];
+  if (!Array.isArray(input)) throw new Error("velocityLimits must be an array of limits.");
+  if (input.length > MAX_LIMITS) throw new Error(`velocityLimits accepts at most ${MAX_LIMITS} limits.`);
+  const seenIds = new Set();
+  return input.map((limit, index) => normalizeLimit(limit, index, seenIds));
+}
+
+function entriesFor(apiKey, agentId) {
+  return store.velocityByApiKey.get(apiKey)?.[agentId] ?? [];
+}
+
+function amountOf(payload) {
+  const amount = Number(payload.amountUsd);
+  return Number.isFinite(amount) && amount > 0 ? amount : 0;
+}
+
+function appliesTo(limit, action) {
+  return limit.actions === null || limit.actions.includes(action);
+}
+
+/**
+ * Reads the agent's usage in each limit's rolling window and whether this
+ * action would push it over. Read-only, so simulations can call it too.
+ */
+export function checkVelocity({ apiKey, agentId, action, payload, limits, nowMs = Date.now() }) {
+  return velocityUsage({ entries: entriesFor(apiKey, agentId), action, payload, limits, nowMs });
+}
+
+/**
+ * checkVelocity over a caller-supplied history of `{ at, action, amountUsd }`
+ * entries. Backtests rebuild that history from the decision log.
+ */
+export function velocityUsage({ entries, action, payload, limits, nowMs }) {
+  const amountUsd = amountOf(payload);
+
+  const usage = limits
+    .filter((limit) => appliesTo(limit, action))
+    .map((limit) => {
+      const fromMs = nowMs - limit.windowMinutes * MINUTE_MS;
+      const inWindow = entries.filter((entry) => entry.at > fromMs && entry.at <= nowMs && appliesTo(limit, entry.action));
+      const count = inWindow.length;
+      const spent = Number(inWindow.reduce((sum, entry) => sum + entry.amountUsd, 0).toFixed(2));
+      const countExceeded = limit.maxCount !== null && count + 1 > limit.maxCount;
+      const amountExceeded = limit.maxAmountUsd !== null && spent + amountUsd > limit.maxAmountUsd;
+      return {
+        id: limit.id,
+        windowMinutes: limit.windowMinutes,
+        actions: limit.actions,
+        count,
+        amountUsd: spent,
+        maxCount: limit.maxCount,
+        maxAmountUsd: limit.maxAmountUsd,
+        remainingCount: limit.maxCount === null ? null : Math.max(0, limit.maxCount - count),
+        remainingAmountUsd:
+          limit.maxAmountUsd === null ? null : Number(Math.max(0, limit.maxAmountUsd - spent).toFixed(2)),
+        exceeded: countExceeded || amountExceeded,
+        exceededBy: [countExceeded ? "count" : null, amountExceeded ? "amount" : null].filter(Boolean),
+        decision: limit.decision,
+      };
+    });
+
+  return { amountUsd, limits: usage, exceeded: usage.filter((limit) => limit.exceeded).map((limit) => limit.id) };
+}
+
+/**
+ * Escalates a decision for the strictest exceeded limit. Limits only tighten
+ * a decision, never relax it.
+ */
+export function applyVelocity({ decision, reason, ruleFired }, velocity) {
+  const breached = velocity.limits
+    .filter((limit) => limit.exceeded)
+    .sort((a, b) => DECISION_RANK[b.decision] - DECISION_RANK[a.decision])[0];
+  if (!breached || DECISION_RANK[breached.decision] <= DECISION_RANK[decision]) {
+    return { decision, reason, ruleFired };
+  }
+
+  const label = breached.decision === "block" ? "Blocked" : "Manual review required";
+  const usage = breached.exceededBy.includes("amount")
+    ? `$${Number((breached.amountUsd + velocity.amountUsd).toFixed(2))} of $${breached.maxAmountUsd}`
+    : `${breached.count + 1} of ${breached.maxCount} actions`;
+  return {
+    decision: breached.decision,
+    reason: `${label}: velocity limit ${breached.id} exceeded (${usage} in ${breached.windowMinutes} minutes).`,
+    ruleFired: { id: breached.id, index: null, source: "velocity", decision: breached.decision },
+  };
+}
+
+/** One usage entry, as recordVelocity stores it. */
+export function velocityEntry({ action, payload, nowMs }) {
+  return { at: nowMs, action, amountUsd: amountOf(payload) };
+}
+
+/** Counts a live, non-blocked preflight against the agent's windows. */
+export function recordVelocity({ apiKey, agentId, action, payload, nowMs = Date.now() }) {
+  const byAgent = store.velocityByApiKey.get(apiKey) ?? {};
+  const cutoff = nowMs - MAX_WINDOW_MINUTES * MINUTE_MS;
+  const entries = (byAgent[agentId] ?? []).filter((entry) => entry.at > cutoff);
+  entries.push(velocityEntry({ action, payload, nowMs }));
+  byAgent[agentId] = entries.slice(-MAX_ENTRIES_PER_AGENT);
+  store.velocityByApiKey.set(apiKey, byAgent);
+  scheduleFlush();
+}
@@ -2,6 +2,7 @@ import crypto from "node:crypto";
 import dns from "node:dns/promises";
 import net from "node:net";
 
+import { profileSummary } from "./agent-profiles.js";
 import { emitChannelScoreAlerts } from "./alerts.js";
 import { appendWebhookDelivery, listWebhooks, putWebhooks, store } from "./store.js";
 import { scheduleFlush } from "./persistence.js";
@@ -10,6 +11,9 @@ import { decryptSecret, encryptSecret } from "./secrets.js";
 
 const WEBHOOK_TIMEOUT_MS = 5000;
 const WEBHOOK_COOLDOWN_MS = 60 * 60 * 1000;
+const SCORE_EVENTS = "trust.score_threshold";
+const REVIEW_RESOLVED_EVENT = "review.resolved";
+const WEBHOOK_EVENTS = [SCORE_EVENTS, REVIEW_RESOLVED_EVENT];
 let dnsLookup = dns.lookup;
 
 function isPrivateIpv4(host) {
@@ -79,6 +83,19 @@ function sign(secret, bodyString) {
   return crypto.createHmac("sha256", secret).update(bodyString).digest("hex");
 }
 
+// Omitting events keeps the original behaviour: score threshold alerts only.
+function parseWebhookEvents(input) {
+  if (input === undefined || input === null) return [SCORE_EVENTS];
+  if (!Array.isArray(input) || input.length === 0) return null;
+  const events = [...new Set(input.map((event) => String(event).trim().toLowerCase()))];
+  return events.every((event) => WEBHOOK_EVENTS.includes(event)) ? events : null;
+}
+
+// Webhooks stored before event subscriptions existed only receive score alerts.
+function subscribedTo(webhook, event) {
+  return (webhook.events ?? [SCORE_EVENTS]).includes(event);
+}
+
 async function resolvesToBlockedAddress(hostname) {
   try {
     const addresses = await dnsLookup(hostname, { all: true, verbatim: true });
@@ -109,6 +126,7 @@ export function createWebhook({ account, payload }) {
   const parsedUrl = parseWebhookUrl(urlRaw);
   const threshold = Number(payload.threshold);
   const secret = String(payload.secret ?? "").trim();
+  const events = parseWebhookEvents(payload.events);
 
   if (!parsedUrl) {
     return {
@@ -119,7 +137,15 @@ export function createWebhook({ account, payload }) {
     };
   }
 
-  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+  if (!events) {
+    return {
+      status: 400,
+      body: { error: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}.` }
+    };
+  }
+
+  const wantsScoreAlerts = events.includes(SCORE_EVENTS);
+  if (wantsScoreAlerts && (!Number.isFinite(threshold) || threshold < 0 || threshold > 100)) {
     return { status: 400, body: { error: "threshold is required and must be a number between 0 and 100." } };
   }
 
@@ -135,7 +161,8 @@ export function createWebhook({ account, payload }) {
   const webhook = {
     id: crypto.randomUUID(),
     url: parsedUrl.toString(),
-    threshold: Math.round(threshold),
+    threshold: wantsScoreAlerts ? Math.round(threshold) : null,
+    events,
     secret: encryptSecret(secret),
     createdAt: new Date().toISOString(),
     enabled: true
@@ -217,17 +244,59 @@ async function postWebhook(webhook, bodyString, signature) {
   }
 }
 
-export async function emitScoreAlerts({ account, agentId, score, previousScore }) {
+// Signs and posts one payload, recording the attempt in the webhook's
+// delivery history. Returns false when the secret cannot be decrypted.
+async function deliver(webhook, body, { agentId, score }) {
+  const bodyString = JSON.stringify(body);
+  let secret;
+  try {
+    secret = decryptSecret(webhook.secret);
+  } catch {
+    appendWebhookDelivery(webhook.id, {
+      sentAt: body.sentAt,
+      event: body.event,
+      agentId,
+      score,
+      status: 0,
+      ok: false,
+      error: "Webhook secret decryption failed."
+    });
+    scheduleFlush();
+    return false;
+  }
+
+  const signature = sign(secret, bodyString);
+  const delivery = await postWebhook(webhook, bodyString, signature);
+
+  appendWebhookDelivery(webhook.id, {
+    sentAt: body.sentAt,
+    event: body.event,
+    agentId,
+    score,
+    status: delivery.status,
+    ok: delivery.ok,
+    error: delivery.error
+  });
+  scheduleFlush();
+  return true;
+}
+
+// Upward crossings are only reported when the caller opts in via
+// notifyRecovery (event corrections); ordinary ingest alerts on drops only.
+export async function emitScoreAlerts({ account, agentId, score, previousScore, notifyRecovery = false }) {
   if (account.tier === "free") return;
 
-  const webhooks = listWebhooks(account.apiKey).filter((webhook) => webhook.enabled);
-  if (webhooks.length === 0) return;
+  const enabled = listWebhooks(account.apiKey).filter((webhook) => webhook.enabled);
+  if (enabled.length === 0) return;
+  // Webhooks subscribed only to review events must not hold back channel alerts.
+  const webhooks = enabled.filter((webhook) => subscribedTo(webhook, SCORE_EVENTS));
 
   for (const webhook of webhooks) {
     const crossedDown = previousScore > webhook.threshold && score <= webhook.threshold;
-    if (!crossedDown) continue;
+    const crossedUp = notifyRecovery && previousScore <= webhook.threshold && score > webhook.threshold;
+    if (!crossedDown && !crossedUp) continue;
 
-    const suppressionKey = `${webhook.id}:${agentId}`;
+    const suppressionKey = crossedUp ? `${webhook.id}:${agentId}:up` : `${webhook.id}:${agentId}`;
     const now = Date.now();
     const suppressedUntil = Number(store.webhookSuppression.get(suppressionKey) ?? 0);
     if (now < suppressedUntil) {
@@ -235,47 +304,46 @@ export async function emitScoreAlerts({ account, agentId, score, previousScore }
     }
 
     const body = {
-      event: "trust.score_below_threshold",
+      event: crossedUp ? "trust.score_above_threshold" : "trust.score_below_threshold",
       sentAt: new Date(now).toISOString(),
       webhookId: webhook.id,
       threshold: webhook.threshold,
       agentId,
+      profile: profileSummary(account.apiKey, agentId),
       score,
       previousScore
     };
 
-    const bodyString = JSON.stringify(body);
-    let secret;
-    try {
-      secret = decryptSecret(webhook.secret);
-    } catch {
-      appendWebhookDelivery(webhook.id, {
-        sentAt: body.sentAt,
-        agentId,
-        score,
-        status: 0,
-        ok: false,
-        error: "Webhook secret decryption failed."
-      });
-      scheduleFlush();
-      continue;
-    }
-
-    const signature = sign(secret, bodyString);
-    const delivery = await postWebhook(webhook, bodyString, signature);
-
-    appendWebhookDelivery(webhook.id, {
-      sentAt: body.sentAt,
-      agentId,
-      score,
-      status: delivery.status,
-      ok: delivery.ok,
-      error: delivery.error
-    });
-
+    if (!(await deliver(webhook, body, { agentId, score }))) continue;
     store.webhookSuppression.set(suppressionKey, now + WEBHOOK_COOLDOWN_MS);
-    scheduleFlush();
   }
 
   await emitChannelScoreAlerts({ account, agentId, score, previousScore });
 }
+
+// Review resolutions are one-off events, so there is no cooldown.
+export async function emitReviewWebhooks({ account, review }) {
+  if (account.tier === "free") return;
+
+  const webhooks = listWebhooks(account.apiKey).filter(
+    (webhook) => webhook.enabled && subscribedTo(webhook, REVIEW_RESOLVED_EVENT)
+  );
+
+  for (const webhook of webhooks) {
+    const body = {
+      event: REVIEW_RESOLVED_EVENT,
+      sentAt: new Date().toISOString(),
+      webhookId: webhook.id,
+      reviewId: review.id,
+      agentId: review.agentId,
+      profile: profileSummary(account.apiKey, review.agentId),
+      action: review.action,
+      customAction: review.customAction,
+      status: review.status,
+      resolvedBy: review.resolvedBy,
+      note: review.resolutionNote,
+      score: review.scores.adjustedScore
+    };
+    await deliver(webhook, body, { agentId: review.agentId, score: review.scores.adjustedScore });
+  }
+}
@@ -0,0 +1,127 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { addAlias, listAliases, mergeAgents, removeAlias, unmergeAgents } from "../src/agent-aliases.js";
+import { getDecisionLogs } from "../src/audit.js";
+import { amendEvent, getScore, postEvent } from "../src/service.js";
+import { getAgentEvents, resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_pro_key", tier: "pro" };
+const canonical = "agent:alias:main";
+const source = "agent:alias:old";
+
+function eventsOf(agentId) {
+  return getAgentEvents(`${account.apiKey}::${agentId}`);
+}
+
+function log(agentId, eventType = "payment_success", kind = "positive", details = undefined) {
+  return postEvent({ account, payload: { agentId, kind, eventType, details } });
+}
+
+beforeEach(() => {
+  resetStore();
+});
+
+test("events and scores posted under an alias resolve to the canonical agent", async () => {
+  await log(canonical);
+  const added = addAlias({ account, agentId: canonical, payload: { alias: "Agent:Alias:Wallet" } });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.alias.alias, "agent:alias:wallet");
+
+  const posted = await log("agent:alias:wallet", "completed_task_on_time");
+  assert.equal(posted.status, 201);
+  assert.equal(posted.body.event.agentId, canonical);
+  assert.equal(posted.body.event.postedAs, "agent:alias:wallet");
+  assert.equal(eventsOf(canonical).length, 2);
+  assert.equal(eventsOf("agent:alias:wallet").length, 0);
+  assert.equal(getScore({ account, agentId: "agent:alias:wallet" }).body.agentId, canonical);
+
+  await log(source);
+  assert.equal(addAlias({ account, agentId: canonical, payload: { alias: "agent:alias:wallet" } }).status, 409);
+  assert.equal(addAlias({ account, agentId: canonical, payload: { alias: source } }).status, 409);
+  assert.equal(addAlias({ account, agentId: canonical, payload: { alias: canonical } }).status, 400);
+  assert.equal(listAliases({ account, agentId: "agent:alias:wallet" }).body.count, 1);
+
+  assert.equal(removeAlias({ account, agentId: canonical, alias: "agent:alias:wallet" }).status, 200);
+  assert.equal(removeAlias({ account, agentId: canonical, alias: "agent:alias:wallet" }).status, 404);
+  assert.equal(listAliases({ account, agentId: canonical }).body.count, 0);
+});
+
+test("merge combines histories with an audit record and unmerge splits them back out", async () => {
+  await log(canonical);
+  await log(source, "missed_deadline", "negative");
+  addAlias({ account, agentId: source, payload: { alias: "agent:alias:old-wallet" } });
+
+  const merged = await mergeAgents({ account, payload: { source, target: canonical, note: "same operator" } });
+  assert.equal(merged.status, 201);
+  const { merge } = merged.body;
+  assert.deepEqual(merge.aliasesMoved, ["agent:alias:old-wallet"]);
+  assert.equal(eventsOf(source).length, 0);
+  assert.equal(eventsOf(canonical).length, 2);
+  assert.ok(eventsOf(canonical).some((event) => event.mergedFrom === source));
+  assert.equal(removeAlias({ account, agentId: canonical, alias: source }).status, 409);
+
+  const logs = getDecisionLogs({ account, query: {} }).body.logs;
+  const entry = logs.find((log) => log.action === "agent_merge");
+  assert.equal(entry.agentId, canonical);
+  assert.equal(entry.metadata.mergeId, merge.id);
+
+  // Writes under the merged id and its aliases now land on the target.
+  await log(source, "completed_task_on_time");
+  await log("agent:alias:old-wallet", "payment_success", "positive", "paid from the old wallet");
+  assert.equal(eventsOf(canonical).length, 4);
+  assert.equal((await mergeAgents({ account, payload: { source, target: canonical } })).status, 400);
+
+  const unmerged = await unmergeAgents({ account, mergeId: merge.id });
+  assert.equal(unmerged.status, 200);
+  assert.equal(unmerged.body.eventsReturned, 3);
+  assert.equal(eventsOf(canonical).length, 1);
+  assert.equal(eventsOf(source).length, 3);
+  assert.ok(eventsOf(source).every((event) => event.agentId === source && !event.mergedFrom));
+  assert.equal(listAliases({ account, agentId: "agent:alias:old-wallet" }).body.agentId, source);
+  assert.equal((await unmergeAgents({ account, mergeId: merge.id })).status, 409);
+});
+
+test("merge and unmerge report the same score as a score read", async () => {
+  const flag = (agentId, details) => postEvent({
+    account,
+    payload: { agentId, kind: "negative", eventType: "failed_payment", source: "noisy-vendor", details }
+  });
+  // Reversed negatives lower the vendor's reputation, which only the full score applies.
+  for (let index = 0; index < 4; index += 1) {
+    const posted = await flag(`agent:alias:noisy:${index}`, `noisy ${index}`);
+    eventsOf(`agent:alias:noisy:${index}`).find((event) => event.id === posted.body.event.id).reversedAt =
+      new Date().toISOString();
+  }
+  await log(canonical);
+  await flag(source, "flagged by the same vendor");
+
+  const merged = await mergeAgents({ account, payload: { source, target: canonical } });
+  const afterMerge = getScore({ account, agentId: canonical }).body;
+  assert.equal(merged.body.score.value, afterMerge.score);
+  assert.equal(merged.body.score.level, afterMerge.level);
+
+  await unmergeAgents({ account, mergeId: merged.body.merge.id });
+  const entry = getDecisionLogs({ account, query: {} }).body.logs.find((row) => row.action === "agent_unmerge");
+  assert.equal(entry.score, getScore({ account, agentId: canonical }).body.score);
+  assert.equal(entry.metadata.previousScore, afterMerge.score);
+});
+
+test("unmerge returns amendments of the source's events to the source", async () => {
+  await log(canonical);
+  const flagged = await log(source, "missed_deadline", "negative");
+  const merged = await mergeAgents({ account, payload: { source, target: canonical } });
+
+  const amended = await amendEvent({
+    account,
+    eventId: flagged.body.event.id,
+    payload: { kind: "neutral", reason: "deadline was moved" }
+  });
+  assert.equal(amended.status, 201);
+  assert.equal(amended.body.event.mergedFrom, source);
+
+  await unmergeAgents({ account, mergeId: merged.body.merge.id });
+  assert.deepEqual(eventsOf(source).map((event) => event.id).sort(), [flagged.body.event.id, amended.body.event.id].sort());
+  assert.equal(eventsOf(canonical).length, 1);
+  assert.ok(eventsOf(source).every((event) => event.agentId === source && !event.mergedFrom));
+});
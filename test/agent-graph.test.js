@@ -0,0 +1,127 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { createRelationship, listRelationships, removeRelationship } from "../src/agent-graph.js";
+import { backtestPolicy } from "../src/backtest.js";
+import { clawCreditPreflight } from "../src/clawcredit.js";
+import { setPolicy } from "../src/policy.js";
+import { getScore, postEvent, simulateScore } from "../src/service.js";
+import { resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_pro_key", tier: "pro" };
+const operator = "agent:graph:operator";
+const child = "agent:graph:child";
+const sibling = "agent:graph:sibling";
+
+function relate(from, type, to) {
+  return createRelationship({ account, payload: { from, type, to } });
+}
+
+function scoreOf(agentId) {
+  return getScore({ account, agentId }).body;
+}
+
+beforeEach(async () => {
+  resetStore();
+  for (const agentId of [operator, child, sibling]) {
+    await postEvent({ account, payload: { agentId, kind: "positive", eventType: "payment_success" } });
+  }
+  await postEvent({ account, payload: { agentId: operator, kind: "negative", eventType: "api_key_leak" } });
+});
+
+test("relationships are validated, listed and removed", () => {
+  assert.equal(relate(operator, "operator_of", child).status, 201);
+  assert.equal(relate(operator, "operator_of", child).status, 409);
+  assert.equal(relate(child, "delegates_to", operator).status, 409);
+  assert.equal(relate(child, "owns", sibling).status, 400);
+  assert.equal(relate(child, "same_owner_as", child).status, 400);
+
+  const peers = relate(sibling, "same_owner_as", child);
+  assert.equal(peers.status, 201);
+  assert.equal(relate(child, "same_owner_as", sibling).status, 409);
+
+  assert.equal(listRelationships({ account, query: { agentId: child } }).body.count, 2);
+  assert.equal(listRelationships({ account, query: { type: "operator_of" } }).body.count, 1);
+
+  const removed = removeRelationship({ account, relationshipId: peers.body.relationship.id });
+  assert.ok(removed.body.relationship.removedAt);
+  assert.equal(removeRelationship({ account, relationshipId: peers.body.relationship.id }).status, 404);
+  assert.equal(listRelationships({ account, query: { agentId: child } }).body.count, 1);
+  assert.equal(listRelationships({ account, query: { agentId: child, includeRemoved: "true" } }).body.count, 2);
+});
+
+test("transitive trust propagates severe negatives and caps children by their parent", () => {
+  relate(operator, "operator_of", child);
+  relate(child, "same_owner_as", sibling);
+  const before = scoreOf(child);
+  assert.equal(before.inherited, undefined);
+
+  const operatorImpact = Math.abs(scoreOf(operator).breakdown.severeNegativeImpact);
+  assert.ok(operatorImpact > 0);
+
+  setPolicy(account.apiKey, { transitiveTrust: { negativeShare: 0.5 } });
+  const propagated = scoreOf(child);
+  assert.equal(propagated.inherited.baseScore, before.score);
+  assert.deepEqual(propagated.inherited.propagated.map((entry) => [entry.agentId, entry.relationship, entry.depth]), [
+    [operator, "operator_of", 1]
+  ]);
+  assert.equal(propagated.inherited.penalty, Number((operatorImpact * 0.5).toFixed(2)));
+  assert.equal(propagated.score, Math.round(before.score - operatorImpact * 0.5));
+  assert.equal(propagated.inherited.adjustment, propagated.score - before.score);
+  assert.match(propagated.explanation, /Inherited influence -\d+\./);
+
+  // Two hops reach the sibling's operator at the squared share.
+  setPolicy(account.apiKey, { transitiveTrust: { maxDepth: 2 } });
+  const sibling2 = scoreOf(sibling).inherited.propagated;
+  assert.deepEqual(sibling2.map((entry) => [entry.agentId, entry.depth, entry.share]), [[operator, 2, 0.25]]);
+
+  setPolicy(account.apiKey, { transitiveTrust: { negativeShare: 0, capByParent: true } });
+  const capped = scoreOf(child);
+  const operatorScore = scoreOf(operator).score;
+  assert.ok(operatorScore < before.score);
+  assert.equal(capped.score, operatorScore);
+  assert.deepEqual(capped.inherited.parentCap, {
+    agentId: operator,
+    relationship: "operator_of",
+    score: operatorScore,
+    applied: true
+  });
+  assert.equal(scoreOf(operator).inherited.parentCap, null);
+
+  assert.throws(() => setPolicy(account.apiKey, { transitiveTrust: { negativeShare: 2 } }), /negativeShare/);
+  assert.throws(() => setPolicy(account.apiKey, { transitiveTrust: { relationshipTypes: ["owns"] } }), /relationshipTypes/);
+});
+
+test("simulations and backtests score with inherited influence", () => {
+  relate(operator, "operator_of", child);
+  setPolicy(account.apiKey, { transitiveTrust: { negativeShare: 0.5 } });
+  const live = scoreOf(child);
+  assert.ok(live.inherited.penalty > 0);
+
+  const simulated = simulateScore({ account, payload: { agentId: child } }).body;
+  assert.equal(simulated.baseline.score, live.score);
+  assert.equal(simulated.projected.score, live.score);
+
+  clawCreditPreflight({ account, payload: { agentId: child, newPayee: false } });
+  const replayed = backtestPolicy({ account, payload: { policy: {} } }).body;
+  assert.equal(replayed.decisions.replayed, 1);
+  assert.deepEqual(replayed.decisions.trustScoreDelta, { mean: 0, min: 0, max: 0 });
+  assert.equal(replayed.agents.changed, 0);
+
+  const isolated = backtestPolicy({ account, payload: { policy: { transitiveTrust: { negativeShare: 0 } } } }).body;
+  const childImpact = isolated.agents.mostAffected.find((impact) => impact.agentId === child);
+  assert.equal(childImpact.scoreDelta, live.inherited.baseScore - live.score);
+});
+
+test("the relationship limit counts only active relationships", () => {
+  let last;
+  for (let index = 0; index < 5000; index += 1) {
+    last = relate(`agent:graph:peer:${index}`, "same_owner_as", `agent:graph:peer:${index + 1}`);
+  }
+  assert.equal(last.status, 201);
+  assert.equal(relate(operator, "operator_of", child).status, 402);
+
+  removeRelationship({ account, relationshipId: last.body.relationship.id });
+  assert.equal(relate(operator, "operator_of", child).status, 201);
+  assert.equal(listRelationships({ account, query: { includeRemoved: "true" } }).body.count, 5001);
+});
@@ -0,0 +1,109 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { getAdminAgentSnapshot } from "../src/admin.js";
+import { addAlias } from "../src/agent-aliases.js";
+import { getAgentProfile, listAgents, putAgentProfile } from "../src/agent-profiles.js";
+import { getScore, postEvent } from "../src/service.js";
+import { resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_pro_key", tier: "pro" };
+const agentId = "agent:profile:1";
+
+const profile = {
+  displayName: "Invoice Bot",
+  owner: "finance-ops",
+  framework: "openclaw",
+  environment: "Production",
+  tags: ["payments", "Payments", "tier-1"],
+  metadata: { region: "eu-west-1", replicas: 3 }
+};
+
+beforeEach(() => {
+  resetStore();
+});
+
+test("profiles are stored, replaced and validated", async () => {
+  assert.equal(getAgentProfile({ account, agentId }).status, 404);
+  await postEvent({ account, payload: { agentId, kind: "positive", eventType: "payment_success" } });
+  assert.equal(getAgentProfile({ account, agentId }).body.agent.displayName, null);
+
+  const created = putAgentProfile({ account, agentId, payload: profile, actor: "ops@example.com" });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.agent.tags, ["payments", "tier-1"]);
+  assert.equal(created.body.agent.environment, "production");
+  assert.equal(created.body.agent.updatedBy, "ops@example.com");
+
+  const replaced = putAgentProfile({ account, agentId, payload: { displayName: "Invoice Bot v2" } });
+  assert.equal(replaced.status, 200);
+  assert.equal(replaced.body.agent.owner, null);
+  assert.deepEqual(replaced.body.agent.tags, []);
+  assert.equal(replaced.body.agent.createdAt, created.body.agent.createdAt);
+
+  addAlias({ account, agentId, payload: { alias: "agent:profile:wallet" } });
+  assert.equal(getAgentProfile({ account, agentId: "agent:profile:wallet" }).body.agent.displayName, "Invoice Bot v2");
+
+  assert.equal(putAgentProfile({ account, agentId, payload: { tags: "payments" } }).status, 400);
+  assert.equal(putAgentProfile({ account, agentId, payload: { metadata: { nested: { a: 1 } } } }).status, 400);
+  assert.equal(putAgentProfile({ account, agentId, payload: { displayName: 42 } }).status, 400);
+});
+
+test("listing filters by tag and score band and profiles reach score responses", async () => {
+  await postEvent({ account, payload: { agentId, kind: "positive", eventType: "payment_success" } });
+  await postEvent({ account, payload: { agentId: "agent:profile:2", kind: "negative", eventType: "api_key_leak" } });
+  putAgentProfile({ account, agentId, payload: profile });
+  putAgentProfile({ account, agentId: "agent:profile:3", payload: { displayName: "Not yet active", tags: ["tier-1"] } });
+
+  const all = listAgents({ account }).body;
+  assert.equal(all.count, 3);
+  assert.equal(all.agents.find((row) => row.agentId === "agent:profile:2").profile, null);
+
+  const tier1 = listAgents({ account, query: { tag: "TIER-1" } }).body.agents.map((row) => row.agentId);
+  assert.deepEqual(tier1.sort(), [agentId, "agent:profile:3"]);
+
+  const leaked = getScore({ account, agentId: "agent:profile:2" }).body;
+  const band = leaked.level.toLowerCase().replace(" ", "_");
+  assert.ok(listAgents({ account, query: { band } }).body.agents.some((row) => row.agentId === "agent:profile:2"));
+  assert.equal(listAgents({ account, query: { band: "excellent" } }).status, 400);
+
+  const score = getScore({ account, agentId }).body;
+  assert.equal(score.profile.displayName, "Invoice Bot");
+  assert.deepEqual(score.profile.metadata, { region: "eu-west-1", replicas: 3 });
+  assert.equal(leaked.profile, null);
+
+  const row = getAdminAgentSnapshot().rows.find((entry) => entry.agentId === `${account.apiKey}::${agentId}`);
+  assert.equal(row.displayName, "Invoice Bot");
+  assert.deepEqual(row.tags, ["payments", "tier-1"]);
+});
+
+test("listing pages by last activity and counts toward the score-read rate limit", async () => {
+  const now = Date.now();
+  for (const [index, id] of ["agent:profile:a", "agent:profile:b", "agent:profile:c"].entries()) {
+    const occurredAt = new Date(now - (3 - index) * 60_000).toISOString();
+    await postEvent({ account, payload: { agentId: id, kind: "positive", eventType: "payment_success", occurredAt } });
+  }
+  const page = listAgents({ account, query: { limit: 1 } }).body;
+  assert.equal(page.count, 3);
+  assert.deepEqual(page.agents.map((row) => row.agentId), ["agent:profile:c"]);
+  assert.equal(page.agents[0].score, getScore({ account, agentId: "agent:profile:c" }).body.score);
+
+  const free = { apiKey: "demo_free_key", tier: "free" };
+  for (let index = 0; index < 360; index += 1) listAgents({ account: free });
+  assert.equal(listAgents({ account: free }).status, 429);
+});
+
+test("last activity is the newest event even when a backfill arrives last", async () => {
+  const newest = new Date(Date.now() - 60_000).toISOString();
+  await postEvent({ account, payload: { agentId, kind: "positive", eventType: "payment_success", occurredAt: newest } });
+  await postEvent({
+    account,
+    payload: {
+      agentId,
+      kind: "positive",
+      eventType: "completed_task_on_time",
+      occurredAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString()
+    }
+  });
+
+  assert.equal(listAgents({ account }).body.agents[0].lastSeenAt, newest);
+});
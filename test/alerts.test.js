@@ -8,6 +8,7 @@ import {
   sendDigestToChannel
 } from "../src/alerts.js";
 import { resetStore } from "../src/store.js";
+import { createWebhook, emitScoreAlerts } from "../src/webhooks.js";
 
 const starter = { apiKey: "demo_starter_key", tier: "starter" };
 const free = { apiKey: "demo_free_key", tier: "free" };
@@ -89,3 +90,29 @@ test("digest send skips duplicate sends in same cadence window", async () => {
   assert.equal(second.status, 200);
   assert.equal(second.body.skipped, true);
 });
+
+test("a review-only webhook does not hold back telegram and discord score alerts", async () => {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(String(url));
+    return { ok: true, status: 200 };
+  };
+  const webhook = createWebhook({
+    account: starter,
+    payload: { url: "https://example.com/hook", events: ["review.resolved"], secret: "supersecret123" }
+  });
+  assert.equal(webhook.status, 201);
+  createTelegramAlert({
+    account: starter,
+    payload: { botToken: "123456:abcdefghijklmnopqrstuvwxyzABCD", chatId: "12345", threshold: 50 }
+  });
+  createDiscordAlert({
+    account: starter,
+    payload: { webhookUrl: "https://discord.com/api/webhooks/1/abc", threshold: 50 }
+  });
+
+  await emitScoreAlerts({ account: starter, agentId: "agent:alerts:1", score: 40, previousScore: 60 });
+  assert.equal(calls.length, 2);
+  assert.ok(calls.some((url) => url.startsWith("https://api.telegram.org/")));
+  assert.ok(calls.some((url) => url.startsWith("https://discord.com/")));
+});
@@ -0,0 +1,94 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { detectAnomalies } from "../src/anomalies.js";
+import { scoreAgent } from "../src/scoring.js";
+import { getAgentAnomalies } from "../src/service.js";
+import { appendEvent, resetStore } from "../src/store.js";
+
+const MINUTE_MS = 60 * 1000;
+
+function burst({ count, kind, eventType, source, sourceType, spacingMs = MINUTE_MS }) {
+  const start = Date.now() - count * spacingMs;
+  return Array.from({ length: count }, (_, index) => ({
+    id: `${eventType}-${source ?? sourceType}-${index}`,
+    agentId: "agent:anomaly",
+    kind,
+    eventType,
+    source,
+    sourceType,
+    createdAt: new Date(start + index * spacingMs).toISOString(),
+  }));
+}
+
+beforeEach(() => {
+  resetStore();
+});
+
+test("positive bursts from one source are flagged and dampened", () => {
+  const events = burst({ count: 8, kind: "positive", eventType: "payment_success", source: "shady", sourceType: "manual" });
+  const { flags, dampening } = detectAnomalies(events);
+
+  assert.equal(flags.length, 1);
+  assert.equal(flags[0].type, "positive_burst");
+  assert.equal(flags[0].source, "shady");
+  assert.equal(flags[0].dampenedEvents, 3);
+  assert.equal(dampening.get(events[7]), 0.25);
+  assert.equal(dampening.has(events[0]), false);
+
+  const spread = burst({
+    count: 8,
+    kind: "positive",
+    eventType: "payment_success",
+    source: "steady",
+    spacingMs: 2 * 60 * MINUTE_MS,
+  });
+  assert.equal(detectAnomalies(spread).flags.length, 0);
+
+  // Without a source, different sourceTypes still count as one group.
+  const unsourced = [
+    ...burst({ count: 4, kind: "positive", eventType: "payment_success", sourceType: "verified_integration" }),
+    ...burst({ count: 4, kind: "positive", eventType: "task_completed", sourceType: "manual" }),
+  ];
+  const [flag] = detectAnomalies(unsourced).flags;
+  assert.equal(flag.type, "positive_burst");
+  assert.equal(flag.source, "unknown");
+  assert.equal(flag.dampenedEvents, 3);
+});
+
+test("negative floods and repeated self-reports are dampened in the score and trace", () => {
+  const flood = burst({ count: 7, kind: "negative", eventType: "spam_report", source: "mob", sourceType: "manual" });
+  const selfReports = burst({
+    count: 5,
+    kind: "positive",
+    eventType: "completed_task_on_time",
+    sourceType: "self_reported",
+    spacingMs: 30 * MINUTE_MS,
+  });
+
+  const result = scoreAgent("agent:anomaly", [...flood, ...selfReports], { includeTrace: true, traceLimit: 20 });
+  const types = result.anomalies.flags.map((flag) => flag.type).sort();
+  assert.deepEqual(types, ["negative_flood", "self_reported_repeat"]);
+  assert.equal(result.anomalies.count, 2);
+
+  const dampenedNegative = result.trace.find((row) => row.id === flood[6].id);
+  const regularNegative = result.trace.find((row) => row.id === flood[0].id);
+  assert.equal(dampenedNegative.anomalyFactor, 0.35);
+  assert.equal(regularNegative.anomalyFactor, 1);
+  assert.ok(Math.abs(dampenedNegative.contribution) < Math.abs(regularNegative.contribution));
+});
+
+test("anomaly flags are queryable per agent", () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  for (const event of burst({ count: 6, kind: "negative", eventType: "abuse_report", source: "mob", sourceType: "manual" })) {
+    appendEvent(`${account.apiKey}::agent:anomaly`, event);
+  }
+
+  const result = getAgentAnomalies({ account, agentId: "agent:anomaly" });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.count, 1);
+  assert.equal(result.body.flags[0].type, "negative_flood");
+  assert.equal(result.body.flags[0].eventIds.length, 1);
+
+  assert.equal(getAgentAnomalies({ account, agentId: "" }).status, 400);
+});
@@ -0,0 +1,138 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { mergeAgents } from "../src/agent-aliases.js";
+import { backtestPolicy } from "../src/backtest.js";
+import { clawCreditPreflight } from "../src/clawcredit.js";
+import { getPolicy, resetPolicy, saveNamedPolicy, setPolicy } from "../src/policy.js";
+import { postEvent } from "../src/service.js";
+import { appendDecisionLog, listDecisionLogs, resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_starter_key", tier: "starter" };
+
+beforeEach(() => {
+  resetStore();
+  resetPolicy(account.apiKey);
+});
+
+async function seedAgent(agentId, payload) {
+  await postEvent({ account, payload: { agentId, ...payload } });
+}
+
+test("backtest replays preflight logs under a candidate preset and reports flips", async () => {
+  // Self-reported positives carry less weight under strict, so this agent drops into review.
+  for (const eventType of ["payment_success", "completed_task_on_time"]) {
+    await seedAgent("agent:backtest:self", { kind: "positive", eventType, sourceType: "self_reported", confidence: 0.9 });
+  }
+  await seedAgent("agent:backtest:verified", {
+    kind: "positive",
+    eventType: "payment_success",
+    sourceType: "verified_integration",
+    confidence: 1
+  });
+
+  const selfDecision = clawCreditPreflight({ account, payload: { agentId: "agent:backtest:self", newPayee: false } });
+  assert.equal(selfDecision.body.decision, "allow");
+  clawCreditPreflight({ account, payload: { agentId: "agent:backtest:verified", newPayee: false } });
+  assert.deepEqual(listDecisionLogs(account.apiKey)[0].metadata.riskInputs, { newPayee: false });
+
+  const result = backtestPolicy({ account, payload: { preset: "strict", days: 7 } });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.policySource, "preset:strict");
+  assert.equal(result.body.decisions.replayed, 2);
+  assert.equal(result.body.decisions.before.allow, 2);
+  assert.equal(result.body.decisions.flipped, 1);
+  assert.equal(result.body.decisions.transitions["allow->review"], 1);
+  assert.equal(result.body.decisions.flips[0].agentId, "agent:backtest:self");
+  assert.ok(result.body.decisions.trustScoreDelta.min < 0);
+
+  assert.equal(result.body.agents.evaluated, 2);
+  assert.equal(result.body.agents.changed, 1);
+  const [mostAffected] = result.body.agents.mostAffected;
+  assert.equal(mostAffected.agentId, "agent:backtest:self");
+  assert.equal(mostAffected.decisionsFlipped, 1);
+  assert.ok(mostAffected.scoreDelta < 0);
+
+  assert.equal(getPolicy(account.apiKey).preset, undefined);
+});
+
+test("backtest falls back to the stored risk penalty for older logs and validates input", async () => {
+  await seedAgent("agent:backtest:legacy", { kind: "positive", eventType: "payment_success" });
+  appendDecisionLog(account.apiKey, {
+    action: "clawcredit_preflight",
+    agentId: "agent:backtest:legacy",
+    outcome: "allow",
+    score: 50,
+    reason: "legacy entry",
+    metadata: { trustScore: 60, riskPenalty: 10 }
+  });
+
+  const result = backtestPolicy({ account, payload: { policy: { minConfidence: 0 } } });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.decisions.replayed, 1);
+  assert.equal(result.body.decisions.transitions["allow->review"], 1);
+  assert.equal(result.body.decisions.flips[0].candidateAdjustedScore, 50);
+
+  assert.equal(backtestPolicy({ account, payload: {} }).status, 400);
+  assert.equal(backtestPolicy({ account, payload: { preset: "reckless" } }).status, 400);
+  assert.equal(backtestPolicy({ account, payload: { preset: "strict", days: 0 } }).status, 400);
+});
+
+test("backtest replays velocity limits from earlier decisions instead of flipping them", async () => {
+  await seedAgent("agent:backtest:fast", { kind: "positive", eventType: "payment_success" });
+  setPolicy(account.apiKey, {
+    velocityLimits: [{ id: "one_per_hour", windowMinutes: 60, maxCount: 1, decision: "block" }]
+  });
+  const pay = () => clawCreditPreflight({ account, payload: { agentId: "agent:backtest:fast", amountUsd: 10 } });
+  assert.equal(pay().body.decision, "allow");
+  assert.equal(pay().body.decision, "block");
+
+  const unchanged = backtestPolicy({ account, payload: { policy: {} } }).body.decisions;
+  assert.equal(unchanged.replayed, 2);
+  assert.equal(unchanged.flipped, 0);
+  assert.equal(unchanged.velocityEscalations, 1);
+
+  // Without the limit the second payout would have gone through.
+  const relaxed = backtestPolicy({ account, payload: { policy: { velocityLimits: null } } }).body.decisions;
+  assert.deepEqual(relaxed.transitions, { "block->allow": 1 });
+  assert.equal(relaxed.velocityEscalations, 0);
+});
+
+test("backtest replays named-policy decisions only against that policy", async () => {
+  for (const eventType of ["payment_success", "completed_task_on_time"]) {
+    await seedAgent("agent:backtest:named", { kind: "positive", eventType, sourceType: "self_reported", confidence: 0.9 });
+  }
+  saveNamedPolicy(account.apiKey, "payments", { preset: "strict" });
+  const payload = { agentId: "agent:backtest:named", newPayee: false };
+  assert.equal(clawCreditPreflight({ account, payload }).body.decision, "allow");
+  assert.equal(clawCreditPreflight({ account, payload: { ...payload, policy: "payments" } }).body.decision, "review");
+
+  const byDefault = backtestPolicy({ account, payload: { policy: {} } }).body;
+  assert.equal(byDefault.policyName, "default");
+  assert.equal(byDefault.decisions.replayed, 1);
+  assert.equal(byDefault.decisions.otherPolicies, 1);
+  assert.equal(byDefault.decisions.flipped, 0);
+
+  const unchanged = backtestPolicy({ account, payload: { policyName: "payments", policy: {} } }).body;
+  assert.equal(unchanged.policyName, "payments");
+  assert.equal(unchanged.decisions.replayed, 1);
+  assert.equal(unchanged.decisions.flipped, 0);
+
+  const relaxed = backtestPolicy({ account, payload: { policyName: "payments", preset: "open" } }).body;
+  assert.deepEqual(relaxed.decisions.transitions, { "review->allow": 1 });
+  assert.equal(backtestPolicy({ account, payload: { policyName: "refunds", policy: {} } }).status, 404);
+});
+
+test("backtest replays decisions about a since-merged agent on the merged history", async () => {
+  await seedAgent("agent:backtest:old", { kind: "positive", eventType: "payment_success" });
+  await seedAgent("agent:backtest:main", { kind: "negative", eventType: "api_key_leak" });
+  const before = clawCreditPreflight({ account, payload: { agentId: "agent:backtest:old", newPayee: false } });
+  assert.equal(before.body.decision, "allow");
+  await mergeAgents({ account, payload: { source: "agent:backtest:old", target: "agent:backtest:main" } });
+
+  const result = backtestPolicy({ account, payload: { policy: {} } }).body;
+  assert.equal(result.decisions.replayed, 1);
+  assert.equal(result.decisions.flipped, 1);
+  assert.equal(result.decisions.flips[0].agentId, "agent:backtest:main");
+  assert.ok(result.decisions.flips[0].candidateTrustScore < result.decisions.flips[0].recordedTrustScore);
+});
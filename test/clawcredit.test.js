@@ -121,3 +121,205 @@ test("clawcredit preflight enforces required attestations on high-risk actions",
   assert.equal(withAttestation.body.decision, "review");
   assert.deepEqual(withAttestation.body.policy.attestationGate.missing, []);
 });
+
+test("clawcredit preflight can decide on the trust score lower bound", async () => {
+  await postEvent({
+    account,
+    payload: {
+      agentId: "agent:claw:bound",
+      kind: "positive",
+      eventType: "completed_task_on_time",
+      sourceType: "self_reported",
+    }
+  });
+
+  const point = clawCreditPreflight({
+    account,
+    payload: { agentId: "agent:claw:bound", amountUsd: 20 }
+  });
+  assert.equal(point.body.decision, "allow");
+  assert.equal(point.body.policy.scoreBasis, "point");
+  assert.ok(point.body.trust.scoreRange.low < point.body.trust.score);
+
+  const lowerBound = clawCreditPreflight({
+    account,
+    payload: { agentId: "agent:claw:bound", amountUsd: 20, scoreBasis: "lower_bound" }
+  });
+  assert.equal(lowerBound.body.policy.scoreBasis, "lower_bound");
+  assert.equal(lowerBound.body.policy.decisionTrustScore, lowerBound.body.trust.scoreRange.low);
+  assert.notEqual(lowerBound.body.decision, "allow");
+
+  const invalid = clawCreditPreflight({
+    account,
+    payload: { agentId: "agent:claw:bound", scoreBasis: "median" }
+  });
+  assert.equal(invalid.status, 400);
+});
+
+test("clawcredit preflight applies account decision rules in order and names the rule that fired", async () => {
+  await postEvent({
+    account,
+    payload: {
+      agentId: "agent:claw:rules",
+      kind: "positive",
+      eventType: "completed_task_on_time"
+    }
+  });
+
+  const builtin = clawCreditPreflight({ account, payload: { agentId: "agent:claw:rules", amountUsd: 20 } });
+  assert.equal(builtin.body.policy.rules, "builtin");
+  assert.equal(builtin.body.policy.ruleFired, null);
+  assert.equal(builtin.body.decision, "allow");
+
+  setPolicy(account.apiKey, {
+    decisionRules: [
+      {
+        id: "large_new_payee",
+        when: [
+          { field: "amountUsd", op: "gte", value: 500 },
+          { field: "newPayee", op: "eq", value: true }
+        ],
+        decision: "block",
+        reason: "Blocked: {amountUsd} USD to a new payee for {agentId}."
+      },
+      {
+        id: "unattested_payout",
+        when: [
+          { field: "amountUsd", op: "gte", value: 100 },
+          { field: "attestations.connector.stripe.verified", op: "eq", value: false }
+        ],
+        decision: "review"
+      }
+    ]
+  });
+
+  const blocked = clawCreditPreflight({
+    account,
+    payload: { agentId: "agent:claw:rules", amountUsd: 600, newPayee: true }
+  });
+  assert.equal(blocked.body.decision, "block");
+  assert.equal(blocked.body.reason, "Blocked: 600 USD to a new payee for agent:claw:rules.");
+  assert.deepEqual(blocked.body.policy.ruleFired, { id: "large_new_payee", index: 0, source: "account", decision: "block" });
+  assert.equal(blocked.body.policy.thresholds, null);
+
+  const review = clawCreditPreflight({ account, payload: { agentId: "agent:claw:rules", amountUsd: 150 } });
+  assert.equal(review.body.decision, "review");
+  assert.equal(review.body.policy.ruleFired.id, "unattested_payout");
+  assert.equal(review.body.reason, "Manual review required: rule unattested_payout matched.");
+
+  issueAttestation({
+    account,
+    payload: { agentId: "agent:claw:rules", type: "connector.stripe.verified", ttlDays: 30 }
+  });
+  const allowed = clawCreditPreflight({ account, payload: { agentId: "agent:claw:rules", amountUsd: 150 } });
+  assert.equal(allowed.body.decision, "allow");
+  assert.equal(allowed.body.policy.ruleFired, null);
+});
+
+test("decision rules are validated when the policy is saved", () => {
+  const invalid = [
+    [{ id: "a", when: [{ field: "creditLimit", op: "lt", value: 1 }], decision: "block" }, /not a supported rule field/],
+    [{ id: "a", when: [{ field: "newPayee", op: "gt", value: true }], decision: "block" }, /op must be one of: eq, neq/],
+    [{ id: "a", when: [{ field: "trustScore", op: "lt", value: "low" }], decision: "block" }, /value must be a number/],
+    [{ id: "a", when: [], decision: "block" }, /when must be an array/],
+    [{ id: "a", when: [{ field: "trustScore", op: "lt", value: 40 }], decision: "deny" }, /decision must be one of/],
+    [{ id: "a", when: [{ field: "trustScore", op: "lt", value: 40 }], decision: "block", reason: "{score}" }, /unknown placeholder/]
+  ];
+  for (const [rule, message] of invalid) {
+    assert.throws(() => setPolicy(account.apiKey, { decisionRules: [rule] }), message);
+  }
+
+  const duplicate = { id: "same", when: [{ field: "trustScore", op: "lt", value: 40 }], decision: "review" };
+  assert.throws(() => setPolicy(account.apiKey, { decisionRules: [duplicate, duplicate] }), /used by more than one rule/);
+
+  const saved = setPolicy(account.apiKey, { decisionRules: [{ ...duplicate, id: "Low_Trust" }] });
+  assert.deepEqual(saved.decisionRules, [
+    { id: "low_trust", match: "all", when: [{ field: "trustScore", op: "lt", value: 40 }], decision: "review", reason: null }
+  ]);
+  assert.deepEqual(setPolicy(account.apiKey, { decisionRules: null }).decisionRules, []);
+});
+
+test("clawcredit preflight scores risk with an account risk model and returns a per-factor breakdown", async () => {
+  await postEvent({
+    account,
+    payload: {
+      agentId: "agent:claw:risk",
+      kind: "positive",
+      eventType: "completed_task_on_time"
+    }
+  });
+
+  const builtin = clawCreditPreflight({
+    account,
+    payload: { agentId: "agent:claw:risk", amountUsd: 6000, newPayee: true }
+  });
+  assert.equal(builtin.body.policy.riskPenalty, 40);
+  assert.deepEqual(builtin.body.policy.riskBreakdown.factors, [
+    { id: "amount", points: 25 },
+    { id: "new_payee", points: 15 }
+  ]);
+  assert.equal(builtin.body.policy.riskBreakdown.model, "builtin");
+
+  setPolicy(account.apiKey, {
+    riskModel: {
+      amountTiers: [{ atLeast: 100, points: 5 }],
+      factors: [
+        { id: "sanctioned_country", when: [{ field: "destinationCountry", op: "in", value: ["KP", "IR"] }], points: 80 },
+        {
+          id: "sensitive_export",
+          when: [
+            { field: "context.tool", op: "eq", value: "db_export" },
+            { field: "dataSensitivity", op: "gte", value: 3 }
+          ],
+          points: 25
+        },
+        { id: "known_merchant", when: [{ field: "merchantVerified", op: "eq", value: true }], points: -10 }
+      ],
+      cap: 70
+    },
+    decisionRules: [
+      { id: "sanctions", when: [{ field: "risk.sanctioned_country", op: "gt", value: 0 }], decision: "block" }
+    ]
+  });
+
+  const sensitive = clawCreditPreflight({
+    account,
+    payload: {
+      agentId: "agent:claw:risk",
+      amountUsd: 500,
+      newPayee: true,
+      context: { tool: "DB_EXPORT" },
+      dataSensitivity: 4,
+      merchantVerified: true
+    }
+  });
+  assert.equal(sensitive.status, 200);
+  assert.equal(sensitive.body.policy.riskPenalty, 20);
+  assert.deepEqual(sensitive.body.policy.riskBreakdown, {
+    model: "account",
+    amountUsd: 500,
+    factors: [
+      { id: "amount", points: 5 },
+      { id: "sensitive_export", points: 25 },
+      { id: "known_merchant", points: -10 }
+    ],
+    uncapped: 20,
+    cap: 70,
+    total: 20
+  });
+
+  const sanctioned = clawCreditPreflight({
+    account,
+    payload: { agentId: "agent:claw:risk", amountUsd: 50, destinationCountry: "kp" }
+  });
+  assert.equal(sanctioned.body.policy.riskPenalty, 70);
+  assert.equal(sanctioned.body.decision, "block");
+  assert.equal(sanctioned.body.policy.ruleFired.id, "sanctions");
+
+  assert.throws(
+    () => setPolicy(account.apiKey, { riskModel: { factors: [{ id: "x", when: [{ field: "a", op: "gt", value: "high" }], points: 5 }] } }),
+    /must be a number for op "gt"/
+  );
+  assert.throws(() => setPolicy(account.apiKey, { riskModel: { cap: 500 } }), /cap must be a number between 0 and 100/);
+  assert.equal(setPolicy(account.apiKey, { riskModel: null }).riskModel, null);
+});
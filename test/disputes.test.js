@@ -0,0 +1,144 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { listDisputes, openDispute, resolveDispute } from "../src/disputes.js";
+import { resetPolicy, setPolicy } from "../src/policy.js";
+import { amendEvent, getScore, getScoreHistory, postEvent, retractEvent } from "../src/service.js";
+import { getSourceReputation } from "../src/source-reputation.js";
+import { listDecisionLogs, resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_pro_key", tier: "pro" };
+
+beforeEach(() => {
+  resetStore();
+  resetPolicy(account.apiKey);
+});
+
+async function logAbuseReport(agentId) {
+  const result = await postEvent({
+    account,
+    payload: { agentId, kind: "negative", eventType: "abuse_report", source: "marketplace", details: agentId }
+  });
+  return result.body;
+}
+
+test("an open dispute halves the event until it is upheld", async () => {
+  const agentId = "agent:disputes:upheld";
+  const logged = await logAbuseReport(agentId);
+  assert.equal(logged.score.value, 25);
+
+  const positive = await postEvent({ account, payload: { agentId, kind: "positive", eventType: "payment_success" } });
+  const disputeOnPositive = await openDispute({
+    account,
+    payload: { eventId: positive.body.event.id, reason: "not negative" }
+  });
+  assert.equal(disputeOnPositive.status, 400);
+
+  const opened = await openDispute({
+    account,
+    payload: { eventId: logged.event.id, reason: "report came from a competitor", openedBy: "agent-operator" }
+  });
+  assert.equal(opened.status, 201);
+  assert.equal(opened.body.dispute.status, "open");
+  assert.equal(opened.body.score.value, 48);
+
+  const duplicate = await openDispute({ account, payload: { eventId: logged.event.id, reason: "again" } });
+  assert.equal(duplicate.status, 409);
+
+  const during = getScore({ account, agentId, includeTrace: true });
+  const row = during.body.trace.find((item) => item.id === logged.event.id);
+  assert.equal(row.disputeFactor, 0.5);
+  assert.equal(row.disputeStatus, "open");
+  assert.equal(during.body.breakdown.disputes.open, 1);
+  assert.deepEqual(during.body.history.find((item) => item.id === logged.event.id).dispute, {
+    id: opened.body.dispute.id,
+    status: "open"
+  });
+
+  const upheld = await resolveDispute({
+    account,
+    disputeId: opened.body.dispute.id,
+    payload: { outcome: "upheld", note: "evidence confirmed" }
+  });
+  assert.equal(upheld.status, 200);
+  assert.equal(upheld.body.score.value, 35);
+  assert.equal(getScore({ account, agentId }).body.breakdown.disputes.upheld, 1);
+
+  const again = await resolveDispute({ account, disputeId: opened.body.dispute.id, payload: { outcome: "overturned" } });
+  assert.equal(again.status, 409);
+
+  const actions = listDecisionLogs(account.apiKey).map((row) => `${row.action}:${row.outcome}`);
+  assert.deepEqual(actions.slice(0, 2), ["dispute_resolve:upheld", "dispute_open:open"]);
+});
+
+test("an overturned dispute removes the event and counts against its source", async () => {
+  const agentId = "agent:disputes:overturned";
+  setPolicy(account.apiKey, { openDisputeMultiplier: 0 });
+  const logged = await logAbuseReport(agentId);
+
+  const opened = await openDispute({ account, payload: { eventId: logged.event.id, reason: "wrong agent" } });
+  assert.equal(opened.body.score.value, 50);
+
+  const overturned = await resolveDispute({
+    account,
+    disputeId: opened.body.dispute.id,
+    payload: { outcome: "overturned" }
+  });
+  assert.equal(overturned.body.dispute.outcome, "overturned");
+
+  const score = getScore({ account, agentId, includeTrace: true });
+  assert.equal(score.body.score, 50);
+  assert.equal(score.body.breakdown.disputes.overturned, 1);
+  assert.equal(score.body.trace.find((item) => item.id === logged.event.id).excludedReason, "dispute_overturned");
+  assert.ok(getSourceReputation(account.apiKey).marketplace < 1);
+
+  const history = getScoreHistory({ account, agentId, interval: "hour", from: new Date(Date.now() - 3600000).toISOString() });
+  assert.equal(history.status, 200);
+  assert.equal(history.body.points.at(-1).disputes.overturned, 1);
+
+  assert.equal(listDisputes({ account, query: { status: "overturned" } }).body.count, 1);
+  assert.equal(listDisputes({ account, query: { status: "open" } }).body.count, 0);
+  assert.equal(listDisputes({ account, query: { status: "pending" } }).status, 400);
+});
+
+test("retracting or amending a disputed event closes its dispute", async () => {
+  const agentId = "agent:disputes:revised";
+  const retracted = await logAbuseReport(`${agentId}:1`);
+  const amended = await logAbuseReport(`${agentId}:2`);
+  const first = await openDispute({ account, payload: { eventId: retracted.event.id, reason: "wrong agent" } });
+  const second = await openDispute({ account, payload: { eventId: amended.event.id, reason: "was a warning" } });
+
+  const retract = await retractEvent({ account, eventId: retracted.event.id, payload: { reason: "logged twice" } });
+  assert.equal(retract.body.event.dispute.outcome, "closed");
+  await amendEvent({ account, eventId: amended.event.id, payload: { reason: "downgrade", kind: "neutral" } });
+
+  const closed = listDisputes({ account, query: { status: "closed" } }).body.disputes;
+  assert.deepEqual(closed.map((dispute) => dispute.id).sort(), [first.body.dispute.id, second.body.dispute.id].sort());
+  assert.equal(closed.find((dispute) => dispute.id === first.body.dispute.id).resolutionNote, "Event retracted: logged twice");
+  assert.equal(listDisputes({ account, query: { status: "open" } }).body.count, 0);
+
+  const log = listDecisionLogs(account.apiKey).find((entry) => entry.action === "event_amend");
+  assert.equal(log.metadata.closedDisputeId, second.body.dispute.id);
+  const resolve = await resolveDispute({ account, disputeId: first.body.dispute.id, payload: { outcome: "upheld" } });
+  assert.equal(resolve.status, 409);
+});
+
+test("dispute responses and logs report the same score as a score read", async () => {
+  // Retracted reports lower the marketplace's reputation, which a score read applies.
+  for (let index = 0; index < 4; index += 1) {
+    const noisy = await logAbuseReport(`agent:disputes:noisy:${index}`);
+    await retractEvent({ account, eventId: noisy.event.id, payload: { reason: "false report" } });
+  }
+  const agentId = "agent:disputes:reputation";
+  const logged = await logAbuseReport(agentId);
+  const scoreNow = () => getScore({ account, agentId }).body.score;
+
+  const before = scoreNow();
+  const opened = await openDispute({ account, payload: { eventId: logged.event.id, reason: "not us" } });
+  assert.equal(opened.body.score.previousScore, before);
+  assert.equal(opened.body.score.value, scoreNow());
+
+  const resolved = await resolveDispute({ account, disputeId: opened.body.dispute.id, payload: { outcome: "upheld" } });
+  assert.equal(resolved.body.score.value, scoreNow());
+  assert.equal(listDecisionLogs(account.apiKey)[0].score, scoreNow());
+});
@@ -0,0 +1,162 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { listDecisionLogs, resetStore } from "../src/store.js";
+import { setPolicy } from "../src/policy.js";
+import { amendEvent, getScore, postEvent, retractEvent } from "../src/service.js";
+import { createWebhook, resetDnsLookupForTest, setDnsLookupForTest } from "../src/webhooks.js";
+
+const account = { apiKey: "demo_pro_key", tier: "pro" };
+
+beforeEach(() => {
+  resetStore();
+});
+
+test("retracted events leave the score but stay visible in trace and replays", async () => {
+  const agentId = "agent:revisions:retract";
+  const before = new Date(Date.now() - 1000).toISOString();
+  const logged = await postEvent({
+    account,
+    payload: { agentId, kind: "negative", eventType: "security_flag", details: "misfired rule" }
+  });
+  const flaggedScore = logged.body.score.value;
+
+  const missingReason = await retractEvent({ account, eventId: logged.body.event.id, payload: {} });
+  assert.equal(missingReason.status, 400);
+
+  const retracted = await retractEvent({
+    account,
+    eventId: logged.body.event.id,
+    payload: { reason: "detector false positive", actor: "oncall@example.com" }
+  });
+  assert.equal(retracted.status, 200);
+  assert.equal(retracted.body.score.previousScore, flaggedScore);
+  assert.ok(retracted.body.score.value > flaggedScore);
+  assert.equal(retracted.body.event.revision.actor, "oncall@example.com");
+  assert.ok(retracted.body.event.reversedAt);
+
+  const again = await retractEvent({ account, eventId: logged.body.event.id, payload: { reason: "twice" } });
+  assert.equal(again.status, 409);
+
+  const current = getScore({ account, agentId, includeTrace: true });
+  assert.equal(current.body.score, 50);
+  assert.equal(current.body.breakdown.policy.excludedByRevision, 1);
+  const row = current.body.trace.find((item) => item.id === logged.body.event.id);
+  assert.equal(row.included, false);
+  assert.equal(row.excludedReason, "retracted");
+
+  const replay = getScore({ account, agentId, asOf: new Date(Date.now() - 1).toISOString() });
+  assert.equal(replay.body.score, 50);
+  assert.equal(getScore({ account, agentId, asOf: before }).body.breakdown.lifetimeEvents, 0);
+
+  const [audit] = listDecisionLogs(account.apiKey);
+  assert.equal(audit.action, "event_retract");
+  assert.equal(audit.reason, "detector false positive");
+  assert.equal(audit.metadata.eventId, logged.body.event.id);
+});
+
+test("amending an event supersedes it with a corrected replacement", async () => {
+  const agentId = "agent:revisions:amend";
+  const logged = await postEvent({
+    account,
+    payload: {
+      agentId,
+      kind: "negative",
+      eventType: "security_flag",
+      source: "scanner",
+      occurredAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+    }
+  });
+
+  const invalid = await amendEvent({ account, eventId: logged.body.event.id, payload: { reason: "typo", kind: "bad" } });
+  assert.equal(invalid.status, 400);
+  const moved = await amendEvent({
+    account,
+    eventId: logged.body.event.id,
+    payload: { reason: "wrong agent", agentId: "agent:other" }
+  });
+  assert.equal(moved.status, 400);
+
+  const amended = await amendEvent({
+    account,
+    eventId: logged.body.event.id,
+    payload: { reason: "was informational", kind: "neutral", eventType: "scan_notice" }
+  });
+  assert.equal(amended.status, 201);
+  assert.equal(amended.body.event.supersedes, logged.body.event.id);
+  assert.equal(amended.body.event.source, "scanner");
+  assert.equal(amended.body.event.createdAt, logged.body.event.createdAt);
+  assert.equal(amended.body.superseded.supersededBy, amended.body.event.id);
+  assert.deepEqual(amended.body.superseded.revision.changed, ["kind", "eventType"]);
+
+  const stale = await amendEvent({ account, eventId: logged.body.event.id, payload: { reason: "again", kind: "positive" } });
+  assert.equal(stale.status, 409);
+
+  const score = getScore({ account, agentId, includeTrace: true });
+  assert.equal(score.body.breakdown.lifetimeEvents, 1);
+  assert.equal(score.body.breakdown.negative30d, 0);
+  const row = score.body.trace.find((item) => item.id === logged.body.event.id);
+  assert.equal(row.excludedReason, "superseded");
+  assert.equal(row.supersededBy, amended.body.event.id);
+
+  // Replays before the amendment see the original, not both.
+  const replay = getScore({ account, agentId, asOf: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+  assert.equal(replay.body.breakdown.lifetimeEvents, 1);
+  assert.equal(replay.body.breakdown.negative30d, 1);
+});
+
+test("a retraction that lifts the score over a threshold sends a recovery webhook", async () => {
+  const calls = [];
+  const originalFetch = globalThis.fetch;
+  setDnsLookupForTest(async () => [{ address: "93.184.216.34", family: 4 }]);
+  globalThis.fetch = async (url, options) => {
+    calls.push(JSON.parse(options.body));
+    return { ok: true, status: 204 };
+  };
+
+  try {
+    const created = createWebhook({
+      account,
+      payload: { url: "https://example.com/hook", threshold: 45, secret: "supersecret123" }
+    });
+    assert.equal(created.status, 201);
+
+    const agentId = "agent:revisions:webhook";
+    const logged = await postEvent({ account, payload: { agentId, kind: "negative", eventType: "api_key_leak" } });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].event, "trust.score_below_threshold");
+
+    await retractEvent({ account, eventId: logged.body.event.id, payload: { reason: "leaked key was a test key" } });
+    assert.equal(calls.length, 2);
+    assert.equal(calls[1].event, "trust.score_above_threshold");
+    assert.equal(calls[1].previousScore, logged.body.score.value);
+    assert.equal(calls[1].score, 50);
+  } finally {
+    resetDnsLookupForTest();
+    globalThis.fetch = originalFetch;
+  }
+});
+
+test("revisions report the same score as a score read", async () => {
+  const agentId = "agent:revisions:policy";
+  setPolicy(account.apiKey, { minConfidence: 0.5 });
+  await postEvent({ account, payload: { agentId, kind: "positive", eventType: "payment_success", confidence: 0.3 } });
+  const flagged = await postEvent({ account, payload: { agentId, kind: "negative", eventType: "security_flag" } });
+  const other = await postEvent({ account, payload: { agentId, kind: "negative", eventType: "missed_deadline" } });
+  const scoreNow = () => getScore({ account, agentId }).body.score;
+
+  const before = scoreNow();
+  const amended = await amendEvent({
+    account,
+    eventId: flagged.body.event.id,
+    payload: { kind: "neutral", reason: "rule misfired" }
+  });
+  assert.equal(amended.body.score.previousScore, before);
+  assert.equal(amended.body.score.value, scoreNow());
+
+  const beforeRetract = scoreNow();
+  const retracted = await retractEvent({ account, eventId: other.body.event.id, payload: { reason: "wrong agent" } });
+  assert.equal(retracted.body.score.previousScore, beforeRetract);
+  assert.equal(retracted.body.score.value, scoreNow());
+  assert.equal(listDecisionLogs(account.apiKey)[0].score, scoreNow());
+});
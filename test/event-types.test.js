@@ -0,0 +1,88 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  deleteEventType,
+  listEventTypes,
+  registerEventType,
+  updateEventCatalogSettings,
+} from "../src/event-types.js";
+import { resetPersistenceStateForTest } from "../src/persistence.js";
+import { getScore, postEvent } from "../src/service.js";
+import { resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_pro_key", tier: "pro" };
+
+beforeEach(() => {
+  resetStore();
+  resetPersistenceStateForTest();
+});
+
+test("custom event types drive trust and behavior weights", async () => {
+  const registered = registerEventType({
+    account,
+    payload: {
+      eventType: "refund_issued",
+      trustWeight: -18,
+      behaviorWeight: -9,
+      sensitive: true,
+      description: "Refund issued after customer complaint",
+    },
+  });
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.eventType.trustWeight, -18);
+
+  await postEvent({
+    account,
+    payload: { agentId: "agent:catalog:1", kind: "negative", eventType: "refund_issued" },
+  });
+
+  const score = getScore({ account, agentId: "agent:catalog:1", includeTrace: true });
+  assert.equal(score.status, 200);
+  assert.equal(score.body.trace[0].baseWeight, -18);
+  assert.equal(score.body.score, 32);
+  assert.equal(score.body.behavior.score, 51);
+  assert.equal(score.body.breakdown.severeNegative30d, 1);
+
+  const listed = listEventTypes({ account });
+  assert.equal(listed.body.strict, false);
+  assert.equal(listed.body.custom.length, 1);
+  assert.ok(listed.body.builtIn.some((entry) => entry.eventType === "api_key_leak"));
+});
+
+test("built-in event types cannot be registered and unknown types can be deleted only once", () => {
+  const builtIn = registerEventType({ account, payload: { eventType: "api_key_leak", trustWeight: -5 } });
+  assert.equal(builtIn.status, 409);
+
+  const invalid = registerEventType({ account, payload: { eventType: "code_review_passed", trustWeight: "high" } });
+  assert.equal(invalid.status, 400);
+
+  registerEventType({ account, payload: { eventType: "code_review_passed", trustWeight: 4 } });
+  assert.equal(deleteEventType({ account, eventType: "code_review_passed" }).status, 200);
+  assert.equal(deleteEventType({ account, eventType: "code_review_passed" }).status, 404);
+});
+
+test("strict catalog mode rejects unregistered event types", async () => {
+  const settings = updateEventCatalogSettings({ account, payload: { strict: true } });
+  assert.equal(settings.status, 200);
+
+  const rejected = await postEvent({
+    account,
+    payload: { agentId: "agent:catalog:strict", kind: "positive", eventType: "code_review_passed" },
+  });
+  assert.equal(rejected.status, 400);
+  assert.match(rejected.body.error, /Strict event catalog mode/);
+
+  const builtIn = await postEvent({
+    account,
+    payload: { agentId: "agent:catalog:strict", kind: "neutral", eventType: "dispute_closed" },
+  });
+  assert.equal(builtIn.status, 201);
+
+  registerEventType({ account, payload: { eventType: "code_review_passed", trustWeight: 4 } });
+  const accepted = await postEvent({
+    account,
+    payload: { agentId: "agent:catalog:strict", kind: "positive", eventType: "code_review_passed" },
+  });
+  assert.equal(accepted.status, 201);
+});
@@ -0,0 +1,79 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { issueAttestation } from "../src/attestations.js";
+import { getDecisionLogs } from "../src/audit.js";
+import { clawCreditPreflight } from "../src/clawcredit.js";
+import { withIdempotency } from "../src/idempotency.js";
+import { postEvent } from "../src/service.js";
+import { getAgentEvents, resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_starter_key", tier: "starter" };
+const agentId = "agent:idempotency:1";
+
+function logEvent(key, payload) {
+  return withIdempotency({ account, key, scope: "POST /v1/events", payload }, () =>
+    postEvent({ account, payload, checkDuplicates: key === null })
+  );
+}
+
+beforeEach(() => {
+  resetStore();
+});
+
+test("retried event writes replay the first response instead of logging twice", async () => {
+  const payload = { agentId, kind: "positive", eventType: "completed_task_on_time" };
+  const first = await logEvent("evt-1", payload);
+  assert.equal(first.status, 201);
+  assert.equal(first.replayed, undefined);
+
+  const retry = await logEvent("evt-1", { eventType: "completed_task_on_time", kind: "positive", agentId });
+  assert.equal(retry.status, 201);
+  assert.equal(retry.replayed, true);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(getAgentEvents(`${account.apiKey}::${agentId}`).length, 1);
+
+  // A new key is a new event, even inside the duplicate window.
+  const second = await logEvent("evt-2", payload);
+  assert.equal(second.status, 201);
+  assert.equal(getAgentEvents(`${account.apiKey}::${agentId}`).length, 2);
+
+  // Without a key the duplicate window still applies.
+  assert.equal((await logEvent(null, payload)).status, 201);
+  assert.equal((await logEvent(null, payload)).status, 409);
+
+  const mismatch = await logEvent("evt-1", { ...payload, kind: "negative", eventType: "missed_deadline" });
+  assert.equal(mismatch.status, 422);
+  assert.equal((await logEvent("", payload)).status, 400);
+});
+
+test("preflight and attestation retries return the stored answer", async () => {
+  await postEvent({ account, payload: { agentId, kind: "positive", eventType: "completed_task_on_time" } });
+  const preflight = (key, payload) =>
+    withIdempotency({ account, key, scope: "POST /v1/integrations/clawcredit/preflight", payload }, () =>
+      clawCreditPreflight({ account, payload })
+    );
+
+  const payload = { agentId, amountUsd: 250 };
+  const first = await preflight("payout-9", payload);
+  const retry = await preflight("payout-9", payload);
+  assert.equal(retry.replayed, true);
+  assert.deepEqual(retry.body, first.body);
+  const logs = getDecisionLogs({ account, query: {} }).body.logs;
+  assert.equal(logs.filter((log) => log.action === "clawcredit_preflight").length, 1);
+
+  // The same key on another endpoint is a different request.
+  const reused = await withIdempotency({ account, key: "payout-9", scope: "POST /v1/attestations", payload }, () =>
+    issueAttestation({ account, payload })
+  );
+  assert.equal(reused.status, 422);
+
+  const attest = () =>
+    withIdempotency(
+      { account, key: "attest-1", scope: "POST /v1/attestations", payload: { agentId, type: "kyc_verified" } },
+      () => issueAttestation({ account, payload: { agentId, type: "kyc_verified" } })
+    );
+  const issued = await attest();
+  assert.equal(issued.status, 201);
+  assert.equal((await attest()).body.attestation.id, issued.body.attestation.id);
+});
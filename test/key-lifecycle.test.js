@@ -2,7 +2,11 @@ import test, { beforeEach } from "node:test";
 import assert from "node:assert/strict";
 
 import { authenticate, issueApiKey, revokeApiKey, rotateApiKey } from "../src/auth.js";
-import { resetStore } from "../src/store.js";
+import { listDisputes, openDispute } from "../src/disputes.js";
+import { listEventTypes, registerEventType, updateEventCatalogSettings } from "../src/event-types.js";
+import { createUser, revokeUserApiKey, rotateUserApiKey } from "../src/key-store.js";
+import { postEvent } from "../src/service.js";
+import { resetStore, store } from "../src/store.js";
 
 beforeEach(() => {
   resetStore();
@@ -39,3 +43,36 @@ test("rotating key invalidates old key and returns a new key of same tier", () =
   assert.equal(oldAccount, null);
   assert.equal(newAccount?.tier, "pro");
 });
+
+test("rotating a user key keeps its custom event types and revoking removes them", () => {
+  const { apiKey } = createUser("catalog@test.com");
+  const account = { apiKey, tier: "free" };
+  registerEventType({ account, payload: { eventType: "refund_issued", trustWeight: -18 } });
+  updateEventCatalogSettings({ account, payload: { strict: true } });
+
+  const rotated = rotateUserApiKey(apiKey);
+  const catalog = listEventTypes({ account: { apiKey: rotated.apiKey, tier: "free" } }).body;
+  assert.equal(catalog.strict, true);
+  assert.ok(catalog.custom.some((entry) => entry.eventType === "refund_issued"));
+  assert.equal(store.eventCatalogByApiKey.has(apiKey), false);
+
+  revokeUserApiKey(rotated.apiKey);
+  assert.equal(store.eventCatalogByApiKey.has(rotated.apiKey), false);
+});
+
+test("rotating a user key keeps its disputes and revoking removes them", async () => {
+  const { apiKey } = createUser("disputes@test.com");
+  const account = { apiKey, tier: "free" };
+  const logged = await postEvent({
+    account,
+    payload: { agentId: "agent:rotate:1", kind: "negative", eventType: "abuse_report" }
+  });
+  const opened = await openDispute({ account, payload: { eventId: logged.body.event.id, reason: "competitor" } });
+
+  const rotated = rotateUserApiKey(apiKey);
+  const disputes = listDisputes({ account: { apiKey: rotated.apiKey, tier: "free" } }).body.disputes;
+  assert.deepEqual(disputes.map((dispute) => dispute.id), [opened.body.dispute.id]);
+
+  revokeUserApiKey(rotated.apiKey);
+  assert.equal(store.disputesByApiKey.has(rotated.apiKey), false);
+});
@@ -1,8 +1,24 @@
 import test, { beforeEach } from "node:test";
 import assert from "node:assert/strict";
 
-import { applyPolicyPreset, listPolicyPresets, setPolicy, getPolicy, resetPolicy } from "../src/policy.js";
-import { getScore, postEvent } from "../src/service.js";
+import {
+  applyPolicyPreset,
+  deleteNamedPolicy,
+  getNamedPolicy,
+  listNamedPolicies,
+  listPolicyPresets,
+  setPolicy,
+  getPolicy,
+  getPolicyAsOf,
+  getPolicyVersion,
+  listPolicyVersions,
+  resetPolicy,
+  rollbackPolicy,
+  saveNamedPolicy,
+} from "../src/policy.js";
+import { clawCreditPreflight } from "../src/clawcredit.js";
+import { getDecisionLogs, logDecision } from "../src/audit.js";
+import { getScore, getScoreHistory, postEvent } from "../src/service.js";
 import { resetStore } from "../src/store.js";
 import { resetPersistenceStateForTest } from "../src/persistence.js";
 
@@ -163,3 +179,215 @@ test("policy can set required attestations and gate mode", () => {
   assert.equal(updated.requireAttestationsForRiskAbove, 18);
   assert.equal(updated.attestationFailureDecision, "review");
 });
+
+test("policy decay settings control per-event-type decay curves", async () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  const day = 24 * 60 * 60 * 1000;
+  const occurredAt = new Date(Date.now() - 60 * day).toISOString();
+  resetPolicy(account.apiKey);
+
+  await postEvent({
+    account,
+    payload: { agentId: "agent:policy:decay", kind: "negative", eventType: "api_key_leak", occurredAt },
+  });
+  await postEvent({
+    account,
+    payload: { agentId: "agent:policy:decay", kind: "negative", eventType: "missed_deadline", occurredAt },
+  });
+
+  const before = getScore({ account, agentId: "agent:policy:decay", includeTrace: true });
+  const leakBefore = before.body.trace.find((row) => row.eventType === "api_key_leak");
+  assert.equal(leakBefore.decayMode, "half_life");
+  assert.equal(leakBefore.decayFactor, 0.25);
+
+  const updated = setPolicy(account.apiKey, {
+    decay: {
+      defaultHalfLifeDays: 45,
+      eventTypes: {
+        api_key_leak: { mode: "none" },
+        missed_deadline: { mode: "step", expireAfterDays: 14 },
+      },
+    },
+  });
+  assert.equal(updated.decay.defaultHalfLifeDays, 45);
+  assert.deepEqual(updated.decay.eventTypes.api_key_leak, { mode: "none" });
+
+  const after = getScore({ account, agentId: "agent:policy:decay", includeTrace: true });
+  const leakAfter = after.body.trace.find((row) => row.eventType === "api_key_leak");
+  const missedAfter = after.body.trace.find((row) => row.eventType === "missed_deadline");
+  assert.equal(leakAfter.decayMode, "none");
+  assert.equal(leakAfter.decayFactor, 1);
+  assert.equal(missedAfter.decayMode, "step");
+  assert.equal(missedAfter.decayFactor, 0);
+  assert.equal(missedAfter.contribution, 0);
+  assert.ok(after.body.score < before.body.score);
+
+  const cleared = setPolicy(account.apiKey, { decay: { eventTypes: { api_key_leak: null } } });
+  assert.equal(cleared.decay.eventTypes.api_key_leak, undefined);
+  assert.equal(cleared.decay.defaultHalfLifeDays, 45);
+
+  assert.throws(
+    () => setPolicy(account.apiKey, { decay: { eventTypes: { api_key_leak: { mode: "linear" } } } }),
+    /mode must be one of/
+  );
+  assert.throws(() => setPolicy(account.apiKey, { decay: { defaultHalfLifeDays: 0 } }), /positive number/);
+});
+
+test("policy changes are recorded as immutable versions with diffs and rollback", () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  assert.equal(getPolicy(account.apiKey).version, 0);
+
+  setPolicy(account.apiKey, { minConfidence: 0.5 }, { actor: "ops@example.com" });
+  applyPolicyPreset(account.apiKey, "strict");
+  const v3 = setPolicy(account.apiKey, { minConfidence: 0.9 });
+  assert.equal(v3.version, 3);
+
+  const versions = listPolicyVersions(account.apiKey);
+  assert.deepEqual(versions.map((entry) => entry.version), [3, 2, 1]);
+  assert.equal(versions[2].actor, "ops@example.com");
+  assert.equal(versions[1].change, "preset:strict");
+  assert.deepEqual(versions[2].diff, [{ path: "minConfidence", from: 0, to: 0.5 }]);
+  assert.equal(versions[0].policy, undefined);
+
+  const v1 = getPolicyVersion(account.apiKey, 1);
+  v1.policy.minConfidence = 0.1;
+  assert.equal(getPolicyVersion(account.apiKey, 1).policy.minConfidence, 0.5);
+  assert.equal(getPolicyVersion(account.apiKey, 0).policy.minConfidence, 0);
+  assert.equal(getPolicyVersion(account.apiKey, 9), null);
+
+  const rolledBack = rollbackPolicy(account.apiKey, 1, { actor: "ops@example.com" });
+  assert.equal(rolledBack.version, 4);
+  assert.equal(rolledBack.minConfidence, 0.5);
+  assert.equal(getPolicy(account.apiKey).preset, undefined);
+  assert.equal(listPolicyVersions(account.apiKey)[0].rolledBackTo, 1);
+  assert.equal(rollbackPolicy(account.apiKey, 9), null);
+
+  assert.equal(getPolicyAsOf(account.apiKey, Date.now() - 60_000).version, 0);
+  assert.equal(getPolicyAsOf(account.apiKey, Date.now()).version, 4);
+});
+
+test("decision logs record the policy version in effect", () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  logDecision({ account, action: "score_check", agentId: "agent:v:1", outcome: "allow", score: 70, reason: "ok" });
+  setPolicy(account.apiKey, { minConfidence: 0.5 });
+  logDecision({ account, action: "score_check", agentId: "agent:v:1", outcome: "allow", score: 70, reason: "ok" });
+
+  const json = getDecisionLogs({ account, query: { format: "json", limit: "10" } });
+  assert.deepEqual(json.body.logs.map((log) => log.policyVersion), [1, 0]);
+
+  const csv = getDecisionLogs({ account, query: { format: "csv", limit: "10" } });
+  assert.match(csv.body.split("\n")[0], /,policyVersion,policyName$/);
+  assert.match(csv.body.split("\n")[1], /,1,default$/);
+});
+
+test("score history uses the policy version in effect at each point", async () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  const agentId = "agent:policy:history";
+  await postEvent({
+    account,
+    payload: {
+      agentId,
+      kind: "negative",
+      eventType: "failed_payment",
+      sourceType: "self_reported",
+      confidence: 0.3,
+      occurredAt: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString()
+    }
+  });
+  setPolicy(account.apiKey, { minConfidence: 0.5 });
+
+  const history = getScoreHistory({
+    account,
+    agentId,
+    interval: "hour",
+    from: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+  });
+  const [first, , last] = history.body.points;
+  assert.equal(first.policyVersion, 0);
+  assert.ok(first.score < 50);
+  assert.equal(last.policyVersion, 1);
+  assert.equal(last.score, 50);
+});
+
+test("named policies are selected per call and fall back to the account default", async () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  await postEvent({
+    account,
+    payload: {
+      agentId: "agent:named:1",
+      kind: "positive",
+      eventType: "task_completed",
+      source: "unknown",
+      sourceType: "self_reported",
+      confidence: 0.5,
+    },
+  });
+
+  const created = saveNamedPolicy(account.apiKey, "Payments", {
+    preset: "strict",
+    minConfidence: 0.9,
+    description: "Payouts",
+  }, { actor: "ops@example.com" });
+  assert.equal(created.created, true);
+  assert.equal(created.policy.version, 1);
+  assert.equal(created.policy.preset, "strict");
+  assert.deepEqual(listNamedPolicies(account.apiKey).map((policy) => policy.name), ["default", "payments"]);
+  assert.equal(getNamedPolicy(account.apiKey, "payments").description, "Payouts");
+
+  const defaultScore = getScore({ account, agentId: "agent:named:1" });
+  const paymentsScore = getScore({ account, agentId: "agent:named:1", policy: "payments" });
+  assert.ok(defaultScore.body.score > 50);
+  assert.equal(defaultScore.body.policyApplied, undefined);
+  assert.equal(paymentsScore.body.score, 50);
+  assert.deepEqual(paymentsScore.body.policyApplied, { source: "named", name: "payments", version: 1 });
+
+  const preflight = clawCreditPreflight({ account, payload: { agentId: "agent:named:1", policy: "payments" } });
+  assert.equal(preflight.status, 200);
+  assert.deepEqual(preflight.body.policyApplied, { name: "payments", version: 1 });
+  const logs = getDecisionLogs({ account, query: { format: "json", limit: "1" } });
+  assert.equal(logs.body.logs[0].policyName, "payments");
+  assert.equal(logs.body.logs[0].policyVersion, 1);
+
+  assert.equal(getScore({ account, agentId: "agent:named:1", policy: "marketplace" }).status, 404);
+  assert.equal(clawCreditPreflight({ account, payload: { agentId: "agent:named:1", policy: "bad name" } }).status, 400);
+  assert.equal(getPolicy(account.apiKey).minConfidence, 0);
+
+  const updated = saveNamedPolicy(account.apiKey, "payments", { minConfidence: 0.2 });
+  assert.equal(updated.created, false);
+  assert.equal(updated.policy.version, 2);
+  assert.equal(updated.policy.preset, "strict");
+  assert.deepEqual(listPolicyVersions(account.apiKey, "payments").map((entry) => entry.change), ["update", "preset:strict"]);
+  assert.equal(rollbackPolicy(account.apiKey, 1, { name: "payments" }).minConfidence, 0.9);
+
+  assert.equal(deleteNamedPolicy(account.apiKey, "payments", { actor: "ops@example.com" }), true);
+  assert.equal(deleteNamedPolicy(account.apiKey, "payments"), false);
+  assert.throws(() => deleteNamedPolicy(account.apiKey, "default"), /cannot be deleted/);
+});
+
+test("deleted named policies keep their history but cannot be selected", async () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  await postEvent({ account, payload: { agentId: "agent:named:2", kind: "positive", eventType: "task_completed" } });
+  saveNamedPolicy(account.apiKey, "payments", { preset: "strict" });
+  const usedAtMs = Date.now();
+  assert.equal(deleteNamedPolicy(account.apiKey, "payments", { actor: "ops@example.com" }), true);
+
+  assert.deepEqual(listNamedPolicies(account.apiKey).map((policy) => policy.name), ["default"]);
+  const archived = listNamedPolicies(account.apiKey, { includeDeleted: true })[1];
+  assert.equal(archived.name, "payments");
+  assert.equal(archived.deletedBy, "ops@example.com");
+  assert.ok(getNamedPolicy(account.apiKey, "payments").deletedAt);
+  assert.equal(getPolicyVersion(account.apiKey, 1, "payments").policy.preset, "strict");
+  assert.equal(getPolicyAsOf(account.apiKey, usedAtMs, "payments").version, 1);
+
+  assert.equal(getScore({ account, agentId: "agent:named:2", policy: "payments" }).status, 404);
+  assert.equal(clawCreditPreflight({ account, payload: { agentId: "agent:named:2", policy: "payments" } }).status, 404);
+  assert.equal(rollbackPolicy(account.apiKey, 1, { name: "payments" }), null);
+
+  // Saving the name again starts a fresh policy on top of the kept history.
+  const recreated = saveNamedPolicy(account.apiKey, "payments", { minConfidence: 0.3 });
+  assert.equal(recreated.created, true);
+  assert.equal(recreated.policy.version, 2);
+  assert.equal(recreated.policy.preset, undefined);
+  assert.equal(getNamedPolicy(account.apiKey, "payments").deletedAt, undefined);
+  assert.equal(getScore({ account, agentId: "agent:named:2", policy: "payments" }).status, 200);
+});
@@ -0,0 +1,158 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { getDecisionLogs } from "../src/audit.js";
+import { clawCreditPreflight } from "../src/clawcredit.js";
+import { setPolicy } from "../src/policy.js";
+import { actionPreflight } from "../src/preflight.js";
+import { postEvent } from "../src/service.js";
+import { resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_starter_key", tier: "starter" };
+const agentId = "agent:preflight:1";
+
+beforeEach(async () => {
+  resetStore();
+  await postEvent({ account, payload: { agentId, kind: "positive", eventType: "completed_task_on_time" } });
+});
+
+test("action preflight applies action-specific risk inputs and thresholds", () => {
+  const payment = actionPreflight({ account, payload: { action: "payment", agentId, amountUsd: 2500, newPayee: true } });
+  const claw = clawCreditPreflight({ account, payload: { agentId, amountUsd: 2500, newPayee: true } });
+  assert.equal(payment.status, 200);
+  assert.equal(payment.body.action, "payment");
+  assert.equal(payment.body.integration, undefined);
+  assert.equal(payment.body.decision, claw.body.decision);
+  assert.equal(payment.body.policy.riskPenalty, claw.body.policy.riskPenalty);
+
+  const tool = actionPreflight({
+    account,
+    payload: { action: "tool_call", agentId, toolName: "db_export", writesData: true, dataSensitivity: 5 }
+  });
+  assert.equal(tool.status, 200);
+  assert.deepEqual(tool.body.policy.riskBreakdown.factors.map((factor) => factor.id), [
+    "writes_data",
+    "sensitive_data",
+    "restricted_data"
+  ]);
+  assert.equal(tool.body.policy.riskPenalty, 35);
+  assert.deepEqual(tool.body.policy.thresholds, { blockBelow: 30, reviewBelow: 50 });
+
+  const credential = actionPreflight({ account, payload: { action: "credential_share", agentId, scope: "ADMIN" } });
+  assert.deepEqual(credential.body.policy.riskBreakdown.factors.map((factor) => factor.id), [
+    "admin_scope",
+    "unverified_recipient",
+    "no_expiry"
+  ]);
+  assert.equal(credential.body.decision, "block");
+  assert.equal(credential.body.policy.ruleFired.id, "decision_floor");
+
+  const task = actionPreflight({ account, payload: { action: "task_accept", agentId, amountUsd: 600 } });
+  assert.equal(task.body.decision, "allow");
+  assert.equal(task.body.policy.riskPenalty, 5);
+
+  const logs = getDecisionLogs({ account, query: { format: "json", limit: "10" } }).body.logs;
+  assert.deepEqual(logs.map((log) => log.action), [
+    "task_accept_preflight",
+    "credential_share_preflight",
+    "tool_call_preflight",
+    "clawcredit_preflight",
+    "payment_preflight"
+  ]);
+  assert.equal(logs[2].metadata.preflightAction, "tool_call");
+  assert.equal(logs[2].metadata.riskInputs.dataSensitivity, 5);
+});
+
+test("action preflight validates actions and honors per-action policy overrides", () => {
+  assert.equal(actionPreflight({ account, payload: { agentId } }).status, 400);
+  assert.equal(actionPreflight({ account, payload: { action: "deploy", agentId } }).status, 400);
+  assert.match(actionPreflight({ account, payload: { action: "custom", agentId } }).body.error, /customAction is required/);
+
+  setPolicy(account.apiKey, {
+    actionProfiles: {
+      custom: {
+        riskModel: { factors: [{ id: "prod", when: [{ field: "environment", op: "eq", value: "prod" }], points: 30 }] }
+      },
+      tool_call: {
+        decisionRules: [
+          { id: "no_shell", when: [{ field: "risk.high_privilege_action", op: "gt", value: 0 }], decision: "block" }
+        ]
+      }
+    }
+  });
+
+  const custom = actionPreflight({
+    account,
+    payload: { action: "custom", customAction: "Deploy.Release", agentId, environment: "prod" }
+  });
+  assert.equal(custom.status, 200);
+  assert.equal(custom.body.customAction, "deploy.release");
+  assert.equal(custom.body.policy.riskPenalty, 30);
+  assert.equal(custom.body.policy.riskBreakdown.model, "account");
+
+  const tool = actionPreflight({ account, payload: { action: "tool_call", agentId, highPrivilegeAction: true } });
+  assert.equal(tool.body.decision, "block");
+  assert.equal(tool.body.policy.ruleFired.source, "account");
+  assert.equal(tool.body.policy.thresholds, null);
+
+  const payment = actionPreflight({ account, payload: { action: "payment", agentId, highPrivilegeAction: true } });
+  assert.equal(payment.body.policy.rules, "builtin");
+
+  assert.throws(
+    () => setPolicy(account.apiKey, { actionProfiles: { deploy: {} } }),
+    /actionProfiles.deploy is not a supported action/
+  );
+  assert.throws(
+    () => setPolicy(account.apiKey, { actionProfiles: { tool_call: { decisionRules: [{ id: "x" }] } } }),
+    /actionProfiles.tool_call.decisionRules\[0\].decision/
+  );
+});
+
+test("velocity limits escalate decisions once an agent exceeds its rate or spend", () => {
+  setPolicy(account.apiKey, {
+    velocityLimits: [
+      { id: "payouts_per_hour", windowMinutes: 60, maxCount: 2, actions: ["payment"], decision: "review" },
+      { id: "daily_spend", windowMinutes: 1440, maxAmountUsd: 250, decision: "block" }
+    ]
+  });
+
+  const first = clawCreditPreflight({ account, payload: { agentId, amountUsd: 100 } });
+  assert.equal(first.body.decision, "allow");
+  assert.deepEqual(first.body.policy.velocity.exceeded, []);
+  assert.equal(first.body.policy.velocity.limits[0].count, 0);
+
+  const second = actionPreflight({ account, payload: { action: "payment", agentId, amountUsd: 100 } });
+  assert.equal(second.body.decision, "allow");
+  const usage = second.body.policy.velocity.limits;
+  assert.equal(usage[0].count, 1);
+  assert.equal(usage[0].remainingCount, 1);
+  assert.equal(usage[1].amountUsd, 100);
+  assert.equal(usage[1].remainingAmountUsd, 150);
+
+  const third = clawCreditPreflight({ account, payload: { agentId, amountUsd: 10 } });
+  assert.equal(third.body.decision, "review");
+  assert.deepEqual(third.body.policy.ruleFired, {
+    id: "payouts_per_hour",
+    index: null,
+    source: "velocity",
+    decision: "review"
+  });
+  assert.match(third.body.reason, /velocity limit payouts_per_hour exceeded \(3 of 2 actions in 60 minutes\)/);
+
+  // Only payments count toward the hourly cap, but every action uses the daily spend.
+  const task = actionPreflight({ account, payload: { action: "task_accept", agentId, amountUsd: 50 } });
+  assert.equal(task.body.decision, "block");
+  assert.deepEqual(task.body.policy.velocity.exceeded, ["daily_spend"]);
+  assert.match(task.body.reason, /\$260 of \$250/);
+
+  // The blocked attempt was not counted.
+  const small = actionPreflight({ account, payload: { action: "task_accept", agentId, amountUsd: 40 } });
+  assert.equal(small.body.decision, "allow");
+  assert.equal(small.body.policy.velocity.limits[0].amountUsd, 210);
+
+  assert.throws(() => setPolicy(account.apiKey, { velocityLimits: [{ id: "x", windowMinutes: 60 }] }), /must set maxCount/);
+  assert.throws(
+    () => setPolicy(account.apiKey, { velocityLimits: [{ id: "x", windowMinutes: 0, maxCount: 1 }] }),
+    /windowMinutes must be an integer/
+  );
+});
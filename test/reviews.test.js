@@ -0,0 +1,127 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { getAdminOverview } from "../src/admin.js";
+import { getDecisionLogs } from "../src/audit.js";
+import { clawCreditPreflight } from "../src/clawcredit.js";
+import { setPolicy } from "../src/policy.js";
+import { actionPreflight } from "../src/preflight.js";
+import { listReviews, resolveReview } from "../src/reviews.js";
+import { postEvent } from "../src/service.js";
+import { resetStore, store } from "../src/store.js";
+import { createWebhook, resetDnsLookupForTest, setDnsLookupForTest } from "../src/webhooks.js";
+
+const account = { apiKey: "demo_starter_key", tier: "starter" };
+const agentId = "agent:reviews:1";
+
+beforeEach(async () => {
+  resetStore();
+  await postEvent({ account, payload: { agentId, kind: "positive", eventType: "completed_task_on_time" } });
+  setPolicy(account.apiKey, {
+    decisionRules: [
+      {
+        id: "hold_large",
+        when: [{ field: "amountUsd", op: "gte", value: 1000 }],
+        decision: "review",
+        reason: "Manual review required: {amountUsd} USD needs a second look."
+      }
+    ]
+  });
+});
+
+test("review outcomes open pending cases that reviewers can filter and resolve", async () => {
+  const allowed = clawCreditPreflight({ account, payload: { agentId, amountUsd: 50 } });
+  assert.equal(allowed.body.decision, "allow");
+  assert.equal(allowed.body.reviewId, undefined);
+
+  const held = clawCreditPreflight({ account, payload: { agentId, amountUsd: 1500, newPayee: true, memo: "invoice 7" } });
+  assert.equal(held.body.decision, "review");
+  assert.ok(held.body.reviewId);
+  actionPreflight({ account, payload: { action: "custom", customAction: "refund", agentId: "agent:reviews:2", amountUsd: 2000 } });
+
+  const pending = listReviews({ account, query: { status: "pending" } });
+  assert.equal(pending.status, 200);
+  assert.equal(pending.body.count, 2);
+  assert.equal(pending.body.pending, 2);
+
+  const [review] = listReviews({ account, query: { agentId, action: "payment" } }).body.reviews;
+  assert.equal(review.id, held.body.reviewId);
+  assert.equal(review.status, "pending");
+  assert.deepEqual(review.payload, { amountUsd: 1500, newPayee: true, memo: "invoice 7" });
+  assert.equal(review.reason, "Manual review required: 1500 USD needs a second look.");
+  assert.equal(review.ruleFired.id, "hold_large");
+  assert.equal(review.scores.riskPenalty, held.body.policy.riskPenalty);
+  assert.equal(review.scores.adjustedScore, held.body.policy.adjustedScore);
+  assert.equal(review.decisionLogId, getDecisionLogs({ account, query: {} }).body.logs[1].id);
+  assert.equal(listReviews({ account, query: { action: "custom" } }).body.reviews[0].customAction, "refund");
+  assert.equal(listReviews({ account, query: { status: "open" } }).status, 400);
+
+  assert.equal(getAdminOverview().totals.pendingReviews, 2);
+
+  const approved = await resolveReview({
+    account,
+    reviewId: review.id,
+    resolution: "approve",
+    payload: { note: "Confirmed with finance." },
+    actor: "ops@example.com"
+  });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.review.status, "approved");
+  assert.equal(approved.body.review.resolvedBy, "ops@example.com");
+  assert.equal(approved.body.review.resolutionNote, "Confirmed with finance.");
+
+  const again = await resolveReview({ account, reviewId: review.id, resolution: "reject", payload: {} });
+  assert.equal(again.status, 409);
+  assert.equal((await resolveReview({ account, reviewId: "missing", resolution: "reject", payload: {} })).status, 404);
+
+  const [log] = getDecisionLogs({ account, query: {} }).body.logs;
+  assert.equal(log.action, "review_resolve");
+  assert.equal(log.outcome, "approved");
+  assert.equal(log.reason, "Confirmed with finance.");
+  assert.equal(log.metadata.reviewId, review.id);
+  assert.equal(log.metadata.decisionLogId, review.decisionLogId);
+
+  const overview = getAdminOverview();
+  assert.equal(overview.totals.pendingReviews, 1);
+  assert.equal(overview.reviewQueue.pending, 1);
+});
+
+test("review resolutions are sent to webhooks subscribed to review.resolved", async () => {
+  const originalFetch = globalThis.fetch;
+  setDnsLookupForTest(async () => [{ address: "93.184.216.34", family: 4 }]);
+  const sent = [];
+  globalThis.fetch = async (url, options) => {
+    sent.push({ url, body: JSON.parse(options.body) });
+    return { ok: true, status: 200 };
+  };
+
+  try {
+    const invalid = createWebhook({
+      account,
+      payload: { url: "https://example.com/reviews", secret: "supersecret123", events: ["review.opened"] }
+    });
+    assert.equal(invalid.status, 400);
+
+    const reviewHook = createWebhook({
+      account,
+      payload: { url: "https://example.com/reviews", secret: "supersecret123", events: ["review.resolved"] }
+    });
+    assert.equal(reviewHook.status, 201);
+    assert.equal(reviewHook.body.webhook.threshold, null);
+    createWebhook({ account, payload: { url: "https://example.com/scores", threshold: 50, secret: "supersecret123" } });
+
+    const held = clawCreditPreflight({ account, payload: { agentId, amountUsd: 5000 } });
+    await resolveReview({ account, reviewId: held.body.reviewId, resolution: "reject", payload: { note: "Unknown payee." } });
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].url, "https://example.com/reviews");
+    assert.equal(sent[0].body.event, "review.resolved");
+    assert.equal(sent[0].body.reviewId, held.body.reviewId);
+    assert.equal(sent[0].body.status, "rejected");
+    assert.equal(sent[0].body.note, "Unknown payee.");
+    assert.equal(store.webhookDeliveries.get(reviewHook.body.webhook.id)[0].event, "review.resolved");
+  } finally {
+    resetDnsLookupForTest();
+    globalThis.fetch = originalFetch;
+  }
+});
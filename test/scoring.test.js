@@ -135,3 +135,105 @@ test("severe trust events reduce behavior score through cross influence", () =>
   assert.ok(result.behavior.trustInfluencePenalty >= 8);
   assert.ok(result.behavior.score < 60);
 });
+
+test("asOf evaluation ignores later events and decays relative to that instant", () => {
+  const day = 24 * 60 * 60 * 1000;
+  const asOf = new Date(Date.now() - 2 * day);
+  const events = [
+    {
+      id: "before",
+      agentId: "agent-t",
+      kind: "positive",
+      eventType: "completed_task_on_time",
+      createdAt: new Date(asOf.getTime() - day).toISOString(),
+    },
+    {
+      id: "after",
+      agentId: "agent-t",
+      kind: "negative",
+      eventType: "api_key_leak",
+      createdAt: new Date(asOf.getTime() + day).toISOString(),
+    },
+  ];
+
+  const past = scoreAgent("agent-t", events, { asOf: asOf.toISOString(), includeTrace: true });
+  assert.ok(past.score > 50);
+  assert.equal(past.breakdown.lifetimeEvents, 1);
+  assert.equal(past.breakdown.positive30d, 1);
+  assert.equal(past.trace.length, 1);
+  assert.ok(past.trace[0].decayFactor > 0.97);
+
+  const current = scoreAgent("agent-t", events);
+  assert.ok(current.score < 50);
+  assert.equal(current.breakdown.lifetimeEvents, 2);
+});
+
+test("score range narrows as decay-weighted verified evidence accumulates", () => {
+  const verified = (id, minutesAgo = 0) => ({
+    id,
+    agentId: "agent-u",
+    kind: "positive",
+    eventType: "completed_task_on_time",
+    sourceType: "verified_integration",
+    confidence: 1,
+    createdAt: new Date(Date.now() - minutesAgo * 60000).toISOString(),
+  });
+
+  const empty = scoreAgent("agent-u", []);
+  assert.deepEqual(empty.scoreRange, { low: 5, high: 95 });
+  assert.equal(empty.confidence.level, "Low");
+
+  const thin = scoreAgent("agent-u", [verified("a"), verified("b")]);
+  const deep = scoreAgent("agent-u", Array.from({ length: 40 }, (_, index) => verified(`e${index}`, index * 13)));
+  const thinWidth = thin.scoreRange.high - thin.scoreRange.low;
+  const deepWidth = deep.scoreRange.high - deep.scoreRange.low;
+  assert.ok(thin.scoreRange.low <= thin.score && thin.score <= thin.scoreRange.high);
+  assert.ok(deepWidth < thinWidth);
+  assert.ok(deep.confidence.score > thin.confidence.score);
+  assert.equal(deep.anomalies.count, 0);
+  // Spread over 8.5 hours to stay under the burst threshold, so decay trims the mass slightly.
+  assert.equal(deep.confidence.effectiveSampleSize, 39.84);
+
+  const selfReported = scoreAgent("agent-u", [
+    { ...verified("s1"), sourceType: "self_reported" },
+    { ...verified("s2"), sourceType: "self_reported" },
+  ]);
+  assert.ok(selfReported.scoreRange.high - selfReported.scoreRange.low > thinWidth);
+});
+
+test("explain=full groups the per-event math into ranked factors", () => {
+  const now = Date.now();
+  const at = (daysAgo) => new Date(now - daysAgo * 24 * 60 * 60 * 1000).toISOString();
+  const events = [
+    { id: "p1", kind: "positive", eventType: "payment_success", source: "stripe", sourceType: "verified_integration", createdAt: at(0) },
+    { id: "p2", kind: "positive", eventType: "payment_success", source: "stripe", sourceType: "verified_integration", createdAt: at(30) },
+    { id: "p3", kind: "positive", eventType: "completed_task_on_time", source: "runner", sourceType: "self_reported", createdAt: at(1) },
+    { id: "n1", kind: "negative", eventType: "missed_deadline", source: "runner", sourceType: "verified_integration", createdAt: at(2) },
+    { id: "x1", kind: "negative", eventType: "abuse_report", source: "forum", sourceType: "self_reported", confidence: 0.1, createdAt: at(0) }
+  ];
+
+  const result = scoreAgent("agent-explain", events, { explain: "full", policy: { minConfidence: 0.5 } });
+  assert.equal(result.trace, undefined);
+  const { factors } = result;
+  assert.equal(factors.baseline, 50);
+  assert.equal(factors.score, result.score);
+  assert.equal(Math.round(factors.baseline + factors.netContribution), result.score);
+
+  assert.equal(factors.drivers.positive[0].eventType, "payment_success");
+  assert.equal(factors.drivers.positive[0].events, 2);
+  assert.equal(factors.drivers.positive[0].contribution, 15);
+  assert.equal(factors.drivers.negative[0].eventType, "missed_deadline");
+  assert.equal(factors.bySource.find((group) => group.source === "stripe").contribution, 15);
+
+  assert.equal(factors.weighting.decay.onPositiveEvents < 0, true);
+  assert.equal(factors.weighting.decay.onNegativeEvents > 0, true);
+  // self_reported 0.75 on an 8-point event that has already decayed for a day.
+  assert.ok(factors.weighting.sourceType.onPositiveEvents < -1.9);
+  assert.ok(factors.weighting.sourceType.onPositiveEvents > -2);
+
+  assert.equal(factors.exclusions.events, 1);
+  assert.equal(factors.exclusions.byReason.below_min_confidence.events, 1);
+  assert.ok(factors.exclusions.points < 0);
+  assert.ok(factors.summary.some((line) => line.startsWith("Top positive drivers: payment_success (+15 from 2 events)")));
+  assert.ok(factors.summary.some((line) => line.startsWith("Time decay removed")));
+});
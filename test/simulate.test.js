@@ -0,0 +1,99 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { clawCreditPreflight } from "../src/clawcredit.js";
+import { getPolicy, resetPolicy, saveNamedPolicy } from "../src/policy.js";
+import { getScore, postEvent, simulateScore } from "../src/service.js";
+import { getAgentEvents, getMonthKey, getUsage, listDecisionLogs, resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_starter_key", tier: "starter" };
+const agentId = "agent:simulate:1";
+
+beforeEach(() => {
+  resetStore();
+  resetPolicy(account.apiKey);
+});
+
+test("simulation projects hypothetical events without storing them", async () => {
+  await postEvent({ account, payload: { agentId, kind: "positive", eventType: "payment_success" } });
+
+  const result = simulateScore({
+    account,
+    payload: {
+      agentId,
+      events: [
+        { kind: "negative", eventType: "api_key_leak", sourceType: "verified_integration" },
+        { kind: "negative", eventType: "security_flag", sourceType: "verified_integration" }
+      ],
+      preflight: { amountUsd: 1000 }
+    }
+  });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.simulated, true);
+  assert.equal(result.body.policySource, "current");
+  assert.equal(result.body.hypotheticalEvents, 2);
+  assert.equal(result.body.baseline.score, 60);
+  assert.equal(result.body.projected.score, 5);
+  assert.equal(result.body.delta.score, -55);
+  assert.equal(result.body.preflight.projected.decision, "block");
+  assert.equal(result.body.preflight.baseline.decision, "review");
+
+  // The projection uses the same scoring and preflight path as production.
+  await postEvent({ account, payload: { agentId, kind: "negative", eventType: "api_key_leak", sourceType: "verified_integration" } });
+  await postEvent({ account, payload: { agentId, kind: "negative", eventType: "security_flag", sourceType: "verified_integration" } });
+  assert.equal(getScore({ account, agentId }).body.score, result.body.projected.score);
+  const live = clawCreditPreflight({ account, payload: { agentId, amountUsd: 1000 } });
+  assert.deepEqual(result.body.preflight.projected, {
+    decision: live.body.decision,
+    reason: live.body.reason,
+    adjustedScore: live.body.policy.adjustedScore,
+    ruleFired: live.body.policy.ruleFired
+  });
+
+  resetStore();
+  await postEvent({ account, payload: { agentId, kind: "positive", eventType: "payment_success" } });
+  simulateScore({ account, payload: { agentId, events: [{ kind: "negative", eventType: "abuse_report" }] } });
+  assert.equal(getAgentEvents(`${account.apiKey}::${agentId}`).length, 1);
+  assert.equal(getUsage(getMonthKey(), account.apiKey).eventsLogged, 1);
+  assert.equal(getUsage(getMonthKey(), account.apiKey).scoreChecks, 0);
+  assert.equal(listDecisionLogs(account.apiKey).length, 0);
+});
+
+test("simulation evaluates a candidate policy without saving it", async () => {
+  await postEvent({
+    account,
+    payload: { agentId, kind: "negative", eventType: "failed_payment", sourceType: "self_reported", confidence: 0.3 }
+  });
+
+  const result = simulateScore({ account, payload: { agentId, policy: { minConfidence: 0.5 } } });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.policySource, "candidate");
+  assert.equal(result.body.projected.score, 50);
+  assert.equal(getPolicy(account.apiKey).minConfidence, 0);
+  assert.ok(getScore({ account, agentId }).body.score < 50);
+
+  const badPolicy = simulateScore({ account, payload: { agentId, policy: { minConfidence: "high" } } });
+  assert.equal(badPolicy.status, 400);
+  const badEvent = simulateScore({ account, payload: { agentId, events: [{ kind: "maybe", eventType: "x" }] } });
+  assert.equal(badEvent.status, 400);
+  assert.match(badEvent.body.error, /^events\[0\]/);
+});
+
+test("simulation can run under a named policy", async () => {
+  await postEvent({
+    account,
+    payload: { agentId, kind: "negative", eventType: "failed_payment", sourceType: "self_reported", confidence: 0.3 }
+  });
+  saveNamedPolicy(account.apiKey, "payments", { minConfidence: 0.5 });
+
+  const result = simulateScore({ account, payload: { agentId, policy: "Payments" } });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.policySource, "named");
+  assert.equal(result.body.policyName, "payments");
+  assert.equal(result.body.baseline.score, getScore({ account, agentId, policy: "payments" }).body.score);
+  assert.equal(result.body.baseline.score, 50);
+
+  assert.equal(simulateScore({ account, payload: { agentId, policy: "refunds" } }).status, 404);
+  assert.equal(simulateScore({ account, payload: { agentId, policy: "bad name" } }).status, 400);
+});
@@ -0,0 +1,154 @@
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { getSourceReputation, listSources, sourceReputationTimeline } from "../src/source-reputation.js";
+import { amendEvent, getScore, getScoreHistory, postEvent, retractEvent } from "../src/service.js";
+import { getAgentEvents, resetStore } from "../src/store.js";
+
+const account = { apiKey: "demo_pro_key", tier: "pro" };
+
+async function postNegative(agentId, source) {
+  const result = await postEvent({
+    account,
+    payload: {
+      agentId,
+      kind: "negative",
+      eventType: "failed_payment",
+      source,
+      sourceType: "verified_integration",
+      details: `${agentId} via ${source}`,
+    },
+  });
+  return result.body.event;
+}
+
+beforeEach(() => {
+  resetStore();
+});
+
+test("sources without reversals keep a neutral multiplier", async () => {
+  await postNegative("agent:rep:1", "stripe");
+  await postEvent({
+    account,
+    payload: { agentId: "agent:rep:1", kind: "positive", eventType: "payment_success", source: "stripe" },
+  });
+
+  const listed = listSources({ account });
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.count, 1);
+  assert.equal(listed.body.sources[0].source, "stripe");
+  assert.equal(listed.body.sources[0].events, 2);
+  assert.equal(listed.body.sources[0].negative, 1);
+  assert.equal(listed.body.sources[0].multiplier, 1);
+});
+
+test("reversed negatives lower a source's multiplier in scoring", async () => {
+  for (let index = 0; index < 4; index += 1) {
+    const event = await postNegative(`agent:rep:noisy:${index}`, "noisy-vendor");
+    const stored = getAgentEvents(`${account.apiKey}::agent:rep:noisy:${index}`).find((row) => row.id === event.id);
+    stored.reversedAt = new Date().toISOString();
+  }
+  await postNegative("agent:rep:target", "noisy-vendor");
+  await postNegative("agent:rep:target", "stripe");
+
+  const multipliers = getSourceReputation(account.apiKey);
+  assert.equal(multipliers.stripe, 1);
+  assert.ok(multipliers["noisy-vendor"] < 0.6);
+
+  const noisy = listSources({ account }).body.sources.find((row) => row.source === "noisy-vendor");
+  assert.equal(noisy.reversedNegative, 4);
+  assert.equal(noisy.reversalRate, 0.8);
+
+  const score = getScore({ account, agentId: "agent:rep:target", includeTrace: true });
+  const noisyRow = score.body.trace.find((row) => row.source === "noisy-vendor");
+  const stripeRow = score.body.trace.find((row) => row.source === "stripe");
+  assert.equal(noisyRow.reputationFactor, multipliers["noisy-vendor"]);
+  assert.equal(stripeRow.reputationFactor, 1);
+  assert.ok(Math.abs(noisyRow.contribution) < Math.abs(stripeRow.contribution));
+});
+
+test("current reputation is cached until an event on the key changes", async () => {
+  const event = await postNegative("agent:rep:cache", "noisy-vendor");
+  const first = getSourceReputation(account.apiKey);
+  assert.equal(first["noisy-vendor"], 1);
+  assert.equal(getSourceReputation(account.apiKey), first);
+
+  await retractEvent({ account, eventId: event.id, payload: { reason: "sent in error" } });
+  assert.ok(getSourceReputation(account.apiKey)["noisy-vendor"] < 1);
+});
+
+test("the reputation timeline matches point-in-time reputation and reuses results between changes", async () => {
+  const event = await postNegative("agent:rep:timeline", "noisy-vendor");
+  const stored = getAgentEvents(`${account.apiKey}::agent:rep:timeline`).find((row) => row.id === event.id);
+  const createdMs = Date.parse(stored.createdAt);
+  stored.reversedAt = new Date(createdMs + 60_000).toISOString();
+
+  const reputationAsOf = sourceReputationTimeline(account.apiKey);
+  for (const asOfMs of [createdMs - 1, createdMs, createdMs + 30_000, createdMs + 60_000, createdMs + 90_000]) {
+    assert.deepEqual(reputationAsOf(asOfMs), getSourceReputation(account.apiKey, { asOfMs }));
+  }
+  assert.equal(reputationAsOf(createdMs + 1), reputationAsOf(createdMs + 59_999));
+  assert.notEqual(reputationAsOf(createdMs + 59_999), reputationAsOf(createdMs + 60_000));
+});
+
+test("score history weighs each point by the source reputation at that moment", async () => {
+  const hour = 60 * 60 * 1000;
+  const now = Date.now();
+  const flag = (agentId, occurredMs) => postEvent({
+    account,
+    payload: {
+      agentId,
+      kind: "negative",
+      eventType: "failed_payment",
+      source: "noisy-vendor",
+      details: `${agentId} flagged`,
+      occurredAt: new Date(occurredMs).toISOString(),
+    },
+  });
+  for (let index = 0; index < 4; index += 1) {
+    const posted = await flag(`agent:rep:history:${index}`, now - 4 * hour);
+    const stored = getAgentEvents(`${account.apiKey}::agent:rep:history:${index}`)[0];
+    assert.equal(stored.id, posted.body.event.id);
+    stored.reversedAt = new Date(now - hour).toISOString();
+  }
+  await flag("agent:rep:history:target", now - 3 * hour);
+
+  const beforeReversalMs = now - 2 * hour;
+  assert.equal(getSourceReputation(account.apiKey, { asOfMs: beforeReversalMs })["noisy-vendor"], 1);
+  assert.ok(getSourceReputation(account.apiKey)["noisy-vendor"] < 0.6);
+
+  const history = getScoreHistory({
+    account,
+    agentId: "agent:rep:history:target",
+    interval: "hour",
+    from: new Date(beforeReversalMs).toISOString(),
+    to: new Date(now).toISOString(),
+  });
+  for (const point of history.body.points) {
+    assert.equal(point.score, getScore({ account, agentId: "agent:rep:history:target", asOf: point.at }).body.score);
+  }
+  assert.ok(history.body.points[0].score < history.body.points.at(-1).score);
+});
+
+test("revised events count once toward their source", async () => {
+  const positive = await postEvent({
+    account,
+    payload: { agentId: "agent:rep:revised", kind: "positive", eventType: "payment_success", source: "stripe" },
+  });
+  await amendEvent({ account, eventId: positive.body.event.id, payload: { details: "invoice 42", reason: "missing invoice" } });
+  const negative = await postNegative("agent:rep:revised", "stripe");
+  await amendEvent({ account, eventId: negative.id, payload: { kind: "neutral", reason: "payment cleared later" } });
+  const retracted = await postEvent({
+    account,
+    payload: { agentId: "agent:rep:revised", kind: "positive", eventType: "completed_task_on_time", source: "stripe" },
+  });
+  await retractEvent({ account, eventId: retracted.body.event.id, payload: { reason: "logged twice" } });
+
+  const [stripe] = listSources({ account }).body.sources;
+  assert.equal(stripe.events, 2);
+  assert.equal(stripe.positive, 1);
+  assert.equal(stripe.neutral, 1);
+  // The amended-away negative still counts as a reversal against the source.
+  assert.equal(stripe.negative, 1);
+  assert.equal(stripe.reversedNegative, 1);
+});
@@ -6,7 +6,7 @@ import test, { beforeEach } from "node:test";
 import assert from "node:assert/strict";
 
 import { getMonthKey, getUsage, resetStore } from "../src/store.js";
-import { getScore, postEvent } from "../src/service.js";
+import { getScore, getScoreBatch, getScoreHistory, postEvent, postEventBatch } from "../src/service.js";
 import {
   flushStoreToDisk,
   getPersistenceStatePath,
@@ -171,3 +171,221 @@ test("events and scores are isolated per API key namespace", async () => {
   assert.equal(scoreB.body.score, 50);
   assert.equal(scoreB.body.breakdown.lifetimeEvents, 0);
 });
+
+test("score history replays stored events at each interval boundary", async () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+
+  await postEvent({
+    account,
+    payload: {
+      agentId: "agent:history:1",
+      kind: "positive",
+      eventType: "completed_task_on_time",
+      occurredAt: new Date(now - 3 * day - 60000).toISOString()
+    }
+  });
+  await postEvent({
+    account,
+    payload: {
+      agentId: "agent:history:1",
+      kind: "negative",
+      eventType: "api_key_leak",
+      occurredAt: new Date(now - day - 60000).toISOString()
+    }
+  });
+
+  const history = getScoreHistory({
+    account,
+    agentId: "agent:history:1",
+    from: new Date(now - 4 * day).toISOString(),
+    to: new Date(now).toISOString(),
+    interval: "day"
+  });
+
+  assert.equal(history.status, 200);
+  assert.equal(history.body.count, 5);
+  assert.equal(history.body.points[0].score, 50);
+  assert.equal(history.body.points[0].lifetimeEvents, 0);
+  assert.ok(history.body.points[1].score > 50);
+  assert.ok(history.body.points[4].score < 50);
+  assert.equal(typeof history.body.points[4].behaviorScore, "number");
+  assert.equal(typeof history.body.points[4].signalQuality.score, "number");
+
+  const invalid = getScoreHistory({ account, agentId: "agent:history:1", interval: "minute" });
+  assert.equal(invalid.status, 400);
+
+  const tooWide = getScoreHistory({
+    account,
+    agentId: "agent:history:1",
+    from: new Date(now - 500 * day).toISOString(),
+    interval: "day"
+  });
+  assert.equal(tooWide.status, 400);
+});
+
+test("asOf score reproduces the score at a past instant and flags the policy used", async () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  const day = 24 * 60 * 60 * 1000;
+  const decisionTime = new Date(Date.now() - 2 * day);
+
+  await postEvent({
+    account,
+    payload: {
+      agentId: "agent:asof:1",
+      kind: "positive",
+      eventType: "completed_task_on_time",
+      occurredAt: new Date(decisionTime.getTime() - day).toISOString()
+    }
+  });
+  await postEvent({
+    account,
+    payload: {
+      agentId: "agent:asof:1",
+      kind: "negative",
+      eventType: "api_key_leak"
+    }
+  });
+
+  const past = getScore({ account, agentId: "agent:asof:1", asOf: decisionTime.toISOString() });
+  assert.equal(past.status, 200);
+  assert.ok(past.body.score > 50);
+  assert.equal(past.body.asOf, decisionTime.toISOString());
+  assert.equal(past.body.breakdown.lifetimeEvents, 1);
+  assert.equal(past.body.policyApplied.source, "version");
+  assert.equal(past.body.policyApplied.version, 0);
+  assert.equal(past.body.policyApplied.historical, true);
+
+  const current = getScore({ account, agentId: "agent:asof:1" });
+  assert.ok(current.body.score < 50);
+  assert.equal(current.body.asOf, undefined);
+
+  const invalid = getScore({ account, agentId: "agent:asof:1", asOf: "not-a-date" });
+  assert.equal(invalid.status, 400);
+});
+
+test("batch score lookup reports per-agent results and per-agent cap errors", async () => {
+  const account = { apiKey: "demo_free_key", tier: "free" };
+  const usage = getUsage(getMonthKey(), account.apiKey);
+  for (let index = 0; index < 19; index += 1) {
+    usage.trackedAgents.add(`agent:batch:existing:${index}`);
+  }
+
+  await postEvent({
+    account,
+    payload: {
+      agentId: "agent:batch:existing:0",
+      kind: "positive",
+      eventType: "completed_task_on_time"
+    }
+  });
+
+  const result = getScoreBatch({
+    account,
+    payload: {
+      agentIds: ["agent:batch:existing:0", "agent:batch:new:1", "agent:batch:new:2", "", "AGENT:BATCH:EXISTING:0"]
+    }
+  });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.count, 5);
+  assert.equal(result.body.succeeded, 3);
+  assert.equal(result.body.failed, 2);
+  assert.equal(result.body.results[0].ok, true);
+  assert.ok(result.body.results[0].score.score > 50);
+  assert.equal(result.body.results[1].ok, true);
+  assert.equal(result.body.results[2].ok, false);
+  assert.equal(result.body.results[2].status, 402);
+  assert.match(result.body.results[2].error, /tracked agents\/month/);
+  assert.equal(result.body.results[3].status, 400);
+  assert.equal(result.body.results[4].agentId, "agent:batch:existing:0");
+  assert.equal(usage.scoreChecks, 2);
+
+  const empty = getScoreBatch({ account, payload: { agentIds: [] } });
+  assert.equal(empty.status, 400);
+});
+
+test("event batch validates each item, rescoring and alerting once per agent", async () => {
+  const calls = [];
+  const originalFetch = globalThis.fetch;
+  setDnsLookupForTest(async () => [{ address: "93.184.216.34", family: 4 }]);
+  globalThis.fetch = async (url, options) => {
+    calls.push({ url, options });
+    return { ok: true, status: 204 };
+  };
+
+  try {
+    const account = { apiKey: "demo_starter_key", tier: "starter" };
+    createWebhook({
+      account,
+      payload: { url: "https://example.com/hook", threshold: 50, secret: "supersecret123" }
+    });
+
+    await postEvent({
+      account,
+      payload: { agentId: "agent:bulk:1", kind: "positive", eventType: "completed_task_on_time" }
+    });
+
+    const result = await postEventBatch({
+      account,
+      payload: {
+        events: [
+          { agentId: "agent:bulk:1", kind: "negative", eventType: "api_key_leak", details: "first" },
+          { agentId: "agent:bulk:1", kind: "negative", eventType: "abuse_report", details: "second" },
+          { agentId: "agent:bulk:2", kind: "positive", eventType: "payment_success" },
+          { agentId: "agent:bulk:2", kind: "bogus", eventType: "payment_success" },
+          { agentId: "agent:bulk:2", kind: "positive", eventType: "payment_success" },
+          "not-an-object"
+        ]
+      }
+    });
+
+    assert.equal(result.status, 200);
+    assert.equal(result.body.received, 6);
+    assert.equal(result.body.accepted, 3);
+    assert.equal(result.body.rejected, 3);
+    assert.equal(result.body.results[3].status, 400);
+    assert.equal(result.body.results[4].status, 409);
+    assert.equal(result.body.results[5].status, 400);
+    assert.equal(result.body.scores.length, 2);
+
+    const first = result.body.scores.find((entry) => entry.agentId === "agent:bulk:1");
+    assert.ok(first.previousScore > 50);
+    assert.ok(first.value < 50);
+    assert.equal(calls.length, 1);
+    assert.equal(JSON.parse(calls[0].options.body).previousScore, first.previousScore);
+
+    const usage = getUsage(getMonthKey(), account.apiKey);
+    assert.equal(usage.eventsLogged, 4);
+
+    const tooMany = await postEventBatch({ account, payload: { events: [] } });
+    assert.equal(tooMany.status, 400);
+  } finally {
+    resetDnsLookupForTest();
+    globalThis.fetch = originalFetch;
+  }
+});
+
+test("event batch backfills same-type events from different days", async () => {
+  const account = { apiKey: "demo_starter_key", tier: "starter" };
+  const now = Date.now();
+  const day = (offset) => new Date(now - offset * 24 * 60 * 60 * 1000).toISOString();
+  const backfill = (occurredAt, externalEventId) => ({
+    agentId: "agent:backfill:1",
+    kind: "positive",
+    eventType: "completed_task",
+    occurredAt,
+    externalEventId
+  });
+
+  const result = await postEventBatch({
+    account,
+    payload: { events: [backfill(day(3), "job-1"), backfill(day(2), "job-2"), backfill(day(1), "job-3")] }
+  });
+  assert.deepEqual(result.body.results.map((entry) => entry.status), [201, 201, 201]);
+
+  // Resending the same historical event is still caught.
+  const resent = await postEventBatch({ account, payload: { events: [backfill(day(3), "job-1")] } });
+  assert.equal(resent.body.results[0].status, 409);
+});